@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Backfill party_ids on shipments written before the field existed.
+ *
+ * GET /v1/shipments only lists shipments whose party_ids include one of the
+ * key's parties, so older shipments are invisible there until this has run.
+ * Each one gets its parent order's customer and its supplier. Safe to re-run.
+ *
+ * Usage:
+ *   node scripts/backfill-shipment-parties.js [--dry-run]
+ */
+require('dotenv').config();
+const { initializeFirestore } = require('../src/services/real-firestore');
+
+const PAGE_SIZE = 300;
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const db = initializeFirestore();
+  if (!db) throw new Error('Firestore is not initialized');
+
+  const orderParties = new Map();
+  let scanned = 0;
+  let updated = 0;
+  let last = null;
+  while (true) {
+    let query = db.collectionGroup('shipments').orderBy('__name__').limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+      if (Array.isArray(doc.get('party_ids'))) continue;
+      const orderRef = doc.ref.parent.parent;
+      if (!orderParties.has(orderRef.path)) {
+        const order = (await orderRef.get()).data() || {};
+        orderParties.set(orderRef.path, { customerId: order.customerId, supplierIds: order.supplierIds || [] });
+      }
+      // As createShipment writes it: the customer and the shipping supplier (every supplier when unknown)
+      const { customerId, supplierIds } = orderParties.get(orderRef.path);
+      const parties = [customerId, ...(doc.get('supplier_id') ? [doc.get('supplier_id')] : supplierIds)].filter(Boolean);
+      batch.update(doc.ref, { party_ids: parties });
+      writes += 1;
+    }
+    if (writes && !dryRun) await batch.commit();
+    updated += writes;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} of ${scanned} shipments`);
+}
+
+main().then(() => process.exit(0), err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
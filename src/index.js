@@ -5,25 +5,41 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { body, validationResult } = require('express-validator');
 const { initializeFirestore, RealOrdersService } = require('./services/real-firestore');
+const { InvoicesService } = require('./services/firestore');
+const { INVOICE_PAYMENT_STATUSES } = require('./services/invoicing');
+const { pdfFileName, renderPackingSlipPdf } = require('./services/documents');
+const { PRODUCT_FIELDS, validateProduct } = require('./services/catalog');
+const { CONTENT_TYPES, EXPORT_FORMATS, selectColumns, streamExport } = require('./services/exports');
+const { createExportStorage } = require('./services/export-storage');
+const { WebhookDispatcher } = require('./services/webhook-dispatcher');
+const { TrackingPoller } = require('./services/tracking-poller');
+const { authenticateRequest, checkIpAllowlist, AuthError } = require('./middleware/auth');
+const access = require('./middleware/access');
+const { createRateLimiter } = require('./middleware/rate-limit');
+const { CANCEL_REASON_CODES, RETURN_ACTIONS, RETURN_REASON_CODES } = require('./services/order-state');
+const { SHIPMENT_EVENT_TYPES, SHIPMENT_STATUSES, getCarriers, inferCarrier, isKnownCarrier, isValidTrackingNumber, normalizeCarrier } = require('./services/carriers');
+const webhooksRouter = require('./routes/webhooks');
+const shipmentsRouter = require('./routes/shipments');
+const returnsRouter = require('./routes/returns');
+const invoicesRouter = require('./routes/invoices');
+const suppliersRouter = require('./routes/suppliers');
+const exportsRouter = require('./routes/exports');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Raw body capture MUST be first for any signatures (kept for future use)
-app.use((req, res, next) => {
-  let data = '';
-  req.on('data', chunk => { data += chunk; });
-  req.on('end', () => { req.rawBody = data; next(); });
-});
-
 // Security and logging
 app.use(helmet());
 app.use(cors({ origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'], credentials: true }));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Keep the exact request bytes for Kasbah-Signature verification
+const saveRawBody = (req, res, buf) => { req.rawBody = buf.toString('utf8'); };
+app.use(express.json({ limit: '10mb', verify: saveRawBody }));
+app.use(express.urlencoded({ extended: true, verify: saveRawBody }));
+app.use(express.text({ type: 'text/csv', limit: '10mb', verify: saveRawBody }));
 
 // Swagger setup (minimal, endpoint doc stubs can be added later)
 const swaggerOptions = {
@@ -53,88 +69,125 @@ app.get('/v1/ping', (req, res) => {
 
 // Firestore init and services
 const db = initializeFirestore();
-const ordersService = new RealOrdersService();
-
-// In-memory per-key rate limiter (hour window)
-const rateState = new Map(); // key -> { windowStartMs, count, limit }
-function currentHourWindow() {
-  const now = Date.now();
-  return now - (now % (60 * 60 * 1000));
-}
-
-// Simple API key auth using users collection
-async function authenticateApiKey(req, res, next) {
-  try {
-    const apiKey = req.headers['kasbah-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: { type: 'unauthorized', message: 'Missing Kasbah-Key header' } });
-    }
-
-    if (!db) {
-      return res.status(503).json({ error: { type: 'unavailable', message: 'Database unavailable' } });
-    }
-
-    const snap = await db.collection('users').where('api_key', '==', apiKey).limit(1).get();
-    if (snap.empty) {
-      return res.status(401).json({ error: { type: 'unauthorized', message: 'Invalid API key' } });
-    }
+const webhookDispatcher = new WebhookDispatcher();
+const ordersService = new RealOrdersService({ db, webhooks: webhookDispatcher });
+const trackingPoller = new TrackingPoller({ ordersService });
+const invoicesService = new InvoicesService({ db });
+const exportStorage = createExportStorage();
+
+// Signed download links for export files in local storage (object storage signs its own URLs).
+// Registered ahead of the protected routes: the signature stands in for the API key.
+app.get('/v1/export-files/:key', (req, res) => {
+  if (!exportStorage.verifySignedUrl) {
+    return res.status(404).json({ error: { type: 'not_found', message: 'The requested endpoint was not found' } });
+  }
+  const { key } = req.params;
+  const problem = exportStorage.verifySignedUrl(key, req.query.expires, req.query.signature);
+  if (problem) return res.status(403).json({ error: { type: 'forbidden', message: problem } });
+
+  const file = exportStorage.createReadStream(key);
+  file.on('error', err => {
+    if (res.headersSent) return res.destroy(err);
+    if (err.code === 'ENOENT') return res.status(404).json({ error: { type: 'not_found', message: 'Export file not found' } });
+    return res.status(500).json({ error: { type: 'internal', message: 'Error reading export file' } });
+  });
+  file.once('open', () => {
+    res.set({
+      'Content-Type': CONTENT_TYPES[key.split('.').pop()] || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${key}"`,
+      'Cache-Control': 'no-store'
+    });
+    file.pipe(res);
+  });
+});
 
-    const doc = snap.docs[0];
-    const user = doc.data() || {};
-    const active = user.active !== false; // default true
-    if (!active) {
-      return res.status(401).json({ error: { type: 'unauthorized', message: 'API key inactive' } });
-    }
+// Per-key rate limit (runs after authenticateRequest); store chosen by RATE_LIMIT_STORE
+const rateLimitByKey = createRateLimiter();
 
-    const limit = Number.isInteger(user.rate_limit_hourly) ? user.rate_limit_hourly : 50;
-    const win = currentHourWindow();
-    const st = rateState.get(apiKey) || { windowStartMs: win, count: 0, limit };
-    if (st.windowStartMs !== win) { st.windowStartMs = win; st.count = 0; st.limit = limit; }
-    if (st.count >= st.limit) {
-      return res.status(429).json({ error: { type: 'rate_limited', message: 'Rate limit exceeded' } });
-    }
-    st.count += 1;
-    rateState.set(apiKey, st);
+// Protected routes
+const router = express.Router();
+router.use(authenticateRequest, checkIpAllowlist, rateLimitByKey);
 
-    req.auth = { uid: doc.id, apiKey, limit: st.limit };
-    // Rate limit headers
-    const resetSec = Math.floor((st.windowStartMs + 60 * 60 * 1000) / 1000);
-    res.set({
-      'X-RateLimit-Limit': String(st.limit),
-      'X-RateLimit-Remaining': String(Math.max(0, st.limit - st.count)),
-      'X-RateLimit-Reset': String(resetSec)
-    });
+// Resource bindings: IDs in the path outside the key's bindings look like missing resources
+router.param('order_id', async (req, res, next, orderId) => {
+  try {
+    const order = await ordersService.getOrder(orderId);
+    const orderAccess = order ? access.getOrderAccess(req.auth, order) : null;
+    if (!order || !access.hasOrderAccess(orderAccess)) return access.notFound(res, 'Order not found');
+    req.order = order;
+    req.orderAccess = orderAccess;
     return next();
   } catch (err) {
-    console.error('Auth error:', err);
-    return res.status(500).json({ error: { type: 'internal', message: 'Authentication failed' } });
+    return res.status(500).json({ error: { type: 'internal', message: 'Error fetching order' } });
   }
+});
+router.param('customer_id', (req, res, next, customerId) => (
+  access.canAccessCustomer(req.auth, customerId) ? next() : access.notFound(res, 'Customer not found')
+));
+router.param('supplier_id', (req, res, next, supplierId) => (
+  access.canAccessSupplier(req.auth, supplierId) ? next() : access.notFound(res, 'Supplier not found')
+));
+router.param('user_id', (req, res, next, userId) => (
+  access.canAccessUser(req.auth, userId) ? next() : access.notFound(res, 'User not found')
+));
+
+// Write endpoints act for one supplier on the order; resolve it into req.body.supplier_id
+function resolveSupplier(req, res, next) {
+  const resolved = access.resolveWriteSupplier(req.orderAccess, req.body?.supplier_id);
+  if (resolved.status === 404) return access.notFound(res, resolved.message);
+  if (resolved.status) return res.status(resolved.status).json({ error: { type: 'bad_request', message: resolved.message } });
+  req.body = { ...(req.body || {}), supplier_id: resolved.supplierId };
+  return next();
 }
 
-// Protected routes
-const router = express.Router();
-router.use(authenticateApiKey);
+// format=csv|ndjson turns a listing into a streamed export of every matching record;
+// resolves { format, columns } or answers 400 itself and resolves null
+function exportOptions(req, res, resource) {
+  const { format, columns } = req.query;
+  if (format === undefined || format === 'json') return { format: null };
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: { type: 'bad_request', message: `format must be one of: json, ${EXPORT_FORMATS.join(', ')}` } });
+    return null;
+  }
+  const selected = selectColumns(resource, columns);
+  if (selected.error) {
+    res.status(400).json({ error: { type: 'bad_request', message: selected.error } });
+    return null;
+  }
+  return { format, columns: selected.columns };
+}
 
 // List orders with filters
 router.get('/orders', async (req, res) => {
   try {
     const { status, limit, cursor, customer_id, supplier_id } = req.query;
+    const exportOpts = exportOptions(req, res, 'orders');
+    if (!exportOpts) return;
     const opts = { limit: Math.min(parseInt(limit) || 50, 200), cursor, sort: '-createdAt' };
 
+    let fetchPage;
     if (supplier_id) {
+      if (!access.canAccessSupplier(req.auth, String(supplier_id))) return access.notFound(res, 'Supplier not found');
       if (!status) {
         return res.status(400).json({ error: { type: 'bad_request', message: 'supplier_id requires status filter until supplierIds indexing is added' } });
       }
-      const result = await ordersService.getOrdersBySupplierId(String(supplier_id), { status }, opts);
-      return res.json({ data: result.data, pagination: result.pagination });
+      fetchPage = page => ordersService.getOrdersBySupplierId(String(supplier_id), { status }, { ...opts, ...page });
+    } else if (customer_id) {
+      if (!access.canAccessCustomer(req.auth, String(customer_id))) return access.notFound(res, 'Customer not found');
+      fetchPage = (page, options) => ordersService.getOrdersByBuyerId(String(customer_id), { status }, { ...opts, ...page }, options);
+    } else {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'Provide customer_id or supplier_id' } });
     }
 
-    if (customer_id) {
-      const result = await ordersService.getOrdersByBuyerId(String(customer_id), { status }, opts);
-      return res.json({ data: result.data, pagination: result.pagination });
+    if (exportOpts.format) {
+      return await streamExport(res, {
+        resource: 'orders',
+        ...exportOpts,
+        fetchPage: pageCursor => fetchPage({ limit: 200, cursor: pageCursor }, { withItems: true })
+      });
     }
-
-    return res.status(400).json({ error: { type: 'bad_request', message: 'Provide customer_id or supplier_id' } });
+    const result = await fetchPage({});
+    return res.json({ data: result.data, pagination: result.pagination });
   } catch (err) {
     const code = err?.code === 'bad_request' ? 400 : 500;
     return res.status(code).json({ error: { type: code === 400 ? 'bad_request' : 'internal', message: err.message || 'Error fetching orders' } });
@@ -143,31 +196,72 @@ router.get('/orders', async (req, res) => {
 
 // Get single order
 router.get('/orders/:order_id', async (req, res) => {
+  return res.json(access.scopeOrder(req.order, req.orderAccess));
+});
+
+// Order items (derived from full order suppliers/items)
+router.get('/orders/:order_id/items', async (req, res) => {
+  const order = access.scopeOrder(req.order, req.orderAccess);
+  // Flatten items if needed from suppliers[]
+  const items = (order.suppliers || []).flatMap(s => s.items || []);
+  return res.json({ data: items });
+});
+
+// Order event timeline (orders/{id}/events); suppliers only see their own supplier order's events
+router.get('/orders/:order_id/events', async (req, res) => {
   try {
-    const order = await ordersService.getOrder(req.params.order_id);
-    if (!order) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
-    return res.json(order);
+    const { type, since, limit, cursor } = req.query;
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'since must be an ISO-8601 timestamp' } });
+    }
+    const types = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+    if (types.length > 10) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'type accepts at most 10 values' } });
+    }
+
+    const viewerSupplierIds = req.orderAccess.asCustomer ? null : req.orderAccess.supplierIds;
+    const result = await ordersService.getOrderEvents(req.params.order_id, { types, since }, { limit: Math.min(parseInt(limit) || 50, 200), cursor }, viewerSupplierIds);
+    if (!result) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    return res.json({ data: result.data, pagination: result.pagination });
   } catch (err) {
-    return res.status(500).json({ error: { type: 'internal', message: 'Error fetching order' } });
+    return res.status(500).json({ error: { type: 'internal', message: 'Error fetching order events' } });
   }
 });
 
-// Order items (derived from full order suppliers/items)
-router.get('/orders/:order_id/items', async (req, res) => {
+// Invoices for an order: customers see all of them, suppliers their own
+router.get('/orders/:order_id/invoices', async (req, res) => {
   try {
-    const order = await ordersService.getOrder(req.params.order_id);
-    if (!order) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
-    // Flatten items if needed from suppliers[]
-    const items = (order.suppliers || []).flatMap(s => s.items || []);
-    return res.json({ data: items });
+    const { payment_status: paymentStatus, limit, cursor } = req.query;
+    if (paymentStatus && !INVOICE_PAYMENT_STATUSES.includes(paymentStatus)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `payment_status must be one of: ${INVOICE_PAYMENT_STATUSES.join(', ')}` } });
+    }
+    const filters = {
+      order_id: req.params.order_id,
+      supplier_ids: req.orderAccess.asCustomer ? undefined : req.orderAccess.supplierIds,
+      payment_status: paymentStatus
+    };
+    const result = await invoicesService.listInvoices(filters, { limit: Math.min(parseInt(limit) || 50, 200), cursor });
+    return res.json({ data: result.data, pagination: result.pagination });
   } catch (err) {
-    return res.status(500).json({ error: { type: 'internal', message: 'Error fetching order items' } });
+    return res.status(500).json({ error: { type: 'internal', message: 'Error fetching invoices' } });
   }
 });
 
-// Order events placeholder (until events collection is defined)
-router.get('/orders/:order_id/events', async (req, res) => {
-  return res.status(501).json({ error: { type: 'not_implemented', message: 'Order events not implemented yet' } });
+// Packing slip for one supplier order; supplier_id picks it when the caller could mean several
+router.get('/orders/:order_id/packing-slip.pdf', async (req, res) => {
+  try {
+    const resolved = access.resolveReadSupplier(req.orderAccess, req.order, req.query.supplier_id && String(req.query.supplier_id));
+    if (resolved.status === 404) return access.notFound(res, resolved.message);
+    if (resolved.status) return res.status(resolved.status).json({ error: { type: 'bad_request', message: resolved.message } });
+
+    const order = await ordersService.getOrderForSupplier(req.params.order_id, resolved.supplierId);
+    if (!order) return access.notFound(res, 'Order not found');
+    const pdf = await renderPackingSlipPdf(order);
+    res.set('Content-Disposition', `inline; filename="${pdfFileName(`packing-slip-${order.order_number}`)}"`);
+    return res.type('application/pdf').send(pdf);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Error rendering packing slip' } });
+  }
 });
 
 // Customer orders
@@ -217,16 +311,37 @@ router.get('/users/:user_id', async (req, res) => {
 router.get('/products', async (req, res) => {
   try {
     const { category, supplier_id, limit, cursor } = req.query;
-    const result = await ordersService.getProducts({ category, supplier_id, status: 'active' }, { limit: Math.min(parseInt(limit) || 20, 20), cursor, sort: '-updatedAt' });
+    const exportOpts = exportOptions(req, res, 'products');
+    if (!exportOpts) return;
+    const filters = { category, supplier_id, status: 'active' };
+
+    if (exportOpts.format) {
+      return await streamExport(res, {
+        resource: 'products',
+        ...exportOpts,
+        fetchPage: pageCursor => ordersService.getProducts(filters, { cursor: pageCursor, sort: '-updatedAt' })
+      });
+    }
+    const result = await ordersService.getProducts(filters, { limit: Math.min(parseInt(limit) || 20, 20), cursor, sort: '-updatedAt' });
     return res.json({ data: result.data, pagination: result.pagination });
   } catch (err) {
     return res.status(500).json({ error: { type: 'internal', message: 'Error fetching products' } });
   }
 });
 
+// Cross-order resources, the supplier directory, exports and webhook subscriptions; each router scopes by req.auth itself
+router.use('/shipments', shipmentsRouter);
+router.use('/returns', returnsRouter);
+router.use('/invoices', invoicesRouter);
+router.use('/suppliers', suppliersRouter);
+router.use('/exports', exportsRouter);
+router.use('/webhooks', webhooksRouter);
+
 app.use('/v1', router);
 
 // Idempotency helper
+const idempotencySignature = req => `${req.method}:${req.path}:${req.rawBody || ''}`;
+
 async function ensureIdempotency(req, res, next) {
   try {
     const key = req.headers['idempotency-key'];
@@ -234,7 +349,7 @@ async function ensureIdempotency(req, res, next) {
     if (!db) return res.status(503).json({ error: { type: 'unavailable', message: 'Database unavailable' } });
     const ref = db.collection('idempotency').doc(String(key));
     const snap = await ref.get();
-    const signature = `${req.method}:${req.path}:${req.rawBody || ''}`;
+    const signature = idempotencySignature(req);
     if (snap.exists) {
       const data = snap.data();
       if (data.signature === signature) {
@@ -251,38 +366,140 @@ async function ensureIdempotency(req, res, next) {
   }
 }
 
+// Validation middleware for express-validator rules
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: { type: 'bad_request', message: 'Validation failed', details: errors.array() } });
+  }
+  next();
+};
+
 // Write endpoints (proposed push flows)
-router.post('/orders/:order_id/acknowledge', ensureIdempotency, async (req, res) => {
+
+// Create an order from a buyer's cart; the idempotency key is claimed in the order's transaction
+router.post('/orders', async (req, res) => {
+  try {
+    const { customer_id: requestedCustomerId, items } = req.body || {};
+    let customerId = requestedCustomerId;
+    if (customerId === undefined) {
+      if (req.auth.customerIds.length > 1) {
+        return res.status(400).json({ error: { type: 'bad_request', message: 'customer_id is required when the key covers several customers' } });
+      }
+      customerId = req.auth.customerIds[0];
+    }
+    if (!access.canAccessCustomer(req.auth, customerId)) return access.notFound(res, 'Customer not found');
+    if (!Array.isArray(items) || items.length === 0 || items.length > 100 ||
+      items.some(item => typeof item?.product_id !== 'string' || !item.product_id || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'items must be an array of 1-100 { product_id, quantity } with positive integer quantities' } });
+    }
+    if (!db) return res.status(503).json({ error: { type: 'unavailable', message: 'Database unavailable' } });
+
+    const key = req.headers['idempotency-key'];
+    const idempotency = key ? { key, signature: idempotencySignature(req), path: req.path } : null;
+    const result = await ordersService.createOrder(customerId, req.body, { uid: req.auth?.uid }, idempotency);
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message } });
+    if (result.replayed) return res.status(200).json({ idempotent: true, order_id: result.order_id, order: result.order });
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Create order failed' } });
+  }
+});
+router.post('/orders/:order_id/acknowledge', resolveSupplier, ensureIdempotency, async (req, res) => {
   try {
     const result = await ordersService.acknowledgeOrder(req.params.order_id, req.body, { uid: req.auth?.uid });
     if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
     return res.status(200).json(result);
   } catch (err) {
     return res.status(500).json({ error: { type: 'internal', message: 'Acknowledge failed' } });
   }
 });
 
-router.post('/orders/:order_id/fulfill', ensureIdempotency, async (req, res) => {
+router.post('/orders/:order_id/fulfill', resolveSupplier, ensureIdempotency, async (req, res) => {
   try {
+    const { items } = req.body;
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    if (items !== undefined && (!Array.isArray(items) || items.some(item => !item?.item_id || !isCount(item.quantity ?? 0) ||
+      (item.quantity_backordered !== undefined && !isCount(item.quantity_backordered))))) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'items must be an array of { item_id, quantity, quantity_backordered? } with non-negative integer quantities' } });
+    }
     const result = await ordersService.fulfillOrder(req.params.order_id, req.body, { uid: req.auth?.uid });
     if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
     return res.status(200).json(result);
   } catch (err) {
     return res.status(500).json({ error: { type: 'internal', message: 'Fulfill failed' } });
   }
 });
 
-router.post('/orders/:order_id/shipments', ensureIdempotency, async (req, res) => {
+router.post('/orders/:order_id/cancel', resolveSupplier, ensureIdempotency, async (req, res) => {
   try {
+    const { reason_code: reasonCode, items } = req.body;
+    if (!CANCEL_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `reason_code must be one of: ${CANCEL_REASON_CODES.join(', ')}` } });
+    }
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0 || items.some(item => !item?.item_id ||
+      (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1))))) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'items must be a non-empty array of { item_id, quantity? } with positive integer quantities' } });
+    }
+    const result = await ordersService.cancelOrder(req.params.order_id, req.body, { uid: req.auth?.uid });
+    if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
+    return res.status(200).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Cancel failed' } });
+  }
+});
+
+router.post('/orders/:order_id/shipments', resolveSupplier, ensureIdempotency, async (req, res) => {
+  try {
+    const { tracking_number: trackingNumber, items } = req.body;
+    const carrier = req.body.carrier || (trackingNumber && inferCarrier(trackingNumber));
+    if (!carrier) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'carrier is required when it cannot be inferred from tracking_number' } });
+    }
+    if (!isKnownCarrier(carrier)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `carrier must be one of: ${getCarriers().join(', ')}` } });
+    }
+    if (trackingNumber && !isValidTrackingNumber(carrier, trackingNumber)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `tracking_number is not a valid ${normalizeCarrier(carrier)} tracking number` } });
+    }
+    req.body.carrier = carrier;
+    if (req.body.status !== undefined && !SHIPMENT_STATUSES.includes(String(req.body.status).toUpperCase())) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `status must be one of: ${SHIPMENT_STATUSES.join(', ')}` } });
+    }
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0 ||
+      items.some(item => !item?.item_id || !Number.isInteger(item.quantity) || item.quantity < 1))) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'items must be a non-empty array of { item_id, quantity } with positive integer quantities' } });
+    }
     const result = await ordersService.createShipment(req.params.order_id, req.body, { uid: req.auth?.uid });
     if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
     return res.status(201).json(result);
   } catch (err) {
     return res.status(500).json({ error: { type: 'internal', message: 'Create shipment failed' } });
   }
 });
 
-router.post('/orders/:order_id/shipments/:shipment_id/events', ensureIdempotency, async (req, res) => {
+// Events set the shipment's status, and shipment.delivered marks it delivered, so both are checked up front
+const shipmentStatusMessage = `status must be one of: ${SHIPMENT_STATUSES.join(', ')}`;
+const shipmentEventRules = [
+  body('type').optional().isIn(SHIPMENT_EVENT_TYPES).withMessage(`type must be one of: ${SHIPMENT_EVENT_TYPES.join(', ')}`),
+  body('status').optional().isString().withMessage(shipmentStatusMessage).bail()
+    .toUpperCase().isIn(SHIPMENT_STATUSES).withMessage(shipmentStatusMessage),
+  body('status').if(body('type').equals('shipment.delivered')).optional().equals('DELIVERED')
+    .withMessage('status must be DELIVERED for a shipment.delivered event'),
+  body('timestamp').optional().isISO8601().withMessage('timestamp must be an ISO-8601 timestamp'),
+  body(['message', 'location']).optional({ values: 'null' }).isString().withMessage((value, { path }) => `${path} must be a string`),
+  handleValidationErrors
+];
+
+router.post('/orders/:order_id/shipments/:shipment_id/events', resolveSupplier, shipmentEventRules, ensureIdempotency, async (req, res) => {
   try {
     const result = await ordersService.addShipmentEvent(req.params.order_id, req.params.shipment_id, req.body, { uid: req.auth?.uid });
     if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Shipment not found' } });
@@ -292,6 +509,118 @@ router.post('/orders/:order_id/shipments/:shipment_id/events', ensureIdempotency
   }
 });
 
+router.post('/orders/:order_id/invoices', resolveSupplier, ensureIdempotency, async (req, res) => {
+  try {
+    const { tax_rate: taxRate, payment_terms_days: termsDays, due_date: dueDate } = req.body;
+    if (taxRate !== undefined && (typeof taxRate !== 'number' || !(taxRate >= 0 && taxRate <= 1))) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'tax_rate must be a number between 0 and 1' } });
+    }
+    if (termsDays !== undefined && (!Number.isInteger(termsDays) || termsDays < 0 || termsDays > 365)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'payment_terms_days must be an integer between 0 and 365' } });
+    }
+    if (dueDate !== undefined && isNaN(new Date(dueDate).getTime())) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'due_date must be an ISO-8601 timestamp' } });
+    }
+    const result = await ordersService.createInvoice(req.params.order_id, req.body, { uid: req.auth?.uid });
+    if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Create invoice failed' } });
+  }
+});
+
+// Returns are opened by the order's customer and moved along by its supplier
+router.post('/orders/:order_id/returns', ensureIdempotency, async (req, res) => {
+  try {
+    if (!req.orderAccess.asCustomer) return access.notFound(res, 'Order not found');
+    const { reason_code: reasonCode, items } = req.body;
+    if (!RETURN_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: `reason_code must be one of: ${RETURN_REASON_CODES.join(', ')}` } });
+    }
+    if (!Array.isArray(items) || items.length === 0 ||
+      items.some(item => !item?.item_id || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'items must be a non-empty array of { item_id, quantity } with positive integer quantities' } });
+    }
+    const result = await ordersService.createReturn(req.params.order_id, req.body, { uid: req.auth?.uid });
+    if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Order not found' } });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Create return failed' } });
+  }
+});
+
+router.post(`/returns/:return_id/:action(${Object.keys(RETURN_ACTIONS).join('|')})`, ensureIdempotency, async (req, res) => {
+  try {
+    const { refund_amount: refundAmount } = req.body;
+    if (refundAmount !== undefined && (typeof refundAmount !== 'number' || !Number.isFinite(refundAmount) || refundAmount < 0)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'refund_amount must be a non-negative number' } });
+    }
+    const result = await ordersService.transitionReturn(req.params.return_id, req.params.action, req.body, { uid: req.auth?.uid }, req.auth.supplierIds);
+    if (result.not_found) return res.status(404).json({ error: { type: 'not_found', message: 'Return not found' } });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message, current_status: result.current_status } });
+    return res.status(200).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Return update failed' } });
+  }
+});
+
+// Supplier catalog management; products outside the key's suppliers look missing
+router.post('/products', ensureIdempotency, async (req, res) => {
+  try {
+    let supplierId = req.body?.supplier_id;
+    if (supplierId === undefined) {
+      if (req.auth.supplierIds.length > 1) {
+        return res.status(400).json({ error: { type: 'bad_request', message: 'supplier_id is required when the key covers several suppliers' } });
+      }
+      supplierId = req.auth.supplierIds[0];
+    }
+    if (!access.canAccessSupplier(req.auth, supplierId)) return access.notFound(res, 'Supplier not found');
+    const errors = validateProduct(req.body);
+    if (errors.length) return res.status(400).json({ error: { type: 'bad_request', message: errors[0].message, details: errors } });
+
+    const result = await ordersService.createProduct(supplierId, req.body, { uid: req.auth?.uid });
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message } });
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Create product failed' } });
+  }
+});
+
+router.patch('/products/:product_id', async (req, res) => {
+  try {
+    const errors = validateProduct(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ error: { type: 'bad_request', message: errors[0].message, details: errors } });
+    if (req.body.supplier_id !== undefined) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'supplier_id cannot be changed' } });
+    }
+    if (!PRODUCT_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({ error: { type: 'bad_request', message: 'Provide at least one field to update' } });
+    }
+
+    const result = await ordersService.updateProduct(req.params.product_id, req.body, { uid: req.auth?.uid }, req.auth.supplierIds);
+    if (result.not_found) return access.notFound(res, 'Product not found');
+    if (result.invalid) return res.status(400).json({ error: { type: 'bad_request', message: result.message } });
+    if (result.conflict) return res.status(409).json({ error: { type: 'conflict', message: result.message } });
+    return res.json(result.product);
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Update product failed' } });
+  }
+});
+
+router.delete('/products/:product_id', async (req, res) => {
+  try {
+    const result = await ordersService.deleteProduct(req.params.product_id, req.auth.supplierIds);
+    if (result.not_found) return access.notFound(res, 'Product not found');
+    return res.status(204).send();
+  } catch (err) {
+    return res.status(500).json({ error: { type: 'internal', message: 'Delete product failed' } });
+  }
+});
+
 router.post('/suppliers/:supplier_id/inventory', ensureIdempotency, async (req, res) => {
   try {
     const items = Array.isArray(req.body) ? req.body : req.body?.items;
@@ -307,6 +636,10 @@ router.post('/suppliers/:supplier_id/inventory', ensureIdempotency, async (req,
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof AuthError) {
+    const status = { forbidden: 403, unavailable: 503 }[err.type] || 401;
+    return res.status(status).json({ error: { type: err.type, message: err.message, ...err.details, request_id: req.id || 'unknown' } });
+  }
   console.error('Error:', err);
   res.status(500).json({ error: { type: 'internal', message: 'An internal server error occurred', request_id: req.id || 'unknown' } });
 });
@@ -316,10 +649,18 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: { type: 'not_found', message: 'The requested endpoint was not found', request_id: req.id || 'unknown' } });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Kasbah API server running on port ${PORT}`);
-  console.log(`📚 API docs: http://localhost:${PORT}/docs`);
-  console.log(`🏥 Health:   http://localhost:${PORT}/v1/ping`);
-});
+// Listen only when run directly, so tests can require the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    // Retry loop for failed webhook deliveries
+    webhookDispatcher.start();
+    // Carrier tracking updates for open shipments (no-op without carrier adapters)
+    trackingPoller.start();
+
+    console.log(`🚀 Kasbah API server running on port ${PORT}`);
+    console.log(`📚 API docs: http://localhost:${PORT}/docs`);
+    console.log(`🏥 Health:   http://localhost:${PORT}/v1/ping`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,119 @@
+/**
+ * Resource-level authorization
+ *
+ * Each API key is bound to the customer and/or supplier IDs it may act for
+ * (req.auth.customerIds / req.auth.supplierIds, set by authenticateRequest).
+ * Anything outside those bindings is answered with 404 so callers cannot
+ * probe for IDs that exist.
+ */
+
+const notFound = (res, message) => res.status(404).json({ error: { type: 'not_found', message } });
+
+function canAccessCustomer(auth, customerId) {
+  return Boolean(customerId) && (auth?.customerIds || []).includes(customerId);
+}
+
+function canAccessSupplier(auth, supplierId) {
+  return Boolean(supplierId) && (auth?.supplierIds || []).includes(supplierId);
+}
+
+// User IDs double as customer and supplier IDs
+function canAccessUser(auth, userId) {
+  return canAccessCustomer(auth, userId) || canAccessSupplier(auth, userId);
+}
+
+/**
+ * Every ID the key is bound to, for queries over denormalized party_ids fields
+ */
+function boundPartyIds(auth) {
+  return [...new Set([...(auth?.customerIds || []), ...(auth?.supplierIds || [])])];
+}
+
+/**
+ * How the caller relates to a formatted order: as its customer and/or as some of its suppliers
+ */
+function getOrderAccess(auth, order) {
+  const orderSupplierIds = (order?.suppliers || []).map(s => s.supplier_id);
+  return {
+    asCustomer: canAccessCustomer(auth, order?.customer?.id),
+    supplierIds: orderSupplierIds.filter(id => canAccessSupplier(auth, id))
+  };
+}
+
+function hasOrderAccess(access) {
+  return access.asCustomer || access.supplierIds.length > 0;
+}
+
+/**
+ * Trim a complete order to what a supplier-only caller may see: its own supplier orders
+ */
+function scopeOrder(order, access) {
+  if (access.asCustomer) return order;
+  const suppliers = order.suppliers.filter(s => access.supplierIds.includes(s.supplier_id));
+  const itemIds = new Set(suppliers.flatMap(s => (s.items || []).map(item => item.item_id)));
+  return {
+    ...order,
+    totals: {
+      subtotal: suppliers.reduce((sum, s) => sum + (s.subtotal || 0), 0),
+      currency: order.totals?.currency || 'USD'
+    },
+    suppliers,
+    original_cart: (order.original_cart || []).filter(item => itemIds.has(item.item_id))
+  };
+}
+
+/**
+ * Pick the supplier a write acts for: the requested supplier_id if the caller
+ * may use it on this order, or the only one it could mean.
+ * Returns { supplierId } or { status, message } describing the rejection.
+ */
+function resolveWriteSupplier(access, requestedSupplierId) {
+  if (access.supplierIds.length === 0) {
+    return { status: 404, message: 'Order not found' };
+  }
+  if (requestedSupplierId) {
+    return access.supplierIds.includes(requestedSupplierId)
+      ? { supplierId: requestedSupplierId }
+      : { status: 404, message: 'Order not found' };
+  }
+  if (access.supplierIds.length > 1) {
+    return { status: 400, message: 'supplier_id is required when the key covers several suppliers on this order' };
+  }
+  return { supplierId: access.supplierIds[0] };
+}
+
+/**
+ * Pick the supplier order a read is about, e.g. for a packing slip: the
+ * customer may choose any supplier on the order, a supplier only its own.
+ * Returns { supplierId } or { status, message } like resolveWriteSupplier.
+ */
+function resolveReadSupplier(access, order, requestedSupplierId) {
+  const candidates = access.asCustomer
+    ? (order?.suppliers || []).map(s => s.supplier_id)
+    : access.supplierIds;
+  if (requestedSupplierId) {
+    return candidates.includes(requestedSupplierId)
+      ? { supplierId: requestedSupplierId }
+      : { status: 404, message: 'Order not found' };
+  }
+  if (candidates.length === 0) {
+    return { status: 404, message: 'Order not found' };
+  }
+  if (candidates.length > 1) {
+    return { status: 400, message: 'supplier_id is required when the order has several suppliers' };
+  }
+  return { supplierId: candidates[0] };
+}
+
+module.exports = {
+  boundPartyIds,
+  canAccessCustomer,
+  canAccessSupplier,
+  canAccessUser,
+  getOrderAccess,
+  hasOrderAccess,
+  notFound,
+  resolveReadSupplier,
+  resolveWriteSupplier,
+  scopeOrder
+};
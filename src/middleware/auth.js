@@ -1,9 +1,21 @@
 const crypto = require('crypto');
+const { initializeFirestore } = require('../services/real-firestore');
+
+// How long a looked-up API key stays in the in-process cache
+const API_KEY_CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS, 10) || 60 * 1000;
+const apiKeyCache = new Map(); // apiKey -> { data, expiresAt }
+
+// Per-key signature enforcement (signatureMode field on api_keys docs)
+const SIGNATURE_MODES = {
+  REQUIRED: 'required',
+  KEY_ONLY: 'key_only'
+};
 
 class AuthError extends Error {
-  constructor(message, type = 'unauthorized') {
+  constructor(message, type = 'unauthorized', details = {}) {
     super(message);
     this.type = type;
+    this.details = details;
   }
 }
 
@@ -14,6 +26,9 @@ class AuthError extends Error {
  * - Header: Kasbah-Key: pk_live_xxx
  * - Header: Kasbah-Signature: t=<unix>,s=<hex>
  * - Signature: HMAC_SHA256(secret, t + "\n" + method + "\n" + path + "\n" + body)
+ *
+ * Keys whose signatureMode is 'key_only' may omit Kasbah-Signature while
+ * partners migrate; a signature that is sent is still verified.
  */
 const authenticateRequest = async (req, res, next) => {
   try {
@@ -24,53 +39,30 @@ const authenticateRequest = async (req, res, next) => {
       throw new AuthError('Missing Kasbah-Key header');
     }
     
-    if (!signature) {
-      throw new AuthError('Missing Kasbah-Signature header');
-    }
-    
-    // Parse signature: t=timestamp,s=signature
-    const sigParts = signature.split(',');
-    const timestampPart = sigParts.find(part => part.startsWith('t='));
-    const signaturePart = sigParts.find(part => part.startsWith('s='));
-    
-    if (!timestampPart || !signaturePart) {
-      throw new AuthError('Invalid signature format. Expected: t=<timestamp>,s=<signature>');
-    }
-    
-    const timestamp = timestampPart.substring(2);
-    const providedSignature = signaturePart.substring(2);
-    
-    // Validate timestamp (prevent replay attacks)
-    const requestTime = parseInt(timestamp, 10);
-    const currentTime = Math.floor(Date.now() / 1000);
-    const clockSkew = Math.abs(currentTime - requestTime);
-    
-    if (clockSkew > 300) { // 5 minutes
-      throw new AuthError('Request timestamp is too old or too far in the future');
-    }
-    
-    // Look up API key and get secret (mock for now)
+    // Look up API key and get secret
     const apiKeyData = await getApiKeyData(apiKey);
     if (!apiKeyData) {
       throw new AuthError('Invalid API key');
     }
     
-    // Verify HMAC signature
-    const rawBody = req.rawBody || '';
-    const signaturePayload = `${timestamp}\n${req.method}\n${req.path}\n${rawBody}`;
-    
-    const expectedSignature = crypto
-      .createHmac('sha256', apiKeyData.secret)
-      .update(signaturePayload, 'utf8')
-      .digest('hex');
+    if (signature) {
+      verifySignature(signature, apiKeyData.secret, req);
+    } else if (apiKeyData.signatureMode !== SIGNATURE_MODES.KEY_ONLY) {
+      throw new AuthError('Missing Kasbah-Signature header');
+    }
     
-    if (!crypto.timingSafeEqual(Buffer.from(providedSignature, 'hex'), Buffer.from(expectedSignature, 'hex'))) {
-      throw new AuthError('Invalid signature');
+    // Partner-owned resources (webhooks, exports) are looked up by partnerId
+    if (!apiKeyData.partnerId) {
+      throw new AuthError('API key is not assigned to a partner', 'forbidden');
     }
     
-    // Check API key permissions/scopes
-    if (!hasRequiredPermissions(apiKeyData, req)) {
-      throw new AuthError('Insufficient permissions', 'forbidden');
+    // Check API key permissions/scopes; routes without a scope rule are closed
+    const missingScopes = getMissingScopes(apiKeyData, req);
+    if (!missingScopes) {
+      throw new AuthError('This route is not available to API keys', 'forbidden');
+    }
+    if (missingScopes.length > 0) {
+      throw new AuthError(`Missing required scopes: ${missingScopes.join(', ')}`, 'forbidden', { missing_scopes: missingScopes });
     }
     
     // Attach partner info to request
@@ -80,6 +72,14 @@ const authenticateRequest = async (req, res, next) => {
       scopes: apiKeyData.scopes,
       ipAllowlist: apiKeyData.ipAllowlist
     };
+    req.auth = {
+      uid: apiKeyData.uid || apiKeyData.partnerId,
+      apiKey,
+      customerIds: apiKeyData.customerIds,
+      supplierIds: apiKeyData.supplierIds,
+      signed: Boolean(signature),
+      rateLimitHourly: apiKeyData.rateLimitHourly
+    };
     
     next();
     
@@ -93,6 +93,51 @@ const authenticateRequest = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify a Kasbah-Signature header against the key secret, throwing AuthError on mismatch
+ */
+function verifySignature(signature, secret, req) {
+  // Parse signature: t=timestamp,s=signature
+  const sigParts = signature.split(',');
+  const timestampPart = sigParts.find(part => part.startsWith('t='));
+  const signaturePart = sigParts.find(part => part.startsWith('s='));
+  
+  if (!timestampPart || !signaturePart) {
+    throw new AuthError('Invalid signature format. Expected: t=<timestamp>,s=<signature>');
+  }
+  
+  const timestamp = timestampPart.substring(2);
+  const providedSignature = signaturePart.substring(2);
+  
+  // Validate timestamp (prevent replay attacks)
+  const requestTime = parseInt(timestamp, 10);
+  const currentTime = Math.floor(Date.now() / 1000);
+  const clockSkew = Math.abs(currentTime - requestTime);
+  
+  if (!Number.isFinite(clockSkew) || clockSkew > 300) { // 5 minutes
+    throw new AuthError('Request timestamp is too old or too far in the future');
+  }
+  
+  // Sign the full mounted path (e.g. /v1/orders), not the router-relative one
+  const rawBody = req.rawBody || '';
+  const signaturePayload = `${timestamp}\n${req.method}\n${fullPath(req)}\n${rawBody}`;
+  
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(signaturePayload, 'utf8')
+    .digest('hex');
+  
+  const provided = Buffer.from(providedSignature, 'hex');
+  const expected = Buffer.from(expectedSignature, 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new AuthError('Invalid signature');
+  }
+}
+
+function fullPath(req) {
+  return `${req.baseUrl || ''}${req.path}`;
+}
+
 /**
  * Middleware to capture raw body for HMAC validation
  */
@@ -108,59 +153,132 @@ const captureRawBody = (req, res, next) => {
 };
 
 /**
- * Mock API key lookup - replace with actual database/Firebase lookup
+ * Look up an API key in the Firestore api_keys collection (doc ID = public key).
+ * Results, including misses, are cached in-process for API_KEY_CACHE_TTL_MS.
  */
 async function getApiKeyData(apiKey) {
-  // Mock data - in production, this would query Firestore
-  const mockKeys = {
-    'pk_live_abc123': {
-      partnerId: 'partner_1',
-      partnerName: 'Acme Medical Supply',
-      secret: 'sk_live_secret123',
-      scopes: ['orders:read', 'shipments:read'],
-      ipAllowlist: [], // empty = allow all IPs
-      active: true
-    },
-    'pk_test_xyz789': {
-      partnerId: 'partner_test',
-      partnerName: 'Test Partner',
-      secret: 'sk_test_secret789',
-      scopes: ['orders:read'],
-      ipAllowlist: ['127.0.0.1', '::1'],
-      active: true
+  const cached = apiKeyCache.get(apiKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+  
+  const db = initializeFirestore();
+  if (!db) {
+    throw new AuthError('Database unavailable', 'unavailable');
+  }
+  
+  const doc = await db.collection('api_keys').doc(String(apiKey)).get();
+  let keyData = null;
+  if (doc.exists) {
+    const data = doc.data() || {};
+    if (data.active !== false && data.secret) {
+      // Resource bindings; a key with neither list acts only for its own uid
+      let customerIds = Array.isArray(data.customerIds) ? data.customerIds : [];
+      let supplierIds = Array.isArray(data.supplierIds) ? data.supplierIds : [];
+      if (customerIds.length === 0 && supplierIds.length === 0 && data.uid) {
+        customerIds = [data.uid];
+        supplierIds = [data.uid];
+      }
+      keyData = {
+        partnerId: data.partnerId,
+        partnerName: data.partnerName,
+        uid: data.uid,
+        secret: data.secret,
+        scopes: Array.isArray(data.scopes) ? data.scopes : [],
+        customerIds,
+        supplierIds,
+        ipAllowlist: Array.isArray(data.ipAllowlist) ? data.ipAllowlist : [], // empty = allow all IPs
+        signatureMode: data.signatureMode === SIGNATURE_MODES.KEY_ONLY ? SIGNATURE_MODES.KEY_ONLY : SIGNATURE_MODES.REQUIRED,
+        rateLimitHourly: Number.isInteger(data.rateLimitHourly) ? data.rateLimitHourly : undefined
+      };
     }
-  };
+  }
   
-  const keyData = mockKeys[apiKey];
-  return keyData && keyData.active ? keyData : null;
+  apiKeyCache.set(apiKey, { data: keyData, expiresAt: Date.now() + API_KEY_CACHE_TTL_MS });
+  return keyData;
 }
 
 /**
- * Check if API key has required permissions for the request
+ * Drop cached key data (all keys when apiKey is omitted), e.g. after rotating a secret
  */
-function hasRequiredPermissions(apiKeyData, req) {
-  const path = req.path;
-  
-  // Map routes to required scopes
-  const routeScopes = {
-    '/v1/orders': ['orders:read'],
-    '/v1/shipments': ['shipments:read'],
-    '/v1/returns': ['returns:read'],
-    '/v1/webhooks': ['webhooks:write'],
-    '/v1/ping': [] // no special permissions needed
-  };
-  
-  // Find required scopes for this route
-  let requiredScopes = [];
-  for (const [routePrefix, scopes] of Object.entries(routeScopes)) {
-    if (path.startsWith(routePrefix)) {
-      requiredScopes = scopes;
-      break;
-    }
+function clearApiKeyCache(apiKey) {
+  if (apiKey) {
+    apiKeyCache.delete(apiKey);
+  } else {
+    apiKeyCache.clear();
   }
-  
-  // Check if API key has all required scopes
-  return requiredScopes.every(scope => apiKeyData.scopes.includes(scope));
+}
+
+/**
+ * Scopes required per route and method. Patterns match the whole path, so
+ * /v1/orders/:id/fulfill needs orders:write rather than inheriting orders:read.
+ * scopes is a list, or a function of the request for routes whose scope
+ * depends on the body. First match wins; routes not listed are denied.
+ */
+const ROUTE_SCOPES = [
+  { method: 'GET', pattern: /^\/v1\/orders$/, scopes: ['orders:read'] },
+  { method: 'POST', pattern: /^\/v1\/orders$/, scopes: ['orders:write'] },
+  { method: 'GET', pattern: /^\/v1\/orders\/[^/]+$/, scopes: ['orders:read'] },
+  { method: 'GET', pattern: /^\/v1\/orders\/[^/]+\/(items|events|packing-slip\.pdf)$/, scopes: ['orders:read'] },
+  { method: 'GET', pattern: /^\/v1\/orders\/[^/]+\/invoices$/, scopes: ['invoices:read'] },
+  { method: 'POST', pattern: /^\/v1\/orders\/[^/]+\/invoices$/, scopes: ['invoices:write'] },
+  { method: 'POST', pattern: /^\/v1\/orders\/[^/]+\/(acknowledge|fulfill|cancel)$/, scopes: ['orders:write'] },
+  { method: 'POST', pattern: /^\/v1\/orders\/[^/]+\/shipments$/, scopes: ['shipments:write'] },
+  { method: 'POST', pattern: /^\/v1\/orders\/[^/]+\/shipments\/[^/]+\/events$/, scopes: ['shipments:write'] },
+  { method: 'GET', pattern: /^\/v1\/customers\/[^/]+\/orders$/, scopes: ['orders:read'] },
+  { method: 'GET', pattern: /^\/v1\/suppliers\/[^/]+\/orders$/, scopes: ['orders:read'] },
+  { method: 'POST', pattern: /^\/v1\/suppliers\/[^/]+\/inventory$/, scopes: ['inventory:write'] },
+  { method: '*', pattern: /^\/v1\/suppliers\/[^/]+\/catalog\/imports(\/.*)?$/, scopes: ['products:write'] },
+  { method: 'GET', pattern: /^\/v1\/suppliers(\/[^/]+)?$/, scopes: ['suppliers:read'] },
+  { method: 'PATCH', pattern: /^\/v1\/suppliers\/[^/]+$/, scopes: ['suppliers:write'] },
+  { method: 'GET', pattern: /^\/v1\/shipments(\/[^/]+)?$/, scopes: ['shipments:read'] },
+  { method: 'POST', pattern: /^\/v1\/orders\/[^/]+\/returns$/, scopes: ['returns:write'] },
+  { method: 'GET', pattern: /^\/v1\/returns(\/[^/]+)?$/, scopes: ['returns:read'] },
+  { method: 'POST', pattern: /^\/v1\/returns\/[^/]+\/(approve|receive|refund|reject)$/, scopes: ['returns:write'] },
+  { method: 'GET', pattern: /^\/v1\/invoices(\/[^/]+)?$/, scopes: ['invoices:read'] },
+  { method: 'GET', pattern: /^\/v1\/products$/, scopes: ['products:read'] },
+  { method: 'POST', pattern: /^\/v1\/products$/, scopes: ['products:write'] },
+  { method: 'PATCH', pattern: /^\/v1\/products\/[^/]+$/, scopes: ['products:write'] },
+  { method: 'DELETE', pattern: /^\/v1\/products\/[^/]+$/, scopes: ['products:write'] },
+  { method: 'GET', pattern: /^\/v1\/users\/[^/]+$/, scopes: ['users:read'] },
+  // Exporting a resource also needs the scope that lists it
+  { method: 'POST', pattern: /^\/v1\/exports$/, scopes: req => exportScopes(req.body?.resource) },
+  { method: 'GET', pattern: /^\/v1\/exports\/[^/]+$/, scopes: ['exports:read'] },
+  { method: 'GET', pattern: /^\/v1\/webhooks(\/.*)?$/, scopes: ['webhooks:read'] },
+  { method: '*', pattern: /^\/v1\/webhooks(\/.*)?$/, scopes: ['webhooks:write'] }
+];
+
+const EXPORT_RESOURCE_SCOPES = {
+  orders: 'orders:read',
+  products: 'products:read',
+  shipments: 'shipments:read'
+};
+
+// An unknown resource needs only exports:write; the route then rejects it with 400
+function exportScopes(resource) {
+  return Object.hasOwn(EXPORT_RESOURCE_SCOPES, resource) ? ['exports:write', EXPORT_RESOURCE_SCOPES[resource]] : ['exports:write'];
+}
+
+/**
+ * Scopes the route requires (see ROUTE_SCOPES), or null when no rule covers it
+ */
+function getRequiredScopes(method, path, req = {}) {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const rule = ROUTE_SCOPES.find(r => (r.method === '*' || r.method === method) && r.pattern.test(normalized));
+  if (!rule) return null;
+  return typeof rule.scopes === 'function' ? rule.scopes(req) : rule.scopes;
+}
+
+/**
+ * Required scopes for the request that the API key has not been granted, or
+ * null for a route no key may call
+ */
+function getMissingScopes(apiKeyData, req) {
+  const granted = apiKeyData.scopes || [];
+  // HEAD is served by GET handlers
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const required = getRequiredScopes(method, fullPath(req), req);
+  return required && required.filter(scope => !granted.includes(scope));
 }
 
 /**
@@ -184,5 +302,8 @@ module.exports = {
   authenticateRequest,
   captureRawBody,
   checkIpAllowlist,
+  clearApiKeyCache,
+  getRequiredScopes,
+  SIGNATURE_MODES,
   AuthError
 };
\ No newline at end of file
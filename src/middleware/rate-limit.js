@@ -0,0 +1,110 @@
+/**
+ * Per-key rate limiting
+ *
+ * Each API key gets a sliding one-hour quota (api_keys.rateLimitHourly) and a
+ * shorter burst window that caps how much of that quota can be spent at once:
+ * its pro-rata share of the hourly limit plus a burst allowance. Requests are
+ * charged by route cost, so expensive writes use up more of the quota.
+ */
+
+const { createRateLimitStore, estimateUsage } = require('../services/rate-limit-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULTS = {
+  hourlyLimit: parseInt(process.env.RATE_LIMIT_HOURLY_DEFAULT, 10) || 50,
+  burstWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+  burst: parseInt(process.env.RATE_LIMIT_BURST, 10) || 20
+};
+
+/**
+ * Requests that cost more than one unit. First match wins; everything else costs 1.
+ */
+const ROUTE_COSTS = [
+  { method: 'POST', pattern: /^\/v1\/suppliers\/[^/]+\/inventory$/, cost: 10 },
+  { method: 'POST', pattern: /^\/v1\/suppliers\/[^/]+\/catalog\/imports$/, cost: 10 },
+  { method: 'POST', pattern: /^\/v1\/exports$/, cost: 10 }
+];
+
+function getRouteCost(method, path) {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const rule = ROUTE_COSTS.find(r => r.method === method && r.pattern.test(normalized));
+  return rule ? rule.cost : 1;
+}
+
+/**
+ * Milliseconds until a window has room for `cost` more units (cost must not
+ * exceed the window's limit; such requests are refused before they are counted)
+ */
+function msUntilAvailable(window, state, cost) {
+  const { ms, limit } = window;
+  const { previous, current, elapsedMs } = state;
+  if (estimateUsage(ms, state) + cost <= limit) return 0;
+
+  // Room appears within the current bucket as the previous one slides out
+  if (current + cost <= limit && previous > 0) {
+    return Math.max(0, ms * (1 - (limit - current - cost) / previous) - elapsedMs);
+  }
+  // Otherwise wait for the next bucket, then for the current one to slide out
+  const untilNextBucket = ms - elapsedMs;
+  return untilNextBucket + (current > 0 ? Math.max(0, ms * (1 - (limit - cost) / current)) : 0);
+}
+
+/**
+ * Build the rate limiting middleware (runs after authenticateRequest)
+ */
+function createRateLimiter(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const store = options.store || createRateLimitStore();
+
+  return async function rateLimitByKey(req, res, next) {
+    const limit = Number.isInteger(req.auth.rateLimitHourly) ? req.auth.rateLimitHourly : config.hourlyLimit;
+    const windows = [{ ms: HOUR_MS, limit }];
+    if (config.burstWindowMs < HOUR_MS) {
+      windows.push({ ms: config.burstWindowMs, limit: Math.ceil(limit * config.burstWindowMs / HOUR_MS) + config.burst });
+    }
+    const cost = getRouteCost(req.method, req.baseUrl + req.path);
+    const now = Date.now();
+
+    // Waiting would never help a request that costs more than a whole window allows
+    const tooSmall = windows.find(w => cost > w.limit);
+    if (tooSmall) {
+      return res.status(403).json({
+        error: {
+          type: 'forbidden',
+          message: `This request costs ${cost} rate limit units, more than the key's limit of ${tooSmall.limit} per ${tooSmall.ms === HOUR_MS ? 'hour' : `${tooSmall.ms / 1000} seconds`}, so it can never be allowed`
+        }
+      });
+    }
+
+    let result;
+    try {
+      result = await store.consume(req.auth.apiKey, windows, cost, now);
+    } catch (err) {
+      // Fail open: an unavailable store should not take the API down
+      console.error('Rate limit store unavailable:', err.message);
+      return next();
+    }
+
+    const hourly = result.windows[0];
+    req.auth.limit = limit;
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, Math.floor(limit - estimateUsage(HOUR_MS, hourly)))),
+      'X-RateLimit-Reset': String(Math.ceil((now + HOUR_MS - hourly.elapsedMs) / 1000))
+    });
+
+    if (!result.allowed) {
+      const waitMs = Math.max(...windows.map((w, i) => msUntilAvailable(w, result.windows[i], cost)));
+      res.set('Retry-After', String(Math.max(1, Math.ceil(waitMs / 1000))));
+      return res.status(429).json({ error: { type: 'rate_limited', message: 'Rate limit exceeded' } });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  getRouteCost,
+  msUntilAvailable
+};
@@ -33,8 +33,8 @@ const schemas = {
    *           description: Last update timestamp
    *         status:
    *           type: string
-   *           enum: [PENDING, APPROVED, FULFILLED, CANCELLED]
-   *           example: FULFILLED
+   *           enum: [pending, acknowledged, partially_fulfilled, fulfilled, shipped, cancelled]
+   *           example: fulfilled
    *           description: Current order status
    *         customer:
    *           type: object
@@ -170,7 +170,7 @@ const schemas = {
    *           example: evt_abc123
    *         type:
    *           type: string
-   *           enum: [order.created, order.approved, order.fulfilled, order.cancelled, order.updated]
+   *           enum: [order.created, order.acknowledged, order.partially_fulfilled, order.fulfilled, order.shipped, order.cancelled, order.updated]
    *           example: order.fulfilled
    *         status:
    *           type: string
@@ -202,11 +202,17 @@ const schemas = {
    *           example: ord_9aK3fQ
    *         carrier:
    *           type: string
-   *           enum: [UPS, FEDEX, USPS, DHL]
+   *           description: UPS, FEDEX, USPS, DHL, or a custom carrier code from CUSTOM_CARRIERS
    *           example: UPS
    *         tracking_number:
    *           type: string
-   *           example: 1Z999AA1234567890
+   *           example: 1Z999AA10123456784
+   *         tracking_url:
+   *           type: string
+   *           format: uri
+   *           nullable: true
+   *           description: Carrier's public tracking page
+   *           example: https://www.ups.com/track?tracknum=1Z999AA10123456784
    *         status:
    *           type: string
    *           enum: [CREATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, EXCEPTION]
@@ -285,6 +291,172 @@ const schemas = {
    *           example: Package delivered to recipient
    */
 
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Return:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           example: rma_7Qe2
+   *         order_id:
+   *           type: string
+   *           example: ord_9aK3fQ
+   *         customer_id:
+   *           type: string
+   *         supplier_id:
+   *           type: string
+   *         status:
+   *           type: string
+   *           enum: [requested, approved, received, refunded, rejected]
+   *           example: requested
+   *         reason_code:
+   *           type: string
+   *           enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+   *         reason:
+   *           type: string
+   *           nullable: true
+   *           example: Box arrived crushed
+   *         items:
+   *           type: array
+   *           items:
+   *             type: object
+   *             properties:
+   *               item_id:
+   *                 type: string
+   *               sku:
+   *                 type: string
+   *               name:
+   *                 type: string
+   *               quantity:
+   *                 type: integer
+   *               unit_price:
+   *                 type: number
+   *         amount:
+   *           type: number
+   *           description: Value of the returned items
+   *         refund_amount:
+   *           type: number
+   *           nullable: true
+   *         currency:
+   *           type: string
+   *           example: USD
+   *         rejection_reason:
+   *           type: string
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *         approved_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         received_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         refunded_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         rejected_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Invoice:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *         invoice_number:
+   *           type: string
+   *           example: INV-gKjztAPj6vXaQde6NdektCmDdyZ2-000042
+   *         order_id:
+   *           type: string
+   *           description: With supplier_id, identifies the supplier order billed
+   *           example: ord_9aK3fQ
+   *         supplier_id:
+   *           type: string
+   *         customer_id:
+   *           type: string
+   *         status:
+   *           type: string
+   *           example: issued
+   *         payment_status:
+   *           type: string
+   *           enum: [unpaid, partially_paid, paid, refunded, void]
+   *         items:
+   *           type: array
+   *           items:
+   *             type: object
+   *             properties:
+   *               item_id:
+   *                 type: string
+   *               product_id:
+   *                 type: string
+   *               sku:
+   *                 type: string
+   *               name:
+   *                 type: string
+   *               quantity:
+   *                 type: integer
+   *               unit_price:
+   *                 type: number
+   *               line_total:
+   *                 type: number
+   *         subtotal:
+   *           type: number
+   *         tax:
+   *           type: object
+   *           properties:
+   *             rate:
+   *               type: number
+   *               nullable: true
+   *               example: 0.0825
+   *             amount:
+   *               type: number
+   *         total:
+   *           type: number
+   *         amount_paid:
+   *           type: number
+   *         amount_due:
+   *           type: number
+   *         currency:
+   *           type: string
+   *           example: USD
+   *         issued_at:
+   *           type: string
+   *           format: date-time
+   *         due_date:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         overdue:
+   *           type: boolean
+   *           description: Unpaid or partially paid past its due date
+   *         paid_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   */
+
   /**
    * @swagger
    * components:
@@ -292,6 +464,11 @@ const schemas = {
    *     Address:
    *       type: object
    *       properties:
+   *         name:
+   *           type: string
+   *           nullable: true
+   *           description: Recipient, when different from the customer name
+   *           example: Receiving Dock
    *         line1:
    *           type: string
    *           example: 201 Main St
@@ -340,7 +517,7 @@ const schemas = {
    *           type: array
    *           items:
    *             type: string
-   *             enum: [order.created, order.updated, shipment.created, shipment.delivered, return.created]
+   *             enum: [order.created, order.updated, order.cancelled, shipment.created, shipment.delivered, return.created, return.approved, return.received, return.refunded, return.rejected, invoice.created]
    *           example: [order.created, order.updated]
    *         status:
    *           type: string
@@ -365,6 +542,7 @@ const schemas = {
    *           example: 2025-09-01T14:30:00Z
    *         delivery_stats:
    *           type: object
+   *           description: Counts every attempt, including retries and manual redeliveries
    *           properties:
    *             total_deliveries:
    *               type: integer
@@ -377,6 +555,381 @@ const schemas = {
    *               example: 2
    */
 
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     WebhookDelivery:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           example: dlv_4f1c2a9e7b3d4e10
+   *         webhook_id:
+   *           type: string
+   *           example: wh_abc123def456
+   *         event_id:
+   *           type: string
+   *           example: evt_9b8c7d6e5f4a3b21
+   *         event_type:
+   *           type: string
+   *           example: order.updated
+   *         status:
+   *           type: string
+   *           enum: [pending, delivered, dead_letter]
+   *           example: pending
+   *         attempt_count:
+   *           type: integer
+   *           example: 2
+   *           description: Automatic attempts so far; manual redeliveries are listed in attempts but not counted here
+   *         http_status:
+   *           type: integer
+   *           nullable: true
+   *           example: 503
+   *           description: HTTP status of the latest attempt (null on timeout or connection error)
+   *         latency_ms:
+   *           type: integer
+   *           nullable: true
+   *           example: 184
+   *         response_excerpt:
+   *           type: string
+   *           nullable: true
+   *           example: Service Unavailable
+   *           description: First 500 characters of the latest response body
+   *         error:
+   *           type: string
+   *           nullable: true
+   *           example: timeout
+   *         next_retry_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *           example: 2025-09-01T14:31:00Z
+   *         delivered_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         attempts:
+   *           type: array
+   *           description: The latest 20 attempts, oldest first
+   *           items:
+   *             type: object
+   *             properties:
+   *               attempted_at:
+   *                 type: string
+   *                 format: date-time
+   *               http_status:
+   *                 type: integer
+   *                 nullable: true
+   *               latency_ms:
+   *                 type: integer
+   *               response_excerpt:
+   *                 type: string
+   *                 nullable: true
+   *               error:
+   *                 type: string
+   *                 nullable: true
+   *               manual:
+   *                 type: boolean
+   *                 description: True for attempts triggered through the redeliver endpoint
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Supplier:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           example: gKjz1
+   *         name:
+   *           type: string
+   *           example: Midwest Medical Supply
+   *         description:
+   *           type: string
+   *           nullable: true
+   *         status:
+   *           type: string
+   *           enum: [active, inactive]
+   *           example: active
+   *         contact:
+   *           type: object
+   *           properties:
+   *             email:
+   *               type: string
+   *               nullable: true
+   *               example: orders@midwestmed.example
+   *             phone:
+   *               type: string
+   *               nullable: true
+   *               example: +1-217-555-0100
+   *             website:
+   *               type: string
+   *               nullable: true
+   *               example: https://midwestmed.example
+   *         address:
+   *           allOf:
+   *             - $ref: '#/components/schemas/Address'
+   *           nullable: true
+   *         service_regions:
+   *           type: array
+   *           items:
+   *             type: string
+   *           example: [US-IL, US-WI, US-IN]
+   *           description: ISO 3166-1 country or ISO 3166-2 subdivision codes the supplier ships to
+   *         categories:
+   *           type: array
+   *           items:
+   *             type: string
+   *           example: [gloves, wound_care]
+   *         lead_time:
+   *           type: object
+   *           properties:
+   *             min_days:
+   *               type: integer
+   *               nullable: true
+   *               example: 2
+   *             max_days:
+   *               type: integer
+   *               nullable: true
+   *               example: 5
+   *           description: Business days from acknowledgement to shipment
+   *         minimum_order:
+   *           type: object
+   *           properties:
+   *             amount:
+   *               type: number
+   *               example: 250
+   *             currency:
+   *               type: string
+   *               enum: [USD, CAD, EUR]
+   *               example: USD
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *         metadata:
+   *           type: object
+   *           properties:
+   *             source:
+   *               type: string
+   *               example: kasbah
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CatalogImport:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           example: imp_4Rt8Lm
+   *         supplier_id:
+   *           type: string
+   *           example: sup_01
+   *         status:
+   *           type: string
+   *           enum: [queued, running, completed, failed]
+   *           example: completed
+   *         dry_run:
+   *           type: boolean
+   *           description: When true no products were written; the row report shows what would happen
+   *         file_name:
+   *           type: string
+   *           nullable: true
+   *           example: catalog-2025-08.csv
+   *         columns:
+   *           type: array
+   *           items:
+   *             type: string
+   *           example: [sku, name, category, price, uom]
+   *           description: Product fields the CSV header mapped to
+   *         ignored_columns:
+   *           type: array
+   *           items:
+   *             type: string
+   *           example: [internal_notes]
+   *         total_rows:
+   *           type: integer
+   *           example: 1200
+   *         processed_rows:
+   *           type: integer
+   *           example: 1200
+   *         progress:
+   *           type: number
+   *           example: 1
+   *           description: Fraction of rows processed, 0 to 1
+   *         summary:
+   *           type: object
+   *           description: Rows per outcome
+   *           properties:
+   *             create:
+   *               type: integer
+   *               example: 40
+   *             update:
+   *               type: integer
+   *               example: 310
+   *             unchanged:
+   *               type: integer
+   *               example: 845
+   *             error:
+   *               type: integer
+   *               example: 5
+   *         error:
+   *           type: string
+   *           nullable: true
+   *           description: Why the job failed
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         started_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         completed_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CatalogImportRow:
+   *       type: object
+   *       properties:
+   *         row:
+   *           type: integer
+   *           example: 2
+   *           description: Line in the CSV, counting the header as 1
+   *         sku:
+   *           type: string
+   *           nullable: true
+   *           example: G-100
+   *         action:
+   *           type: string
+   *           enum: [create, update, unchanged, error]
+   *         product_id:
+   *           type: string
+   *           nullable: true
+   *           description: Existing product, or the one created (null for creates in a dry run)
+   *         changes:
+   *           type: array
+   *           items:
+   *             type: object
+   *             properties:
+   *               field:
+   *                 type: string
+   *                 example: price
+   *               from:
+   *                 example: 11.75
+   *               to:
+   *                 example: 12.5
+   *         errors:
+   *           type: array
+   *           items:
+   *             type: object
+   *             properties:
+   *               field:
+   *                 type: string
+   *                 nullable: true
+   *                 example: category
+   *               message:
+   *                 type: string
+   *                 example: 'Unknown category: glovez'
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Export:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: string
+   *           example: exp_7Qw2Zr
+   *         resource:
+   *           type: string
+   *           enum: [orders, products, shipments]
+   *         format:
+   *           type: string
+   *           enum: [csv, ndjson]
+   *         status:
+   *           type: string
+   *           enum: [queued, running, completed, failed]
+   *           example: running
+   *         columns:
+   *           type: array
+   *           items:
+   *             type: string
+   *         filters:
+   *           type: object
+   *           description: Filters as sent
+   *           example:
+   *             customer_id: cus_123
+   *             created_at:
+   *               gte: '2025-01-01T00:00:00Z'
+   *         file_name:
+   *           type: string
+   *           example: orders-2025-08-14.csv
+   *         records_exported:
+   *           type: integer
+   *           example: 18200
+   *           description: Orders, products or shipments written so far
+   *         rows_written:
+   *           type: integer
+   *           example: 61450
+   *           description: Rows written so far (orders have one row per line item)
+   *         size_bytes:
+   *           type: integer
+   *           example: 9123456
+   *         progress:
+   *           type: number
+   *           nullable: true
+   *           example: 0.42
+   *           description: |
+   *             Share of the created_at range written so far, 0 to 1 (1 once completed). Null while
+   *             running when it cannot be estimated: product exports, or no created_at.gte filter.
+   *         error:
+   *           type: string
+   *           nullable: true
+   *           description: Why the export failed; an export interrupted by a restart fails once it has made no progress for EXPORT_STALE_SECONDS
+   *         download:
+   *           type: object
+   *           nullable: true
+   *           description: Present once the export is completed
+   *           properties:
+   *             url:
+   *               type: string
+   *               format: uri
+   *               description: Signed link, usable without an API key until expires_at
+   *             expires_at:
+   *               type: string
+   *               format: date-time
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         started_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         completed_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   */
+
   /**
    * @swagger
    * components:
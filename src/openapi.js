@@ -55,6 +55,11 @@
  *           properties:
  *             type: { type: string, example: unauthorized }
  *             message: { type: string, example: Invalid API key }
+ *             missing_scopes:
+ *               type: array
+ *               items: { type: string }
+ *               description: Scopes the API key lacks (403 forbidden only)
+ *               example: [orders:write]
  *     Product:
  *       type: object
  *       properties:
@@ -75,9 +80,45 @@
  *           properties:
  *             available: { type: boolean }
  *             quantity: { type: integer }
- *             status: { type: string }
+ *             status: { type: string, enum: [active, inactive, discontinued] }
+ *         details:
+ *           type: object
+ *           properties:
+ *             manufacturer: { type: string }
+ *             brand: { type: string }
+ *             model: { type: string }
+ *             variants:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ProductVariant' }
  *         created_at: { type: string, format: date-time }
  *         updated_at: { type: string, format: date-time }
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         sku: { type: string }
+ *         name: { type: string }
+ *         price: { type: number, nullable: true, description: Overrides the product price when set }
+ *         attributes: { type: object, additionalProperties: { type: string }, example: { size: L, color: blue } }
+ *     ProductInput:
+ *       type: object
+ *       properties:
+ *         sku: { type: string, maxLength: 64, description: Unique within the supplier's catalog }
+ *         name: { type: string, maxLength: 200 }
+ *         description: { type: string, nullable: true }
+ *         category: { type: string, description: ID of a document in the categories collection }
+ *         price: { type: number, minimum: 0 }
+ *         uom: { type: string, default: each }
+ *         manufacturer: { type: string, nullable: true }
+ *         brand: { type: string, nullable: true }
+ *         model: { type: string, nullable: true }
+ *         variants:
+ *           type: array
+ *           maxItems: 100
+ *           nullable: true
+ *           items: { $ref: '#/components/schemas/ProductVariant' }
+ *         available: { type: boolean, default: true }
+ *         quantity: { type: integer, minimum: 0, default: 0 }
+ *         status: { type: string, enum: [active, inactive, discontinued], default: active }
  *     SupplierOrderItem:
  *       type: object
  *       properties:
@@ -89,12 +130,18 @@
  *         uom: { type: string }
  *         unit_price: { type: number }
  *         extended_price: { type: number }
+ *         quantity_fulfilled: { type: integer }
+ *         quantity_cancelled: { type: integer }
+ *         quantity_backordered: { type: integer, description: Part of quantity_remaining the supplier has backordered }
+ *         quantity_remaining: { type: integer, description: Neither fulfilled nor cancelled }
+ *         quantity_returned: { type: integer, description: On returns that were not rejected }
+ *         quantity_invoiced: { type: integer, description: Billed on invoices created through the API }
  *     SupplierOrder:
  *       type: object
  *       properties:
  *         supplier_id: { type: string }
  *         supplier_name: { type: string }
- *         status: { type: string }
+ *         status: { type: string, enum: [pending, acknowledged, partially_fulfilled, fulfilled, shipped, cancelled] }
  *         subtotal: { type: number }
  *         items_count: { type: integer }
  *         items:
@@ -107,7 +154,7 @@
  *         order_number: { type: string }
  *         created_at: { type: string, format: date-time }
  *         updated_at: { type: string, format: date-time }
- *         status: { type: string }
+ *         status: { type: string, description: Derived from supplier order statuses, example: partially_fulfilled }
  *         customer:
  *           type: object
  *           properties:
@@ -127,6 +174,18 @@
  *           properties:
  *             total_suppliers: { type: integer }
  *             total_items: { type: integer }
+ *     OrderEvent:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         type: { type: string, example: order.acknowledged }
+ *         status: { type: string, nullable: true }
+ *         timestamp: { type: string, format: date-time }
+ *         message: { type: string, nullable: true }
+ *         metadata:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Remaining event fields, e.g. supplier_id, shipment_id, tracking_number
  *     OrdersListResponse:
  *       type: object
  *       properties:
@@ -140,12 +199,18 @@
  *       content:
  *         application/json:
  *           schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *     Forbidden:
+ *       description: API key lacks a required scope, or the client IP is not allowed
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ErrorResponse' }
  *     RateLimit:
  *       description: Rate limit exceeded
  *       headers:
  *         X-RateLimit-Limit: { description: Requests allowed per hour, schema: { type: integer } }
  *         X-RateLimit-Remaining: { description: Requests remaining in the window, schema: { type: integer } }
- *         X-RateLimit-Reset: { description: Reset time (epoch seconds), schema: { type: integer, format: int64 } }
+ *         X-RateLimit-Reset: { description: End of the current hourly bucket (epoch seconds), schema: { type: integer, format: int64 } }
+ *         Retry-After: { description: Seconds until the request would be allowed, schema: { type: integer } }
  *       content:
  *         application/json:
  *           schema: { $ref: '#/components/schemas/ErrorResponse' }
@@ -199,17 +264,89 @@
  *       - in: query
  *         name: cursor
  *         schema: { type: string }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, ndjson], default: json }
+ *         description: |
+ *           csv or ndjson streams every matching order as a download instead of one page, with one
+ *           row per supplier order line item (limit and cursor are ignored)
+ *       - in: query
+ *         name: columns
+ *         schema: { type: string, example: 'order_number,created_at,supplier_name,sku,quantity,unit_price' }
+ *         description: |
+ *           Comma-separated columns for csv/ndjson, in output order (default all): order_id, order_number,
+ *           created_at, updated_at, customer_id, customer_name, supplier_id, supplier_name, status, currency,
+ *           item_id, product_id, sku, name, category, uom, quantity, unit_price, extended_price,
+ *           quantity_fulfilled, quantity_cancelled, quantity_backordered, quantity_returned, quantity_invoiced
  *     responses:
  *       200:
- *         description: A list of orders
+ *         description: A list of orders, or with format the export file
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/OrdersListResponse' }
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/x-ndjson:
+ *             schema: { type: string }
  *       401:
  *         description: Invalid API key
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *   post:
+ *     summary: Create an order from a cart
+ *     description: |
+ *       Looks up each product's price and supplier and splits the cart into one pending supplier
+ *       order per supplier. The order, its order.created event and the idempotency key are written
+ *       in one transaction; retrying with the same Idempotency-Key and body returns the order
+ *       created the first time (200, idempotent: true).
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               customer_id: { type: string, description: Required when the key is bound to several customers }
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [product_id, quantity]
+ *                   properties:
+ *                     product_id: { type: string }
+ *                     quantity: { type: integer, minimum: 1 }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 order_id: { type: string }
+ *                 order: { $ref: '#/components/schemas/Order' }
+ *       200:
+ *         description: Replay of an earlier request with the same Idempotency-Key
+ *       400:
+ *         description: Invalid items, unknown product_id, or a product that is not available
+ *       404:
+ *         description: customer_id is outside the key's bindings
+ *       409:
+ *         description: Idempotency-Key already used with a different request
  */
 
 /**
@@ -320,9 +457,20 @@
  *       - in: query
  *         name: cursor
  *         schema: { type: string }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, ndjson], default: json }
+ *         description: csv or ndjson streams every matching product as a download (limit and cursor are ignored)
+ *       - in: query
+ *         name: columns
+ *         schema: { type: string, example: 'sku,name,price,uom,quantity' }
+ *         description: |
+ *           Comma-separated columns for csv/ndjson, in output order (default all): id, sku, name, description,
+ *           category, price, uom, supplier_id, supplier_name, available, quantity, status, manufacturer,
+ *           brand, model, variants, created_at, updated_at
  *     responses:
  *       200:
- *         description: A list of products
+ *         description: A list of products, or with format the export file
  *         content:
  *           application/json:
  *             schema:
@@ -332,6 +480,101 @@
  *                   type: array
  *                   items: { $ref: '#/components/schemas/Product' }
  *                 pagination: { $ref: '#/components/schemas/Pagination' }
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *   post:
+ *     summary: Add a product to a supplier's catalog
+ *     description: |
+ *       sku, name, category and price are required. The category must exist in the categories
+ *       collection and the SKU must be new for the supplier.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProductInput'
+ *               - type: object
+ *                 properties:
+ *                   supplier_id: { type: string, description: Required when the key covers several suppliers }
+ *     responses:
+ *       201:
+ *         description: Product created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 product_id: { type: string }
+ *                 product: { $ref: '#/components/schemas/Product' }
+ *       400:
+ *         description: Invalid field or unknown category
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: SKU already exists in the supplier's catalog
+ */
+
+/**
+ * @openapi
+ * /v1/products/{product_id}:
+ *   patch:
+ *     summary: Update one of your products
+ *     description: Fields left out are unchanged; variants replaces the stored list.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: product_id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProductInput' }
+ *     responses:
+ *       200:
+ *         description: Updated product
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       400:
+ *         description: Invalid field or unknown category
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: SKU already exists in the supplier's catalog
+ *   delete:
+ *     summary: Remove one of your products
+ *     description: Existing orders keep their copy of the product's name, SKU and price.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: product_id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Product deleted
+ *       404:
+ *         description: Product not found
  */
 
 /**
@@ -391,7 +634,8 @@
  * @openapi
  * /v1/orders/{order_id}/events:
  *   get:
- *     summary: List events for an order
+ *     summary: List events for an order (oldest first)
+ *     description: Supplier callers only see order-wide events and events for their own supplier order.
  *     security:
  *       - KasbahKey: []
  *     parameters:
@@ -399,9 +643,155 @@
  *         name: order_id
  *         schema: { type: string }
  *         required: true
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, example: 'order.acknowledged,shipment.created' }
+ *         description: Comma-separated event types (up to 10)
+ *       - in: query
+ *         name: since
+ *         schema: { type: string, format: date-time }
+ *         description: Only events at or after this time
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
  *     responses:
- *       501:
- *         $ref: '#/components/responses/NotImplemented'
+ *       200:
+ *         description: Event timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/OrderEvent' }
+ *                 pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Order not found
+ */
+
+/**
+ * @openapi
+ * /v1/orders/{order_id}/packing-slip.pdf:
+ *   get:
+ *     summary: Packing slip PDF for one supplier order
+ *     description: |
+ *       Lists the supplier order's SKUs, units of measure and ordered, fulfilled and backordered
+ *       quantities with the ship-to address. Fully cancelled lines are left off.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: order_id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: supplier_id
+ *         schema: { type: string }
+ *         description: Required when the caller could mean several of the order's suppliers
+ *     responses:
+ *       200:
+ *         description: Packing slip
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         description: supplier_id is required
+ *       404:
+ *         description: Order not found
+ */
+
+/**
+ * @openapi
+ * /v1/orders/{order_id}/invoices:
+ *   get:
+ *     summary: Invoices billed for an order
+ *     description: The order's customer sees every invoice; a supplier sees the invoices for its own supplier order.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: order_id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: payment_status
+ *         schema: { type: string, enum: [unpaid, partially_paid, paid, refunded, void] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invoices for the order, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Invoice' }
+ *                 pagination: { $ref: '#/components/schemas/Pagination' }
+ *       404:
+ *         description: Order not found
+ *   post:
+ *     summary: Invoice a supplier order's fulfilled and shipped quantities
+ *     description: |
+ *       Bills each line's fulfilled or shipped quantity (whichever is larger) that has not been
+ *       invoiced yet. Invoice numbers are sequential per supplier. The invoice is added to the
+ *       order's events and sent as an invoice.created webhook.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *       - in: path
+ *         name: order_id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier_id: { type: string }
+ *               tax_rate: { type: number, minimum: 0, maximum: 1, description: Defaults to INVOICE_TAX_RATE, example: 0.0825 }
+ *               payment_terms_days: { type: integer, description: Days until due; defaults to INVOICE_PAYMENT_TERMS_DAYS (30) }
+ *               due_date: { type: string, format: date-time, description: Overrides payment_terms_days }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Invoice created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 invoice_id: { type: string }
+ *                 invoice: { $ref: '#/components/schemas/Invoice' }
+ *       400:
+ *         description: Invalid tax_rate, payment_terms_days or due_date
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Nothing fulfilled or shipped is left to invoice; error.current_status holds the supplier order's state
  */
 
 /**
@@ -428,6 +818,7 @@
  *           schema:
  *             type: object
  *             properties:
+ *               supplier_id: { type: string, description: Supplier order being acknowledged }
  *               acknowledged_at: { type: string, format: date-time }
  *               contact: { type: string }
  *               notes: { type: string }
@@ -436,6 +827,8 @@
  *         description: Acknowledged
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Supplier order is not pending; error.current_status holds its state
  */
 
 /**
@@ -462,6 +855,7 @@
  *           schema:
  *             type: object
  *             properties:
+ *               supplier_id: { type: string }
  *               fulfilled_at: { type: string, format: date-time }
  *               items:
  *                 type: array
@@ -469,11 +863,72 @@
  *                   type: object
  *                   properties:
  *                     item_id: { type: string }
- *                     quantity: { type: integer }
+ *                     quantity: { type: integer, description: Quantity fulfilled by this call }
+ *                     quantity_backordered: { type: integer, description: Replaces the line's backordered quantity }
+ *                 description: Quantities fulfilled by this call; omit to fulfill the whole supplier order
  *               notes: { type: string }
  *     responses:
  *       200:
- *         description: Fulfillment recorded
+ *         description: Fulfillment recorded; status is partially_fulfilled until every item is covered
+ *       400:
+ *         description: Unknown item_id, or a quantity beyond what remains on the line
+ *       409:
+ *         description: Supplier order is not acknowledged or partially_fulfilled; error.current_status holds its state
+ */
+
+/**
+ * @openapi
+ * /v1/orders/{order_id}/cancel:
+ *   post:
+ *     summary: Cancel a supplier order or some of its lines
+ *     description: |
+ *       Cancels the open (unfulfilled, uncancelled) quantities of the whole supplier order, or of
+ *       the listed items. The supplier subtotal is recalculated and the buyer is notified through
+ *       an order.cancelled webhook. When nothing is left open the supplier order becomes cancelled,
+ *       or fulfilled if part of it was already fulfilled.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *       - in: path
+ *         name: order_id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason_code]
+ *             properties:
+ *               supplier_id: { type: string }
+ *               reason_code:
+ *                 type: string
+ *                 enum: [out_of_stock, discontinued, pricing_error, cannot_ship, customer_request, other]
+ *               items:
+ *                 type: array
+ *                 description: Lines to cancel; omit to cancel the whole supplier order
+ *                 items:
+ *                   type: object
+ *                   required: [item_id]
+ *                   properties:
+ *                     item_id: { type: string }
+ *                     quantity: { type: integer, description: Defaults to the line's open quantity }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Cancellation recorded; includes the supplier order status and order.cancelled event
+ *       400:
+ *         description: Invalid reason_code, unknown item_id, or more than the open quantity
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Supplier order is already fulfilled or cancelled; error.current_status holds its state
  */
 
 /**
@@ -500,21 +955,28 @@
  *           schema:
  *             type: object
  *             properties:
- *               carrier: { type: string }
- *               tracking_number: { type: string }
- *               status: { type: string, example: shipped }
+ *               supplier_id: { type: string }
+ *               carrier: { type: string, description: 'UPS, FEDEX, USPS, DHL, or a code listed in CUSTOM_CARRIERS; inferred from tracking_number when omitted', example: UPS }
+ *               tracking_number: { type: string, description: Checked against the carrier's formats and check digit (standard carriers only), example: 1Z999AA10123456784 }
+ *               status: { type: string, enum: [CREATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, EXCEPTION], description: Defaults to IN_TRANSIT with a tracking_number and CREATED without one }
  *               shipped_at: { type: string, format: date-time }
  *               estimated_delivery_at: { type: string, format: date-time }
  *               items:
  *                 type: array
+ *                 description: Order lines and quantities in this shipment; omit to ship everything not yet shipped
  *                 items:
  *                   type: object
+ *                   required: [item_id, quantity]
  *                   properties:
  *                     item_id: { type: string }
  *                     quantity: { type: integer }
  *     responses:
  *       201:
- *         description: Shipment created
+ *         description: Shipment created; supplier_status is shipped once every line has shipped
+ *       400:
+ *         description: Unknown or uninferable carrier, invalid tracking_number or status, unknown item_id, or more than a line's unshipped quantity
+ *       409:
+ *         description: Supplier order is pending, shipped or cancelled; error.current_status holds its state
  */
 
 /**
@@ -545,13 +1007,117 @@
  *           schema:
  *             type: object
  *             properties:
- *               type: { type: string, example: shipment.in_transit }
- *               status: { type: string, example: in_transit }
+ *               type:
+ *                 type: string
+ *                 enum: [shipment.updated, shipment.exception, shipment.delivered]
+ *                 default: shipment.updated
+ *                 description: shipment.delivered marks the shipment delivered; its status, if given, must be DELIVERED
+ *               status: { type: string, enum: [CREATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, EXCEPTION], description: Case-insensitive }
  *               message: { type: string }
+ *               location: { type: string, example: 'Springfield, IL' }
  *               timestamp: { type: string, format: date-time }
  *     responses:
  *       201:
  *         description: Event recorded
+ *       400:
+ *         description: Invalid type, status or timestamp
+ */
+
+/**
+ * @openapi
+ * /v1/orders/{order_id}/returns:
+ *   post:
+ *     summary: Open a return (RMA) for shipped items
+ *     description: |
+ *       Only the order's customer can open a return. Items must belong to one supplier and
+ *       cannot exceed what has shipped less what is already on other returns. The return starts
+ *       as requested and a return.created webhook is sent.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *       - in: path
+ *         name: order_id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason_code, items]
+ *             properties:
+ *               supplier_id: { type: string, description: Only look for the items in this supplier's order }
+ *               reason_code:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *               reason: { type: string, example: Box arrived crushed }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [item_id, quantity]
+ *                   properties:
+ *                     item_id: { type: string }
+ *                     quantity: { type: integer }
+ *     responses:
+ *       201:
+ *         description: Return opened
+ *       400:
+ *         description: Invalid reason_code, unknown item_id, items from several suppliers, or more than a line's returnable quantity
+ *       404:
+ *         description: Order not found, or the key is not the order's customer
+ */
+
+/**
+ * @openapi
+ * /v1/returns/{return_id}/{action}:
+ *   post:
+ *     summary: Approve, receive, refund or reject a return
+ *     description: |
+ *       Supplier actions moving a return requested -> approved -> received -> refunded. A return can
+ *       be rejected while requested or once received, which frees its quantities for another return.
+ *       Each step sends the matching return.approved, return.received, return.refunded or
+ *       return.rejected webhook.
+ *     parameters:
+ *       - in: header
+ *         name: Kasbah-Key
+ *         schema: { type: string }
+ *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *       - in: path
+ *         name: return_id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: action
+ *         schema: { type: string, enum: [approve, receive, refund, reject] }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refund_amount: { type: number, description: refund only; defaults to the returned items' value and cannot exceed it }
+ *               reason: { type: string, description: reject only; why the return was rejected }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Return updated; includes the return and its event
+ *       400:
+ *         description: Invalid refund_amount
+ *       404:
+ *         description: Return not found, or the key is not the return's supplier
+ *       409:
+ *         description: The action does not apply to the return's current status; error.current_status holds it
  */
 
 /**
@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { ExportJobs } = require('../services/export-jobs');
+const { EXPORT_FORMATS, EXPORT_RESOURCES, selectColumns } = require('../services/exports');
+const { SHIPMENT_STATUSES, getCarriers, isKnownCarrier, normalizeCarrier } = require('../services/carriers');
+const { boundPartyIds, canAccessCustomer, canAccessSupplier } = require('../middleware/access');
+
+// Mounted on the authenticated /v1 router
+const router = express.Router();
+const exportJobs = new ExportJobs();
+
+// Filters each resource accepts, matching its list endpoint
+const RESOURCE_FILTERS = {
+  orders: ['customer_id', 'supplier_id', 'status', 'created_at'],
+  products: ['supplier_id', 'category'],
+  shipments: ['order_id', 'carrier', 'status', 'created_at']
+};
+
+/**
+ * Validation middleware for handling validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: {
+        type: 'invalid_request',
+        message: 'Validation failed',
+        details: errors.array(),
+        doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+        request_id: req.id || 'unknown'
+      }
+    });
+  }
+  next();
+};
+
+const invalidRequest = (req, res, message) => res.status(400).json({
+  error: {
+    type: 'invalid_request',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+    request_id: req.id || 'unknown'
+  }
+});
+
+const notFound = (req, res, message) => res.status(404).json({
+  error: {
+    type: 'not_found',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#not_found',
+    request_id: req.id || 'unknown'
+  }
+});
+
+/**
+ * @swagger
+ * /v1/exports:
+ *   post:
+ *     summary: Start a background export
+ *     description: |
+ *       Writes every order, product or shipment matching the filters to a CSV or NDJSON file, with the
+ *       same rows and columns as format=csv|ndjson on the list endpoints. Use it for extracts too large
+ *       to stream in one request, then poll GET /v1/exports/{export_id} until it is completed.
+ *       Needs exports:write and the read scope of the resource (orders:read, products:read or shipments:read).
+ *     tags: [Exports]
+ *     security:
+ *       - KasbahAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resource, format]
+ *             properties:
+ *               resource:
+ *                 type: string
+ *                 enum: [orders, products, shipments]
+ *               format:
+ *                 type: string
+ *                 enum: [csv, ndjson]
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Columns in output order (default all); see the list endpoint for each resource's columns
+ *               filters:
+ *                 type: object
+ *                 description: |
+ *                   orders: customer_id or supplier_id (one is required), status, created_at.
+ *                   products: supplier_id, category.
+ *                   shipments: order_id, carrier, status, created_at.
+ *                 properties:
+ *                   customer_id:
+ *                     type: string
+ *                   supplier_id:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                   category:
+ *                     type: string
+ *                   order_id:
+ *                     type: string
+ *                   carrier:
+ *                     type: string
+ *                   created_at:
+ *                     type: object
+ *                     properties:
+ *                       gte:
+ *                         type: string
+ *                         format: date-time
+ *                       lte:
+ *                         type: string
+ *                         format: date-time
+ *           example:
+ *             resource: orders
+ *             format: csv
+ *             columns: [order_number, created_at, supplier_name, sku, quantity, unit_price]
+ *             filters:
+ *               customer_id: cus_123
+ *               created_at:
+ *                 gte: '2025-01-01T00:00:00Z'
+ *                 lte: '2025-12-31T23:59:59Z'
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 export_id:
+ *                   type: string
+ *                 export:
+ *                   $ref: '#/components/schemas/Export'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/', [
+  body('resource').isIn(EXPORT_RESOURCES)
+    .withMessage(`resource must be one of: ${EXPORT_RESOURCES.join(', ')}`),
+  body('format').isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  body('columns').optional().custom((value, { req }) => {
+    if (!EXPORT_RESOURCES.includes(req.body.resource)) return true;
+    const selected = selectColumns(req.body.resource, value);
+    if (selected.error) throw new Error(selected.error);
+    return true;
+  }),
+  body('filters').optional().isObject()
+    .withMessage('filters must be an object'),
+  body(['filters.customer_id', 'filters.supplier_id', 'filters.status', 'filters.category', 'filters.order_id', 'filters.carrier'])
+    .optional().isString().isLength({ min: 1 })
+    .withMessage('filter values must be non-empty strings'),
+  body('filters.created_at').optional().isObject()
+    .withMessage('filters.created_at must be an object with gte and/or lte'),
+  body('filters.created_at.gte').optional().isISO8601()
+    .withMessage('filters.created_at.gte must be a valid ISO-8601 datetime'),
+  body('filters.created_at.lte').optional().isISO8601()
+    .withMessage('filters.created_at.lte must be a valid ISO-8601 datetime'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { resource, format } = req.body;
+    const given = req.body.filters || {};
+    const unknown = Object.keys(given).filter(key => !RESOURCE_FILTERS[resource].includes(key));
+    if (unknown.length) {
+      return invalidRequest(req, res, `Unknown ${resource} filters: ${unknown.join(', ')}. Allowed: ${RESOURCE_FILTERS[resource].join(', ')}`);
+    }
+
+    const filters = {};
+    for (const key of RESOURCE_FILTERS[resource]) {
+      if (key !== 'created_at' && given[key] !== undefined) filters[key] = given[key];
+    }
+    if (given.created_at) {
+      const { gte, lte } = given.created_at;
+      if (gte && lte && Date.parse(gte) > Date.parse(lte)) {
+        return invalidRequest(req, res, 'filters.created_at.gte must not be after filters.created_at.lte');
+      }
+      filters.created_at = Object.fromEntries(Object.entries({ gte, lte }).filter(([, value]) => value));
+    }
+
+    let partyIds = [];
+    if (resource === 'orders') {
+      if (Boolean(filters.customer_id) === Boolean(filters.supplier_id)) {
+        return invalidRequest(req, res, 'Order exports need filters.customer_id or filters.supplier_id');
+      }
+      if (filters.customer_id && !canAccessCustomer(req.auth, filters.customer_id)) return notFound(req, res, 'Customer not found');
+      if (filters.supplier_id && !canAccessSupplier(req.auth, filters.supplier_id)) return notFound(req, res, 'Supplier not found');
+      partyIds = [filters.customer_id || filters.supplier_id];
+    } else if (resource === 'shipments') {
+      if (filters.carrier) {
+        filters.carrier = normalizeCarrier(filters.carrier);
+        if (!isKnownCarrier(filters.carrier)) return invalidRequest(req, res, `carrier must be one of: ${getCarriers().join(', ')}`);
+      }
+      if (filters.status && !SHIPMENT_STATUSES.includes(filters.status)) {
+        return invalidRequest(req, res, `status must be one of: ${SHIPMENT_STATUSES.join(', ')}`);
+      }
+      partyIds = boundPartyIds(req.auth);
+    }
+
+    const result = await exportJobs.createJob({
+      resource,
+      format,
+      columns: selectColumns(resource, req.body.columns).columns,
+      filters,
+      partyIds
+    }, { uid: req.auth?.uid, partnerId: req.partner?.id });
+
+    res.status(202).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /v1/exports:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/exports/{export_id}:
+ *   get:
+ *     summary: Check an export and get its download link
+ *     description: |
+ *       Once the export is completed, download.url is a signed link that works without an API key
+ *       until download.expires_at. Each call returns a fresh link. Needs exports:read.
+ *     tags: [Exports]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: export_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status and progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Export'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:export_id', [
+  param('export_id').isLength({ min: 1 })
+    .withMessage('export_id is required and must not be empty'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const job = await exportJobs.getJob(req.params.export_id, {
+      partnerId: req.partner?.id,
+      partyIds: boundPartyIds(req.auth)
+    });
+    if (!job) return notFound(req, res, 'Export not found');
+    res.json(job);
+
+  } catch (error) {
+    console.error(`Error in GET /v1/exports/${req.params.export_id}:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
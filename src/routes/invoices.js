@@ -0,0 +1,273 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const { InvoicesService } = require('../services/firestore');
+const { INVOICE_PAYMENT_STATUSES } = require('../services/invoicing');
+const { pdfFileName, renderInvoicePdf } = require('../services/documents');
+const { canAccessCustomer, canAccessSupplier } = require('../middleware/access');
+
+// Mounted on the authenticated /v1 router
+const router = express.Router();
+const invoicesService = new InvoicesService();
+
+/**
+ * Validation middleware for handling validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: {
+        type: 'invalid_request',
+        message: 'Validation failed',
+        details: errors.array(),
+        doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+        request_id: req.id || 'unknown'
+      }
+    });
+  }
+  next();
+};
+
+const notFound = (req, res, message) => res.status(404).json({
+  error: {
+    type: 'not_found',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#not_found',
+    request_id: req.id || 'unknown'
+  }
+});
+
+/**
+ * @swagger
+ * /v1/invoices:
+ *   get:
+ *     summary: List invoices for a customer or supplier
+ *     tags: [Invoices]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *         description: Invoices billed to this customer (one of customer_id or supplier_id is required)
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *         description: Invoices issued by this supplier
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: string
+ *         description: Filter by order ID
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partially_paid, paid, refunded, void]
+ *         description: Filter by payment status
+ *       - in: query
+ *         name: created_at[gte]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter invoices created after this timestamp
+ *       - in: query
+ *         name: created_at[lte]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter invoices created before this timestamp
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Number of results to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Pagination cursor from previous response
+ *     responses:
+ *       200:
+ *         description: List of invoices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', [
+  // Validation middleware
+  query('customer_id').optional().isLength({ min: 1 })
+    .withMessage('customer_id must not be empty'),
+  query('supplier_id').optional().isLength({ min: 1 })
+    .withMessage('supplier_id must not be empty'),
+  query('order_id').optional().isLength({ min: 1 })
+    .withMessage('order_id must not be empty'),
+  query('payment_status').optional().isIn(INVOICE_PAYMENT_STATUSES)
+    .withMessage(`payment_status must be one of: ${INVOICE_PAYMENT_STATUSES.join(', ')}`),
+  query('created_at[gte]').optional().isISO8601()
+    .withMessage('created_at[gte] must be a valid ISO-8601 datetime'),
+  query('created_at[lte]').optional().isISO8601()
+    .withMessage('created_at[lte] must be a valid ISO-8601 datetime'),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200'),
+  query('cursor').optional().isBase64()
+    .withMessage('cursor must be a valid base64 encoded string'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { customer_id: customerId, supplier_id: supplierId } = req.query;
+    if (!customerId && !supplierId) {
+      return res.status(400).json({
+        error: {
+          type: 'invalid_request',
+          message: 'Provide customer_id or supplier_id',
+          doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+          request_id: req.id || 'unknown'
+        }
+      });
+    }
+    if (customerId && !canAccessCustomer(req.auth, customerId)) return notFound(req, res, 'Customer not found');
+    if (supplierId && !canAccessSupplier(req.auth, supplierId)) return notFound(req, res, 'Supplier not found');
+    
+    const filters = {
+      customer_id: customerId,
+      supplier_id: supplierId,
+      order_id: req.query.order_id,
+      payment_status: req.query.payment_status,
+      created_at_gte: req.query['created_at[gte]'],
+      created_at_lte: req.query['created_at[lte]']
+    };
+    
+    const pagination = {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    };
+    
+    const result = await invoicesService.listInvoices(filters, pagination);
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Error in GET /v1/invoices:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/invoices/{invoice_id}.pdf:
+ *   get:
+ *     summary: Download an invoice as a PDF
+ *     description: Rendered on request from the current invoice, so payments recorded since issue are reflected.
+ *     tags: [Invoices]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoice_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invoice ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Registered before /:invoice_id, which would otherwise take "<id>.pdf" as the ID
+router.get('/:invoice_id.pdf', [
+  param('invoice_id').isLength({ min: 1 })
+    .withMessage('invoice_id is required and must not be empty'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const invoice = await invoicesService.getInvoice(req.params.invoice_id, req.auth);
+    if (!invoice) return notFound(req, res, 'Invoice not found');
+    
+    const context = await invoicesService.getInvoiceContext(invoice);
+    const pdf = await renderInvoicePdf(invoice, context);
+    
+    res.set('Content-Disposition', `inline; filename="${pdfFileName(invoice.invoice_number)}"`);
+    res.type('application/pdf').send(pdf);
+    
+  } catch (error) {
+    console.error(`Error in GET /v1/invoices/${req.params.invoice_id}.pdf:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/invoices/{invoice_id}:
+ *   get:
+ *     summary: Retrieve a specific invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoice_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invoice ID
+ *     responses:
+ *       200:
+ *         description: Invoice details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:invoice_id', [
+  param('invoice_id').isLength({ min: 1 })
+    .withMessage('invoice_id is required and must not be empty'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const invoice = await invoicesService.getInvoice(req.params.invoice_id, req.auth);
+    if (!invoice) return notFound(req, res, 'Invoice not found');
+    
+    res.json(invoice);
+    
+  } catch (error) {
+    console.error(`Error in GET /v1/invoices/${req.params.invoice_id}:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
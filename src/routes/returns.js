@@ -0,0 +1,206 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const { ReturnsService } = require('../services/firestore');
+const { boundPartyIds } = require('../middleware/access');
+const { RETURN_REASON_CODES, RETURN_STATUSES } = require('../services/order-state');
+
+// Mounted on the authenticated /v1 router
+const router = express.Router();
+const returnsService = new ReturnsService();
+
+/**
+ * Validation middleware for handling validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: {
+        type: 'invalid_request',
+        message: 'Validation failed',
+        details: errors.array(),
+        doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+        request_id: req.id || 'unknown'
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /v1/returns:
+ *   get:
+ *     summary: List returns (RMAs)
+ *     tags: [Returns]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: string
+ *         description: Filter by order ID
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *         description: Filter by supplier ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, received, refunded, rejected]
+ *         description: Filter by return status
+ *       - in: query
+ *         name: reason_code
+ *         schema:
+ *           type: string
+ *           enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *         description: Filter by reason code
+ *       - in: query
+ *         name: created_at[gte]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter returns opened after this timestamp
+ *       - in: query
+ *         name: created_at[lte]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter returns opened before this timestamp
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Number of results to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Pagination cursor from previous response
+ *     responses:
+ *       200:
+ *         description: List of returns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Return'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', [
+  // Validation middleware
+  query('order_id').optional().isLength({ min: 1 })
+    .withMessage('order_id must not be empty'),
+  query('supplier_id').optional().isLength({ min: 1 })
+    .withMessage('supplier_id must not be empty'),
+  query('status').optional().isIn(Object.values(RETURN_STATUSES))
+    .withMessage(`status must be one of: ${Object.values(RETURN_STATUSES).join(', ')}`),
+  query('reason_code').optional().isIn(RETURN_REASON_CODES)
+    .withMessage(`reason_code must be one of: ${RETURN_REASON_CODES.join(', ')}`),
+  query('created_at[gte]').optional().isISO8601()
+    .withMessage('created_at[gte] must be a valid ISO-8601 datetime'),
+  query('created_at[lte]').optional().isISO8601()
+    .withMessage('created_at[lte] must be a valid ISO-8601 datetime'),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200'),
+  query('cursor').optional().isBase64()
+    .withMessage('cursor must be a valid base64 encoded string'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const filters = {
+      order_id: req.query.order_id,
+      supplier_id: req.query.supplier_id,
+      status: req.query.status,
+      reason_code: req.query.reason_code,
+      created_at_gte: req.query['created_at[gte]'],
+      created_at_lte: req.query['created_at[lte]']
+    };
+    
+    const pagination = {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    };
+    
+    const result = await returnsService.listReturns(filters, pagination, boundPartyIds(req.auth));
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Error in GET /v1/returns:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/returns/{return_id}:
+ *   get:
+ *     summary: Retrieve a specific return
+ *     tags: [Returns]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: return_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return ID
+ *     responses:
+ *       200:
+ *         description: Return details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Return'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:return_id', [
+  param('return_id').isLength({ min: 1 })
+    .withMessage('return_id is required and must not be empty'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rma = await returnsService.getReturn(req.params.return_id, boundPartyIds(req.auth));
+    
+    if (!rma) {
+      return res.status(404).json({
+        error: {
+          type: 'not_found',
+          message: 'Return not found',
+          doc_url: 'https://developer.kasbah.health/docs/errors#not_found',
+          request_id: req.id || 'unknown'
+        }
+      });
+    }
+    
+    res.json(rma);
+    
+  } catch (error) {
+    console.error(`Error in GET /v1/returns/${req.params.return_id}:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,11 @@
 const express = require('express');
 const { query, param, validationResult } = require('express-validator');
 const { ShipmentsService } = require('../services/firestore');
-const { authenticateRequest, checkIpAllowlist } = require('../middleware/auth');
+const { boundPartyIds } = require('../middleware/access');
+const { getCarriers, isKnownCarrier, normalizeCarrier } = require('../services/carriers');
+const { EXPORT_FORMATS, selectColumns, streamExport } = require('../services/exports');
 
+// Mounted on the authenticated /v1 router
 const router = express.Router();
 const shipmentsService = new ShipmentsService();
 
@@ -43,8 +46,7 @@ const handleValidationErrors = (req, res, next) => {
  *         name: carrier
  *         schema:
  *           type: string
- *           enum: [UPS, FEDEX, USPS, DHL]
- *         description: Filter by carrier
+ *         description: Filter by carrier (UPS, FEDEX, USPS, DHL, or a CUSTOM_CARRIERS code)
  *       - in: query
  *         name: status
  *         schema:
@@ -76,6 +78,22 @@ const handleValidationErrors = (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Pagination cursor from previous response
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, ndjson]
+ *           default: json
+ *         description: csv or ndjson streams every matching shipment as a download, one row per shipment (limit and cursor are ignored)
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: id,order_id,carrier,tracking_number,status,shipped_at
+ *         description: |
+ *           Comma-separated columns for csv/ndjson, in output order (default all): id, order_id, carrier,
+ *           tracking_number, tracking_url, status, shipped_at, estimated_delivery_at, delivered_at,
+ *           created_at, quantity_shipped, items
  *     responses:
  *       200:
  *         description: List of shipments
@@ -90,20 +108,23 @@ const handleValidationErrors = (req, res, next) => {
  *                     $ref: '#/components/schemas/Shipment'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  */
 router.get('/', [
-  authenticateRequest,
-  checkIpAllowlist,
-  
   // Validation middleware
   query('order_id').optional().isLength({ min: 1 })
     .withMessage('order_id must not be empty'),
-  query('carrier').optional().isIn(['UPS', 'FEDEX', 'USPS', 'DHL'])
-    .withMessage('carrier must be one of: UPS, FEDEX, USPS, DHL'),
+  query('carrier').optional().customSanitizer(normalizeCarrier).custom(isKnownCarrier)
+    .withMessage(() => `carrier must be one of: ${getCarriers().join(', ')}`),
   query('status').optional().isIn(['CREATED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'EXCEPTION'])
     .withMessage('status must be one of: CREATED, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, EXCEPTION'),
   query('created_at[gte]').optional().isISO8601()
@@ -114,6 +135,13 @@ router.get('/', [
     .withMessage('limit must be between 1 and 200'),
   query('cursor').optional().isBase64()
     .withMessage('cursor must be a valid base64 encoded string'),
+  query('format').optional().isIn(['json', ...EXPORT_FORMATS])
+    .withMessage(`format must be one of: json, ${EXPORT_FORMATS.join(', ')}`),
+  query('columns').optional().custom(value => {
+    const selected = selectColumns('shipments', value);
+    if (selected.error) throw new Error(selected.error);
+    return true;
+  }),
     
   handleValidationErrors
 ], async (req, res, next) => {
@@ -131,13 +159,16 @@ router.get('/', [
       cursor: req.query.cursor
     };
     
-    const result = await shipmentsService.listShipments(filters, pagination);
+    if (req.query.format && req.query.format !== 'json') {
+      return await streamExport(res, {
+        resource: 'shipments',
+        format: req.query.format,
+        columns: selectColumns('shipments', req.query.columns).columns,
+        fetchPage: cursor => shipmentsService.listShipments(filters, { limit: 200, cursor }, boundPartyIds(req.auth))
+      });
+    }
     
-    res.set({
-      'X-RateLimit-Limit': '600',
-      'X-RateLimit-Remaining': '599',
-      'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + 60
-    });
+    const result = await shipmentsService.listShipments(filters, pagination, boundPartyIds(req.auth));
     
     res.json(result);
     
@@ -175,16 +206,13 @@ router.get('/', [
  *         $ref: '#/components/responses/Unauthorized'
  */
 router.get('/:shipment_id', [
-  authenticateRequest,
-  checkIpAllowlist,
-  
   param('shipment_id').isLength({ min: 1 })
     .withMessage('shipment_id is required and must not be empty'),
     
   handleValidationErrors
 ], async (req, res, next) => {
   try {
-    const shipment = await shipmentsService.getShipment(req.params.shipment_id);
+    const shipment = await shipmentsService.getShipment(req.params.shipment_id, boundPartyIds(req.auth));
     
     if (!shipment) {
       return res.status(404).json({
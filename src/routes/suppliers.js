@@ -0,0 +1,586 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { SuppliersService } = require('../services/firestore');
+const { CatalogImporter, ROW_ACTIONS } = require('../services/catalog-import');
+const { isCategoryId } = require('../services/catalog');
+const { canAccessSupplier } = require('../middleware/access');
+
+// Mounted on the authenticated /v1 router, after the /suppliers/:supplier_id/orders
+// and /inventory routes in index.js
+const router = express.Router();
+const suppliersService = new SuppliersService();
+const catalogImporter = new CatalogImporter();
+
+const SUPPLIER_STATUSES = ['active', 'inactive'];
+const CURRENCIES = ['USD', 'CAD', 'EUR'];
+// ISO 3166-1 alpha-2 country, optionally with an ISO 3166-2 subdivision (US, US-IL)
+const REGION_PATTERN = /^[A-Za-z]{2}(-[A-Za-z0-9]{1,3})?$/;
+
+/**
+ * Validation middleware for handling validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: {
+        type: 'invalid_request',
+        message: 'Validation failed',
+        details: errors.array(),
+        doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+        request_id: req.id || 'unknown'
+      }
+    });
+  }
+  next();
+};
+
+const invalidRequest = (req, res, message) => res.status(400).json({
+  error: {
+    type: 'invalid_request',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#invalid_request',
+    request_id: req.id || 'unknown'
+  }
+});
+
+const notFound = (req, res, message = 'Supplier not found') => res.status(404).json({
+  error: {
+    type: 'not_found',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#not_found',
+    request_id: req.id || 'unknown'
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers:
+ *   get:
+ *     summary: Browse the supplier directory
+ *     tags: [Suppliers]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *         description: Filter by status
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Suppliers that carry this category (cannot be combined with service_region)
+ *       - in: query
+ *         name: service_region
+ *         schema:
+ *           type: string
+ *         description: Suppliers that ship to this ISO 3166 code, e.g. US-IL
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Number of results to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Pagination cursor from previous response
+ *     responses:
+ *       200:
+ *         description: List of suppliers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Supplier'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', [
+  // Validation middleware
+  query('status').optional().isIn(SUPPLIER_STATUSES)
+    .withMessage(`status must be one of: ${SUPPLIER_STATUSES.join(', ')}`),
+  query('category').optional().isLength({ min: 1 })
+    .withMessage('category must not be empty'),
+  query('service_region').optional().matches(REGION_PATTERN)
+    .withMessage('service_region must be an ISO 3166 code such as US or US-IL'),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200'),
+  query('cursor').optional().isBase64()
+    .withMessage('cursor must be a valid base64 encoded string'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    if (req.query.category && req.query.service_region) {
+      return invalidRequest(req, res, 'Filter by category or service_region, not both');
+    }
+
+    const filters = {
+      status: req.query.status,
+      category: req.query.category,
+      service_region: req.query.service_region?.toUpperCase()
+    };
+
+    const pagination = {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    };
+
+    const result = await suppliersService.listSuppliers(filters, pagination);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error in GET /v1/suppliers:', error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers/{supplier_id}:
+ *   get:
+ *     summary: Retrieve a supplier's profile
+ *     tags: [Suppliers]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Supplier'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/:supplier_id', [
+  param('supplier_id').isLength({ min: 1 })
+    .withMessage('supplier_id is required and must not be empty'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const supplier = await suppliersService.getSupplier(req.params.supplier_id);
+    if (!supplier) return notFound(req, res);
+
+    res.json(supplier);
+
+  } catch (error) {
+    console.error(`Error in GET /v1/suppliers/${req.params.supplier_id}:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers/{supplier_id}:
+ *   patch:
+ *     summary: Update your supplier profile
+ *     description: |
+ *       Only keys bound to the supplier can update it. Fields left out are unchanged;
+ *       address, lead_time and minimum_order are merged with what is stored.
+ *     tags: [Suppliers]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *               website:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *               address:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Address'
+ *                 nullable: true
+ *               service_regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the stored list
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Category ids from the categories collection; replaces the stored list
+ *               lead_time:
+ *                 type: object
+ *                 properties:
+ *                   min_days:
+ *                     type: integer
+ *                     nullable: true
+ *                   max_days:
+ *                     type: integer
+ *                     nullable: true
+ *               minimum_order:
+ *                 type: object
+ *                 properties:
+ *                   amount:
+ *                     type: number
+ *                   currency:
+ *                     type: string
+ *                     enum: [USD, CAD, EUR]
+ *     responses:
+ *       200:
+ *         description: Updated supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Supplier'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/:supplier_id', [
+  param('supplier_id').isLength({ min: 1 })
+    .withMessage('supplier_id is required and must not be empty'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 })
+    .withMessage('name must be between 1 and 200 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 })
+    .withMessage('description must not exceed 2000 characters'),
+  body('email').optional({ nullable: true }).isEmail()
+    .withMessage('email must be a valid email address'),
+  body('phone').optional({ nullable: true }).isString().isLength({ max: 40 })
+    .withMessage('phone must not exceed 40 characters'),
+  body('website').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('website must be an http(s) URL'),
+  body('address').optional({ nullable: true }).isObject()
+    .withMessage('address must be an object'),
+  body(['address.line1', 'address.line2', 'address.city', 'address.state', 'address.postal_code'])
+    .optional({ nullable: true }).isString().isLength({ max: 200 })
+    .withMessage('address fields must be strings of at most 200 characters'),
+  body('address.country').optional({ nullable: true }).isISO31661Alpha2()
+    .withMessage('address.country must be an ISO 3166-1 alpha-2 code'),
+  body('service_regions').optional().isArray({ max: 200 })
+    .withMessage('service_regions must be an array of at most 200 codes'),
+  body('service_regions.*').matches(REGION_PATTERN)
+    .withMessage('service_regions must contain ISO 3166 codes such as US or US-IL'),
+  body('categories').optional().isArray({ max: 100 })
+    .withMessage('categories must be an array of at most 100 values'),
+  body('categories.*').isString().isLength({ min: 1, max: 100 }).custom(isCategoryId)
+    .withMessage('categories must contain category ids'),
+  body('lead_time').optional().isObject()
+    .withMessage('lead_time must be an object'),
+  body(['lead_time.min_days', 'lead_time.max_days']).optional({ nullable: true }).isInt({ min: 0, max: 365 })
+    .withMessage('lead_time days must be integers between 0 and 365'),
+  body('minimum_order').optional().isObject()
+    .withMessage('minimum_order must be an object'),
+  body('minimum_order.amount').optional().isFloat({ min: 0 })
+    .withMessage('minimum_order.amount must be a non-negative number'),
+  body('minimum_order.currency').optional().isIn(CURRENCIES)
+    .withMessage(`minimum_order.currency must be one of: ${CURRENCIES.join(', ')}`),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    if (!canAccessSupplier(req.auth, req.params.supplier_id)) return notFound(req, res);
+
+    const {
+      name, description, email, phone, website, address,
+      service_regions: serviceRegions, categories, lead_time: leadTime, minimum_order: minimumOrder
+    } = req.body;
+    const changes = {
+      name, description, email, phone, website, address,
+      service_regions: serviceRegions, categories, lead_time: leadTime, minimum_order: minimumOrder
+    };
+    if (Object.values(changes).every(value => value === undefined)) {
+      return invalidRequest(req, res, 'Provide at least one field to update');
+    }
+
+    const result = await suppliersService.updateSupplier(req.params.supplier_id, changes, { uid: req.auth?.uid });
+    if (!result) return notFound(req, res);
+    if (result.invalid) return invalidRequest(req, res, result.message);
+
+    res.json(result.supplier);
+
+  } catch (error) {
+    console.error(`Error in PATCH /v1/suppliers/${req.params.supplier_id}:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers/{supplier_id}/catalog/imports:
+ *   post:
+ *     summary: Import a catalog CSV as a background job
+ *     description: |
+ *       Send the CSV as the request body with Content-Type text/csv, or as JSON { csv, dry_run, file_name }.
+ *       The header row names the columns: sku (required), name, description, category, price, uom,
+ *       manufacturer, brand, model, variants (a JSON array), available, quantity and status; other
+ *       columns are ignored. Rows are matched to existing products by SKU. New SKUs are created and
+ *       need name, category and price; known SKUs are updated with the row's non-empty cells. With
+ *       dry_run nothing is written except the per-row report.
+ *     tags: [Catalog]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The supplier ID
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Report creates, updates and errors per row without writing products
+ *       - in: query
+ *         name: file_name
+ *         schema:
+ *           type: string
+ *         description: Original file name, kept on the job for reference
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               sku,name,category,price,uom,brand
+ *               G-100,Nitrile exam gloves (M),gloves,12.50,box,Acme
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *               file_name:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Import job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job_id:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/CatalogImport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:supplier_id/catalog/imports', [
+  param('supplier_id').isLength({ min: 1 })
+    .withMessage('supplier_id is required and must not be empty'),
+  query('dry_run').optional().isBoolean()
+    .withMessage('dry_run must be true or false'),
+  query('file_name').optional().isLength({ max: 255 })
+    .withMessage('file_name must not exceed 255 characters'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    if (!canAccessSupplier(req.auth, req.params.supplier_id)) return notFound(req, res);
+
+    const fromJson = typeof req.body === 'object' && req.body !== null;
+    const csv = fromJson ? req.body.csv : req.body;
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return invalidRequest(req, res, 'Send the CSV as a text/csv body or as the csv field of a JSON body');
+    }
+    const dryRun = req.query.dry_run !== undefined ? req.query.dry_run === 'true' : (fromJson && req.body.dry_run === true);
+    const fileName = req.query.file_name || (fromJson && typeof req.body.file_name === 'string' ? req.body.file_name.slice(0, 255) : null);
+
+    const result = await catalogImporter.createJob(req.params.supplier_id, csv, { dryRun, fileName }, { uid: req.auth?.uid });
+    if (result.invalid) return invalidRequest(req, res, result.message);
+
+    res.status(202).json(result);
+
+  } catch (error) {
+    console.error(`Error in POST /v1/suppliers/${req.params.supplier_id}/catalog/imports:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers/{supplier_id}/catalog/imports/{job_id}:
+ *   get:
+ *     summary: Check a catalog import job
+ *     tags: [Catalog]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: job_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status, progress and per-action counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CatalogImport'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:supplier_id/catalog/imports/:job_id', [
+  param('job_id').isLength({ min: 1 })
+    .withMessage('job_id is required and must not be empty'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    if (!canAccessSupplier(req.auth, req.params.supplier_id)) return notFound(req, res);
+
+    const job = await catalogImporter.getJob(req.params.supplier_id, req.params.job_id);
+    if (!job) return notFound(req, res, 'Import job not found');
+
+    res.json(job);
+
+  } catch (error) {
+    console.error(`Error in GET /v1/suppliers/${req.params.supplier_id}/catalog/imports/${req.params.job_id}:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/suppliers/{supplier_id}/catalog/imports/{job_id}/rows:
+ *   get:
+ *     summary: Per-row report of a catalog import
+ *     description: What each row did (or, for a dry run, would do), in file order.
+ *     tags: [Catalog]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: job_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, unchanged, error]
+ *         description: Only rows with this outcome
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Row outcomes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CatalogImportRow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:supplier_id/catalog/imports/:job_id/rows', [
+  param('job_id').isLength({ min: 1 })
+    .withMessage('job_id is required and must not be empty'),
+  query('action').optional().isIn(ROW_ACTIONS)
+    .withMessage(`action must be one of: ${ROW_ACTIONS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+    .withMessage('limit must be between 1 and 500'),
+  query('cursor').optional().isBase64()
+    .withMessage('cursor must be a valid base64 encoded string'),
+
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    if (!canAccessSupplier(req.auth, req.params.supplier_id)) return notFound(req, res);
+
+    const result = await catalogImporter.listRows(req.params.supplier_id, req.params.job_id,
+      { action: req.query.action }, { limit: req.query.limit, cursor: req.query.cursor });
+    if (!result) return notFound(req, res, 'Import job not found');
+
+    res.json(result);
+
+  } catch (error) {
+    console.error(`Error in GET /v1/suppliers/${req.params.supplier_id}/catalog/imports/${req.params.job_id}/rows:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
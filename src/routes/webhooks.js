@@ -1,9 +1,12 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
-const { authenticateRequest, checkIpAllowlist } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
+const { WEBHOOK_EVENTS, WEBHOOK_STATUSES, WebhooksService } = require('../services/webhooks');
+const { DELIVERY_STATUSES, WebhookDispatcher } = require('../services/webhook-dispatcher');
 
+// Mounted on the authenticated /v1 router, so req.partner is always set here
 const router = express.Router();
+const webhooksService = new WebhooksService();
+const webhookDispatcher = new WebhookDispatcher();
 
 /**
  * Validation middleware for handling validation errors
@@ -24,6 +27,42 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const notFound = (req, res, message = 'Webhook not found') => res.status(404).json({
+  error: {
+    type: 'not_found',
+    message,
+    doc_url: 'https://developer.kasbah.health/docs/errors#not_found',
+    request_id: req.id || 'unknown'
+  }
+});
+
+// WEBHOOK_ALLOW_INSECURE_URLS=true permits http:// receivers for local testing
+const allowInsecureUrls = process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true';
+
+const validateUrl = field => field
+  .isURL({ require_protocol: true, require_tld: !allowInsecureUrls })
+  .withMessage('url must be a valid HTTPS URL')
+  .custom(value => {
+    if (!value.startsWith('https://') && !allowInsecureUrls) {
+      throw new Error('url must use HTTPS protocol');
+    }
+    return true;
+  });
+
+const validateEvents = field => field
+  .isArray({ min: 1 })
+  .withMessage('events must be a non-empty array')
+  .custom(events => {
+    const invalidEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (invalidEvents.length > 0) {
+      throw new Error(`Invalid events: ${invalidEvents.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateWebhookId = param('webhook_id').matches(/^wh_[a-zA-Z0-9]+$/)
+  .withMessage('webhook_id must be a valid webhook ID');
+
 /**
  * @swagger
  * /v1/webhooks:
@@ -47,23 +86,9 @@ const handleValidationErrors = (req, res, next) => {
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.get('/', [
-  authenticateRequest,
-  checkIpAllowlist
-], async (req, res, next) => {
+router.get('/', async (req, res, next) => {
   try {
-    // Mock response - in production, this would query the database
-    const webhooks = [
-      {
-        id: 'wh_' + uuidv4().slice(0, 8),
-        url: 'https://partner.example.com/kasbah/webhooks',
-        events: ['order.created', 'order.updated', 'shipment.delivered'],
-        status: 'active',
-        created_at: '2025-09-01T10:00:00Z',
-        updated_at: '2025-09-01T10:00:00Z'
-      }
-    ];
-    
+    const webhooks = await webhooksService.listWebhooks(req.partner.id);
     res.json({ data: webhooks });
     
   } catch (error) {
@@ -99,7 +124,7 @@ router.get('/', [
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [order.created, order.updated, shipment.created, shipment.delivered, return.created]
+ *                   enum: [order.created, order.updated, order.cancelled, shipment.created, shipment.delivered, return.created, return.approved, return.received, return.refunded, return.rejected, invoice.created]
  *                 description: List of events to subscribe to
  *                 example: [order.created, order.updated]
  *               secret:
@@ -110,7 +135,7 @@ router.get('/', [
  *                 description: Optional description for this webhook
  *     responses:
  *       201:
- *         description: Webhook registered successfully
+ *         description: Webhook registered successfully (the only response that includes the secret)
  *         content:
  *           application/json:
  *             schema:
@@ -121,27 +146,8 @@ router.get('/', [
  *         $ref: '#/components/responses/Unauthorized'
  */
 router.post('/', [
-  authenticateRequest,
-  checkIpAllowlist,
-  
-  body('url').isURL({ require_protocol: true })
-    .withMessage('url must be a valid HTTPS URL')
-    .custom(value => {
-      if (!value.startsWith('https://')) {
-        throw new Error('url must use HTTPS protocol');
-      }
-      return true;
-    }),
-  body('events').isArray({ min: 1 })
-    .withMessage('events must be a non-empty array')
-    .custom(events => {
-      const validEvents = ['order.created', 'order.updated', 'shipment.created', 'shipment.delivered', 'return.created'];
-      const invalidEvents = events.filter(event => !validEvents.includes(event));
-      if (invalidEvents.length > 0) {
-        throw new Error(`Invalid events: ${invalidEvents.join(', ')}. Valid events: ${validEvents.join(', ')}`);
-      }
-      return true;
-    }),
+  validateUrl(body('url')),
+  validateEvents(body('events')),
   body('secret').optional().isLength({ min: 8 })
     .withMessage('secret must be at least 8 characters long'),
   body('description').optional().isLength({ max: 500 })
@@ -153,31 +159,10 @@ router.post('/', [
     const { url, events, secret, description } = req.body;
     const partnerId = req.partner.id;
     
-    // Generate webhook ID and secret if not provided
-    const webhookId = 'wh_' + uuidv4().replace(/-/g, '').slice(0, 16);
-    const webhookSecret = secret || 'whsec_' + uuidv4().replace(/-/g, '');
-    
-    // In production, save to database
-    const webhook = {
-      id: webhookId,
-      partner_id: partnerId,
-      url,
-      events,
-      secret: webhookSecret,
-      description: description || null,
-      status: 'active',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      last_delivery: null,
-      delivery_stats: {
-        total_deliveries: 0,
-        successful_deliveries: 0,
-        failed_deliveries: 0
-      }
-    };
+    const webhook = await webhooksService.createWebhook(partnerId, { url, events, secret, description }, req.auth);
     
     console.log(`📡 Webhook registered for partner ${partnerId}:`, {
-      id: webhookId,
+      id: webhook.id,
       url,
       events
     });
@@ -216,33 +201,14 @@ router.post('/', [
  *         $ref: '#/components/responses/NotFound'
  */
 router.get('/:webhook_id', [
-  authenticateRequest,
-  checkIpAllowlist,
-  
-  param('webhook_id').matches(/^wh_[a-zA-Z0-9]+$/)
-    .withMessage('webhook_id must be a valid webhook ID'),
-    
+  validateWebhookId,
   handleValidationErrors
 ], async (req, res, next) => {
   try {
-    const webhookId = req.params.webhook_id;
-    
-    // Mock response - in production, query database
-    const webhook = {
-      id: webhookId,
-      partner_id: req.partner.id,
-      url: 'https://partner.example.com/kasbah/webhooks',
-      events: ['order.created', 'order.updated'],
-      status: 'active',
-      created_at: '2025-09-01T10:00:00Z',
-      updated_at: '2025-09-01T10:00:00Z',
-      last_delivery: '2025-09-01T14:30:00Z',
-      delivery_stats: {
-        total_deliveries: 42,
-        successful_deliveries: 40,
-        failed_deliveries: 2
-      }
-    };
+    const webhook = await webhooksService.getWebhook(req.partner.id, req.params.webhook_id);
+    if (!webhook) {
+      return notFound(req, res);
+    }
     
     res.json(webhook);
     
@@ -252,6 +218,80 @@ router.get('/:webhook_id', [
   }
 });
 
+/**
+ * @swagger
+ * /v1/webhooks/{webhook_id}:
+ *   patch:
+ *     summary: Update a webhook's URL, events, status or description
+ *     tags: [Webhooks]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [order.created, order.updated, order.cancelled, shipment.created, shipment.delivered, return.created, return.approved, return.received, return.refunded, return.rejected, invoice.created]
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive]
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/:webhook_id', [
+  validateWebhookId,
+  validateUrl(body('url').optional()),
+  validateEvents(body('events').optional()),
+  body('status').optional().isIn(WEBHOOK_STATUSES)
+    .withMessage(`status must be one of: ${WEBHOOK_STATUSES.join(', ')}`),
+  body('description').optional({ nullable: true }).isLength({ max: 500 })
+    .withMessage('description must not exceed 500 characters'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { url, events, status, description } = req.body;
+    const webhook = await webhooksService.updateWebhook(req.partner.id, req.params.webhook_id, { url, events, status, description });
+    if (!webhook) {
+      return notFound(req, res);
+    }
+    
+    res.json(webhook);
+    
+  } catch (error) {
+    console.error(`Error in PATCH /v1/webhooks/${req.params.webhook_id}:`, error);
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /v1/webhooks/{webhook_id}:
@@ -274,19 +314,18 @@ router.get('/:webhook_id', [
  *         $ref: '#/components/responses/NotFound'
  */
 router.delete('/:webhook_id', [
-  authenticateRequest,
-  checkIpAllowlist,
-  
-  param('webhook_id').matches(/^wh_[a-zA-Z0-9]+$/)
-    .withMessage('webhook_id must be a valid webhook ID'),
-    
+  validateWebhookId,
   handleValidationErrors
 ], async (req, res, next) => {
   try {
     const webhookId = req.params.webhook_id;
     const partnerId = req.partner.id;
     
-    // In production, delete from database
+    const deleted = await webhooksService.deleteWebhook(partnerId, webhookId);
+    if (!deleted) {
+      return notFound(req, res);
+    }
+    
     console.log(`🗑️  Webhook deleted: ${webhookId} for partner ${partnerId}`);
     
     res.status(204).send();
@@ -297,4 +336,161 @@ router.delete('/:webhook_id', [
   }
 });
 
+/**
+ * @swagger
+ * /v1/webhooks/{webhook_id}/deliveries:
+ *   get:
+ *     summary: List delivery attempts for a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead_letter]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: event_type
+ *         schema:
+ *           type: string
+ *         description: Filter by event type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Pagination cursor from previous response
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:webhook_id/deliveries', [
+  validateWebhookId,
+  query('status').optional().isIn(Object.values(DELIVERY_STATUSES))
+    .withMessage(`status must be one of: ${Object.values(DELIVERY_STATUSES).join(', ')}`),
+  query('event_type').optional().isIn(WEBHOOK_EVENTS)
+    .withMessage(`event_type must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200'),
+  query('cursor').optional().isBase64()
+    .withMessage('cursor must be a valid base64 encoded string'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await webhooksService.listDeliveries(
+      req.partner.id,
+      req.params.webhook_id,
+      { status: req.query.status, event_type: req.query.event_type },
+      { limit: req.query.limit, cursor: req.query.cursor }
+    );
+    if (!result) {
+      return notFound(req, res);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error(`Error in GET /v1/webhooks/${req.params.webhook_id}/deliveries:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /v1/webhooks/{webhook_id}/deliveries/{delivery_id}/redeliver:
+ *   post:
+ *     summary: Resend a single delivery now
+ *     description: |
+ *       Sends the original payload once more. A failed redelivery does not change the automatic retry
+ *       schedule or count toward its attempt limit.
+ *     tags: [Webhooks]
+ *     security:
+ *       - KasbahAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: delivery_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery after the redelivery attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The delivery is being attempted right now
+ */
+router.post('/:webhook_id/deliveries/:delivery_id/redeliver', [
+  validateWebhookId,
+  param('delivery_id').matches(/^dlv_[a-zA-Z0-9]+$/)
+    .withMessage('delivery_id must be a valid delivery ID'),
+    
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const ref = await webhooksService.getDeliveryRef(req.partner.id, req.params.webhook_id, req.params.delivery_id);
+    if (!ref) {
+      return notFound(req, res, 'Delivery not found');
+    }
+    
+    const delivery = await webhookDispatcher.redeliver(ref);
+    if (!delivery) {
+      return notFound(req, res, 'Delivery not found');
+    }
+    if (delivery.conflict) {
+      return res.status(409).json({
+        error: {
+          type: 'conflict',
+          message: 'Delivery is being attempted; try again shortly',
+          doc_url: 'https://developer.kasbah.health/docs/errors#conflict',
+          request_id: req.id || 'unknown'
+        }
+      });
+    }
+    
+    res.json(webhooksService.formatDelivery(ref, delivery));
+    
+  } catch (error) {
+    console.error(`Error in POST /v1/webhooks/${req.params.webhook_id}/deliveries/${req.params.delivery_id}/redeliver:`, error);
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
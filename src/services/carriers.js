@@ -0,0 +1,159 @@
+/**
+ * Shipping carriers
+ *
+ * Shipments use the standard carrier codes from the Shipment schema. Deployments
+ * can accept additional carriers by listing their codes in CUSTOM_CARRIERS
+ * (comma-separated, e.g. "ONTRAC,LASERSHIP"). A custom code can carry a public
+ * tracking URL template: "ONTRAC=https://www.ontrac.com/tracking?number={tracking_number}".
+ *
+ * Tracking numbers for standard carriers are checked against each carrier's
+ * formats and check digits, and can be used to infer the carrier.
+ */
+
+const STANDARD_CARRIERS = ['UPS', 'FEDEX', 'USPS', 'DHL'];
+
+// Shipment statuses, matching Shipment.status and TrackingEvent.status
+const SHIPMENT_STATUSES = ['CREATED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'EXCEPTION'];
+
+// Event types a shipment event may be posted with; shipment.delivered marks the shipment delivered
+const SHIPMENT_EVENT_TYPES = ['shipment.updated', 'shipment.exception', 'shipment.delivered'];
+
+const TRACKING_URL_TEMPLATES = {
+  UPS: 'https://www.ups.com/track?tracknum={tracking_number}',
+  FEDEX: 'https://www.fedex.com/fedextrack/?trknbr={tracking_number}',
+  USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={tracking_number}',
+  DHL: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id={tracking_number}'
+};
+
+function normalizeCarrier(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Tracking numbers are compared without spaces or dashes, uppercase
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// CUSTOM_CARRIERS entries as { code, urlTemplate }
+function parseCustomCarriers() {
+  return (process.env.CUSTOM_CARRIERS || '')
+    .split(',')
+    .map(entry => {
+      const [code, ...template] = entry.split('=');
+      return { code: normalizeCarrier(code), urlTemplate: template.join('=').trim() || null };
+    })
+    .filter(({ code }) => /^[A-Z0-9_]+$/.test(code));
+}
+
+/**
+ * Every carrier code shipments may use
+ */
+function getCarriers() {
+  return [...new Set([...STANDARD_CARRIERS, ...parseCustomCarriers().map(c => c.code)])];
+}
+
+function isKnownCarrier(code) {
+  return getCarriers().includes(normalizeCarrier(code));
+}
+
+// GS1 mod 10: weights 3,1 alternating from the rightmost data digit
+function gs1CheckDigit(digits) {
+  const sum = [...digits].reverse().reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function hasGs1CheckDigit(number) {
+  return gs1CheckDigit(number.slice(0, -1)) === Number(number.slice(-1));
+}
+
+// UPS 1Z: 1Z + 15 alphanumerics + check digit; letters map to (charCode - 63) mod 10
+function isUpsTrackingNumber(number) {
+  if (!/^1Z[0-9A-Z]{15}\d$/.test(number)) return false;
+  const value = c => (/\d/.test(c) ? Number(c) : (c.charCodeAt(0) - 63) % 10);
+  const sum = [...number.slice(2, 17)].reduce((acc, c, i) => acc + value(c) * (i % 2 === 1 ? 2 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(number[17]);
+}
+
+// FedEx Express (12 digits, weights 1,3,7 mod 11), Ground (15 digits, GS1) and SSCC-style 96 barcodes (22 digits)
+function isFedexTrackingNumber(number) {
+  if (/^\d{12}$/.test(number)) {
+    const weights = [1, 3, 7];
+    const sum = [...number.slice(0, 11)].reverse().reduce((acc, d, i) => acc + Number(d) * weights[i % 3], 0);
+    return (sum % 11) % 10 === Number(number[11]);
+  }
+  if (/^\d{15}$/.test(number)) return hasGs1CheckDigit(number);
+  if (/^96\d{20}$/.test(number)) return hasGs1CheckDigit(number.slice(-15));
+  return false;
+}
+
+// UPU S10 international items (e.g. RR123456785US): weights 8,6,4,2,3,5,9,7 mod 11
+function isS10TrackingNumber(number) {
+  if (!/^[A-Z]{2}\d{9}[A-Z]{2}$/.test(number)) return false;
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = weights.reduce((acc, w, i) => acc + Number(number[2 + i]) * w, 0);
+  let check = 11 - (sum % 11);
+  if (check === 10) check = 0;
+  if (check === 11) check = 5;
+  return check === Number(number[10]);
+}
+
+// USPS Intelligent Mail package barcode (IMpb, optionally behind a 420+ZIP routing prefix) or S10
+function isUspsTrackingNumber(number) {
+  const impb = number.replace(/^420\d{5}(\d{4})?(?=9\d{19,21}$)/, '');
+  if (/^9[2-5]\d{18,20}$/.test(impb)) return hasGs1CheckDigit(impb);
+  return isS10TrackingNumber(number);
+}
+
+// DHL Express waybill: 10 digits, check digit is the first nine mod 7
+function isDhlTrackingNumber(number) {
+  if (!/^\d{10}$/.test(number)) return false;
+  return Number(number.slice(0, 9)) % 7 === Number(number[9]);
+}
+
+const VALIDATORS = {
+  UPS: isUpsTrackingNumber,
+  FEDEX: isFedexTrackingNumber,
+  USPS: isUspsTrackingNumber,
+  DHL: isDhlTrackingNumber
+};
+
+/**
+ * Whether a tracking number is valid for the carrier. Custom carriers are not checked.
+ */
+function isValidTrackingNumber(carrier, trackingNumber) {
+  const validate = VALIDATORS[normalizeCarrier(carrier)];
+  return validate ? validate(normalizeTrackingNumber(trackingNumber)) : true;
+}
+
+/**
+ * The standard carrier a tracking number belongs to, or null when none or several match
+ */
+function inferCarrier(trackingNumber) {
+  const number = normalizeTrackingNumber(trackingNumber);
+  const matches = STANDARD_CARRIERS.filter(code => VALIDATORS[code](number));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Public tracking page for a shipment, or null for carriers without a URL template
+ */
+function trackingUrl(carrier, trackingNumber) {
+  const code = normalizeCarrier(carrier);
+  const number = normalizeTrackingNumber(trackingNumber);
+  if (!number) return null;
+  const template = TRACKING_URL_TEMPLATES[code] || parseCustomCarriers().find(c => c.code === code)?.urlTemplate;
+  return template ? template.replace('{tracking_number}', encodeURIComponent(number)) : null;
+}
+
+module.exports = {
+  SHIPMENT_EVENT_TYPES,
+  SHIPMENT_STATUSES,
+  STANDARD_CARRIERS,
+  getCarriers,
+  inferCarrier,
+  isKnownCarrier,
+  isValidTrackingNumber,
+  normalizeCarrier,
+  normalizeTrackingNumber,
+  trackingUrl
+};
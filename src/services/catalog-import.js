@@ -0,0 +1,383 @@
+const { initializeFirestore } = require('./real-firestore');
+const { parseCsv } = require('./csv');
+const { PRODUCT_DEFAULTS, categoryError, isCategoryId, productData, validateProduct } = require('./catalog');
+
+const ROW_ACTIONS = ['create', 'update', 'unchanged', 'error'];
+
+const DEFAULTS = {
+  maxRows: parseInt(process.env.CATALOG_IMPORT_MAX_ROWS, 10) || 10000,
+  // Rows per Firestore batch; each row writes its report and at most one product (limit 500 writes)
+  batchSize: 200
+};
+
+// CSV headers (lowercased, spaces and dashes as underscores) and the product field each fills
+const COLUMN_ALIASES = {
+  sku: 'sku',
+  item_sku: 'sku',
+  supplier_sku: 'sku',
+  name: 'name',
+  product_name: 'name',
+  title: 'name',
+  description: 'description',
+  category: 'category',
+  category_id: 'category',
+  price: 'price',
+  unit_price: 'price',
+  uom: 'uom',
+  unit: 'uom',
+  unit_of_measure: 'uom',
+  manufacturer: 'manufacturer',
+  brand: 'brand',
+  model: 'model',
+  variants: 'variants',
+  available: 'available',
+  quantity: 'quantity',
+  qty: 'quantity',
+  stock: 'quantity',
+  status: 'status'
+};
+
+const BOOLEANS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/**
+ * Map a CSV header row to product fields. Returns { columns, ignored } where
+ * columns[i] is the field for column i (null when ignored), or { error }.
+ */
+function mapColumns(header) {
+  const columns = [];
+  const ignored = [];
+  for (const name of header) {
+    const field = COLUMN_ALIASES[name.trim().toLowerCase().replace(/[\s-]+/g, '_')] || null;
+    if (field && columns.includes(field)) return { error: `More than one column maps to ${field}` };
+    if (!field) ignored.push(name);
+    columns.push(field);
+  }
+  if (!columns.includes('sku')) return { error: 'CSV header must include a sku column' };
+  return { columns, ignored };
+}
+
+/**
+ * Product fields from one CSV row, converted from text. Empty cells are left
+ * out, so updates keep the stored value. Returns { input, errors }.
+ */
+function rowInput(cells, columns) {
+  const input = {};
+  const errors = [];
+  if (cells.length > columns.length) {
+    errors.push({ field: null, message: `Row has ${cells.length} columns but the header has ${columns.length}` });
+  }
+  columns.forEach((field, i) => {
+    const text = (cells[i] || '').trim();
+    if (!field || text === '') return;
+    if (field === 'price') {
+      const price = Number(text.replace(/[$,\s]/g, ''));
+      if (Number.isNaN(price)) errors.push({ field, message: 'price must be a number' });
+      else input.price = price;
+    } else if (field === 'quantity') {
+      if (/^\d+$/.test(text)) input.quantity = parseInt(text, 10);
+      else errors.push({ field, message: 'quantity must be a non-negative integer' });
+    } else if (field === 'available') {
+      const value = BOOLEANS[text.toLowerCase()];
+      if (value === undefined) errors.push({ field, message: 'available must be true/false, yes/no or 1/0' });
+      else input.available = value;
+    } else if (field === 'variants') {
+      try {
+        input.variants = JSON.parse(text);
+      } catch (e) {
+        errors.push({ field, message: 'variants must be a JSON array' });
+      }
+    } else {
+      input[field] = text;
+    }
+  });
+  return { input, errors };
+}
+
+// Comparable form of a stored or new field value
+const comparable = value => JSON.stringify(value ?? null);
+
+/**
+ * Catalog Importer - loads a supplier's catalog from CSV as a background job.
+ *
+ * Jobs are stored in catalogImports/{id} with a per-row report in
+ * catalogImports/{id}/rows. Rows are matched to existing products by SKU within
+ * the supplier's catalog: new SKUs are created, known ones updated with the
+ * non-empty cells. A dry run writes only the report.
+ *
+ * A job runs in the process that accepted it; one cut short by a restart stays
+ * 'running' and can be submitted again.
+ */
+class CatalogImporter {
+  constructor(options = {}) {
+    this.db = options.db || initializeFirestore();
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Check the CSV's header and size, record a queued job and start it.
+   * Returns { success, job_id, job } or { invalid, message }.
+   */
+  async createJob(supplierId, csvText, { dryRun = false, fileName = null } = {}, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+
+    let rows;
+    try {
+      rows = parseCsv(csvText);
+    } catch (err) {
+      return { invalid: true, message: err.message };
+    }
+    if (rows.length < 2) return { invalid: true, message: 'CSV must have a header row and at least one data row' };
+    if (rows.length - 1 > this.options.maxRows) {
+      return { invalid: true, message: `CSV has ${rows.length - 1} data rows; the limit is ${this.options.maxRows}` };
+    }
+    const mapping = mapColumns(rows[0]);
+    if (mapping.error) return { invalid: true, message: mapping.error };
+
+    const now = new Date();
+    const jobRef = this.db.collection('catalogImports').doc();
+    await jobRef.set({
+      supplierId,
+      status: 'queued',
+      dryRun: Boolean(dryRun),
+      fileName,
+      columns: mapping.columns.filter(Boolean),
+      ignoredColumns: mapping.ignored,
+      totalRows: rows.length - 1,
+      processedRows: 0,
+      summary: { create: 0, update: 0, unchanged: 0, error: 0 },
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      createdBy: actor.uid || null
+    });
+
+    setImmediate(() => {
+      this.run(jobRef, supplierId, mapping.columns, rows.slice(1), { dryRun: Boolean(dryRun), actor }).catch(err => {
+        console.error(`Catalog import ${jobRef.id} failed:`, err);
+      });
+    });
+
+    return { success: true, job_id: jobRef.id, job: this.formatJob(await jobRef.get()) };
+  }
+
+  /**
+   * Work through the rows, writing the report (and products, unless dryRun)
+   * batch by batch and recording progress on the job as it goes.
+   */
+  async run(jobRef, supplierId, columns, rows, { dryRun = false, actor = {} } = {}) {
+    try {
+      await jobRef.update({ status: 'running', startedAt: new Date(), updatedAt: new Date() });
+
+      const existing = new Map();
+      const productsSnap = await this.db.collection('products').where('supplierId', '==', supplierId).get();
+      productsSnap.docs.forEach(doc => existing.set(doc.data().sku, doc));
+
+      const inputs = rows.map(cells => rowInput(cells, columns));
+      const categories = await this._categoryErrors(inputs.map(({ input }) => input.category));
+      const supplierName = await this._supplierName(supplierId);
+
+      const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+      const seen = new Set();
+      let batch = this.db.batch();
+      let pending = 0;
+
+      for (let i = 0; i < inputs.length; i++) {
+        const now = new Date();
+        const report = this._planRow(inputs[i], existing, categories, seen);
+        report.row = i + 2; // spreadsheet row number: the header is row 1
+
+        if (!dryRun && report.action === 'create') {
+          const ref = this.db.collection('products').doc();
+          report.product_id = ref.id;
+          batch.set(ref, {
+            ...PRODUCT_DEFAULTS,
+            ...report.data,
+            supplierId,
+            supplierName,
+            createdAt: now,
+            updatedAt: now,
+            createdBy: actor.uid || null
+          });
+        } else if (!dryRun && report.action === 'update') {
+          batch.update(existing.get(report.sku).ref, { ...report.data, updatedAt: now, updatedBy: actor.uid || null });
+        }
+
+        summary[report.action]++;
+        batch.set(jobRef.collection('rows').doc(String(report.row).padStart(7, '0')), {
+          row: report.row,
+          sku: report.sku,
+          action: report.action,
+          productId: report.product_id,
+          changes: report.changes,
+          errors: report.errors
+        });
+
+        if (++pending === this.options.batchSize || i === inputs.length - 1) {
+          await batch.commit();
+          await jobRef.update({ processedRows: i + 1, summary, updatedAt: new Date() });
+          batch = this.db.batch();
+          pending = 0;
+        }
+      }
+
+      await jobRef.update({ status: 'completed', summary, completedAt: new Date(), updatedAt: new Date() });
+    } catch (err) {
+      await jobRef.update({ status: 'failed', error: err.message || 'Import failed', completedAt: new Date(), updatedAt: new Date() });
+      throw err;
+    }
+  }
+
+  /**
+   * Get an import job for one of the supplier's catalogs, or null
+   */
+  async getJob(supplierId, jobId) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const doc = await this.db.collection('catalogImports').doc(jobId).get();
+    if (!doc.exists || doc.data().supplierId !== supplierId) return null;
+    return this.formatJob(doc);
+  }
+
+  /**
+   * Per-row report for a job in file order, optionally only one action.
+   * Returns null when the job is not the supplier's.
+   */
+  async listRows(supplierId, jobId, filters = {}, pagination = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const jobRef = this.db.collection('catalogImports').doc(jobId);
+    const jobSnap = await jobRef.get();
+    if (!jobSnap.exists || jobSnap.data().supplierId !== supplierId) return null;
+
+    let query = jobRef.collection('rows');
+    if (filters.action) {
+      query = query.where('action', '==', filters.action);
+    }
+    query = query.orderBy('row');
+
+    if (pagination.cursor) {
+      const c = this.decodeCursor(pagination.cursor);
+      if (Number.isInteger(c?.row)) {
+        query = query.startAfter(c.row);
+      }
+    }
+
+    const limit = Math.min(parseInt(pagination.limit) || 100, 500);
+    const snapshot = await query.limit(limit + 1).get();
+    const data = snapshot.docs.slice(0, limit).map(doc => this.formatRow(doc));
+    const hasMore = snapshot.docs.length > limit;
+
+    return {
+      data,
+      pagination: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore && data.length > 0 ? this.encodeCursor(data[data.length - 1]) : null
+      }
+    };
+  }
+
+  formatJob(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      supplier_id: data.supplierId,
+      status: data.status,
+      dry_run: Boolean(data.dryRun),
+      file_name: data.fileName || null,
+      columns: data.columns || [],
+      ignored_columns: data.ignoredColumns || [],
+      total_rows: data.totalRows || 0,
+      processed_rows: data.processedRows || 0,
+      progress: data.totalRows ? Math.round((data.processedRows || 0) / data.totalRows * 100) / 100 : 0,
+      summary: data.summary || { create: 0, update: 0, unchanged: 0, error: 0 },
+      error: data.error || null,
+      created_at: data.createdAt?.toDate()?.toISOString(),
+      started_at: data.startedAt?.toDate()?.toISOString() || null,
+      completed_at: data.completedAt?.toDate()?.toISOString() || null
+    };
+  }
+
+  formatRow(doc) {
+    const data = doc.data();
+    return {
+      row: data.row,
+      sku: data.sku || null,
+      action: data.action,
+      product_id: data.productId || null,
+      changes: data.changes || [],
+      errors: data.errors || []
+    };
+  }
+
+  encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ row: row.row })).toString('base64');
+  }
+
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * What one row would do: { action, sku, product_id, changes, errors, data }
+   * where data holds the product fields to write
+   */
+  _planRow({ input, errors: parseErrors }, existing, categories, seen) {
+    const sku = input.sku || null;
+    const current = sku ? existing.get(sku) : null;
+    const currentData = current ? current.data() : null;
+    // A cell that could not be converted is already reported; don't also call it missing
+    const errors = [
+      ...parseErrors,
+      ...validateProduct(input, { partial: Boolean(current) })
+        .filter(error => !parseErrors.some(parsed => parsed.field === error.field))
+    ];
+    if (sku && seen.has(sku)) errors.push({ field: 'sku', message: 'SKU appears on an earlier row' });
+    if (sku) seen.add(sku);
+    if (input.category !== undefined && input.category !== currentData?.category && categories.get(input.category)) {
+      errors.push({ field: 'category', message: categories.get(input.category) });
+    }
+
+    const base = { sku, product_id: current ? current.id : null, changes: [], errors };
+    if (errors.length) return { ...base, action: 'error' };
+
+    const data = productData(input);
+    if (!current) {
+      return { ...base, action: 'create', data };
+    }
+    const changes = Object.keys(data)
+      .filter(field => comparable(currentData[field]) !== comparable(data[field]))
+      .map(field => ({ field, from: currentData[field] ?? null, to: data[field] }));
+    const changed = Object.fromEntries(changes.map(change => [change.field, change.to]));
+    return { ...base, action: changes.length ? 'update' : 'unchanged', changes, data: changed };
+  }
+
+  // Error message (or null) for each distinct category the rows use. Values that
+  // are not category IDs are skipped: validateProduct already fails their rows.
+  async _categoryErrors(categories) {
+    const results = new Map();
+    for (const category of new Set(categories.filter(isCategoryId))) {
+      const id = category.trim();
+      const snap = await this.db.collection('categories').doc(id).get();
+      results.set(category, categoryError(id, snap.exists ? snap.data() : null));
+    }
+    return results;
+  }
+
+  async _supplierName(supplierId) {
+    const supplierSnap = await this.db.collection('suppliers').doc(supplierId).get();
+    const userSnap = await this.db.collection('users').doc(supplierId).get();
+    const supplier = supplierSnap.exists ? supplierSnap.data() : {};
+    const user = userSnap.exists ? userSnap.data() : {};
+    return supplier.name || supplier.companyName || user.companyName || user.name || null;
+  }
+}
+
+module.exports = {
+  ROW_ACTIONS,
+  CatalogImporter
+};
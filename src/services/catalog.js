@@ -0,0 +1,158 @@
+/**
+ * Product catalog
+ *
+ * Field rules for supplier-managed products, shared by the product write API
+ * and catalog imports. Products are stored in products/{id} under the same
+ * field names formatProduct reads back (sku, name, price, uom, manufacturer, ...).
+ * Categories are checked against the categories collection by the caller.
+ */
+
+const PRODUCT_STATUSES = ['active', 'inactive', 'discontinued'];
+
+// API fields a supplier can set, in the order errors are reported
+const PRODUCT_FIELDS = [
+  'sku', 'name', 'description', 'category', 'price', 'uom',
+  'manufacturer', 'brand', 'model', 'variants', 'available', 'quantity', 'status'
+];
+
+const REQUIRED_FIELDS = ['sku', 'name', 'category', 'price'];
+
+// Stored on new products for fields the supplier leaves out
+const PRODUCT_DEFAULTS = {
+  uom: 'each',
+  available: true,
+  quantity: 0,
+  status: 'active'
+};
+
+const TEXT_LIMITS = {
+  sku: 64,
+  name: 200,
+  description: 5000,
+  category: 100,
+  uom: 20,
+  manufacturer: 200,
+  brand: 200,
+  model: 200
+};
+
+const MAX_VARIANTS = 100;
+
+// Categories are document IDs in the categories collection, so a category must
+// be usable as one: no "/", not "." or "..", and not a reserved __name__
+const CATEGORY_ID = /^(?!\.\.?$)(?!__.*__$)[^/]+$/;
+
+function isCategoryId(value) {
+  return typeof value === 'string' && CATEGORY_ID.test(value.trim());
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateVariant(variant, index) {
+  const field = `variants[${index}]`;
+  if (!isPlainObject(variant)) return `${field} must be an object`;
+  for (const key of ['sku', 'name']) {
+    if (variant[key] !== undefined && (typeof variant[key] !== 'string' || variant[key].length > TEXT_LIMITS[key])) {
+      return `${field}.${key} must be a string of at most ${TEXT_LIMITS[key]} characters`;
+    }
+  }
+  if (variant.price !== undefined && !(typeof variant.price === 'number' && variant.price >= 0)) {
+    return `${field}.price must be a non-negative number`;
+  }
+  if (variant.attributes !== undefined &&
+    (!isPlainObject(variant.attributes) || Object.values(variant.attributes).some(v => typeof v !== 'string'))) {
+    return `${field}.attributes must be an object of string values`;
+  }
+  return null;
+}
+
+/**
+ * Check API-shaped product fields. With partial, only the fields present are
+ * checked (PATCH); otherwise sku, name, category and price are required.
+ * Returns [{ field, message }], empty when the input is valid.
+ */
+function validateProduct(input, { partial = false } = {}) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  if (!isPlainObject(input)) {
+    add(null, 'Product must be an object');
+    return errors;
+  }
+
+  for (const field of PRODUCT_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      if (!partial && REQUIRED_FIELDS.includes(field)) add(field, `${field} is required`);
+      else if (partial && REQUIRED_FIELDS.includes(field) && value !== undefined) add(field, `${field} must not be empty`);
+      continue;
+    }
+
+    if (TEXT_LIMITS[field]) {
+      if (typeof value !== 'string' || !value.trim() || value.length > TEXT_LIMITS[field]) {
+        add(field, `${field} must be a non-empty string of at most ${TEXT_LIMITS[field]} characters`);
+      } else if (field === 'category' && !isCategoryId(value)) {
+        add(field, 'category must be a category ID: no "/", and not ".", ".." or __name__');
+      }
+    } else if (field === 'price') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) add(field, 'price must be a non-negative number');
+    } else if (field === 'quantity') {
+      if (!Number.isInteger(value) || value < 0) add(field, 'quantity must be a non-negative integer');
+    } else if (field === 'available') {
+      if (typeof value !== 'boolean') add(field, 'available must be true or false');
+    } else if (field === 'status') {
+      if (!PRODUCT_STATUSES.includes(value)) add(field, `status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+    } else if (field === 'variants') {
+      if (!Array.isArray(value) || value.length > MAX_VARIANTS) {
+        add(field, `variants must be an array of at most ${MAX_VARIANTS} items`);
+      } else {
+        const message = value.map(validateVariant).find(Boolean);
+        if (message) add(field, message);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Error message when a product cannot use category, given its document in the
+ * categories collection (null when there is none); null when it can
+ */
+function categoryError(category, data) {
+  if (!data) return `Unknown category: ${category}`;
+  if (data.active === false || data.status === 'inactive') return `Category ${category} is not accepting products`;
+  return null;
+}
+
+/**
+ * Product document fields for the API fields present in input (already
+ * validated). Optional text fields set to null or '' are cleared.
+ */
+function productData(input) {
+  const data = {};
+  for (const field of PRODUCT_FIELDS) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (typeof value === 'string') data[field] = value.trim() || null;
+    else if (field === 'variants') {
+      data.variants = value && value.map(variant => ({
+        sku: variant.sku || null,
+        name: variant.name || null,
+        price: variant.price ?? null,
+        attributes: variant.attributes || {}
+      }));
+    } else data[field] = value;
+  }
+  return data;
+}
+
+module.exports = {
+  PRODUCT_DEFAULTS,
+  PRODUCT_FIELDS,
+  PRODUCT_STATUSES,
+  categoryError,
+  isCategoryId,
+  productData,
+  validateProduct
+};
@@ -0,0 +1,77 @@
+/**
+ * CSV (RFC 4180): comma-separated, fields optionally wrapped in double quotes,
+ * "" for a literal quote inside a quoted field, CRLF or LF line endings.
+ */
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). A leading UTF-8
+ * BOM and blank lines are skipped. Throws on an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field on row ${rows.length + 1}`);
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Format one row of values as a CSV line ending in CRLF. null and undefined
+ * become empty cells, Dates ISO strings and other objects JSON; cells with a
+ * comma, quote or line break are quoted. Text that would start a formula
+ * (=, +, -, @, tab or CR) is prefixed with ' so spreadsheets show it as text;
+ * numbers are written as they are.
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    let text;
+    if (value === null || value === undefined) text = '';
+    else if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  formatCsvRow,
+  parseCsv
+};
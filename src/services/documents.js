@@ -0,0 +1,209 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Printable documents
+ *
+ * Invoices and packing slips are rendered on request from the same API-shaped
+ * data the JSON endpoints return, using pdfkit's built-in fonts so nothing
+ * is fetched from outside the process.
+ */
+
+const PAGE = { size: 'LETTER', margin: 50 };
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+function money(amount, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (e) {
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+}
+
+function date(iso) {
+  return iso ? iso.slice(0, 10) : '-';
+}
+
+// Address (API shape) as printable lines
+function addressLines(address) {
+  if (!address) return [];
+  const cityLine = [address.city, [address.state, address.postal_code].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+}
+
+function collect(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+function header(doc, title, rows) {
+  doc.font(FONT_BOLD).fontSize(20).text(title, PAGE.margin, PAGE.margin);
+  doc.moveDown(0.5).font(FONT).fontSize(10);
+  for (const [label, value] of rows) {
+    doc.font(FONT_BOLD).text(`${label}: `, { continued: true }).font(FONT).text(value || '-');
+  }
+  doc.moveDown();
+}
+
+// Two side-by-side blocks of lines, e.g. From / Bill to
+function parties(doc, blocks) {
+  const top = doc.y;
+  const width = (doc.page.width - PAGE.margin * 2) / blocks.length;
+  let bottom = top;
+  blocks.forEach(([label, lines], i) => {
+    const x = PAGE.margin + i * width;
+    doc.font(FONT_BOLD).fontSize(10).text(label, x, top, { width: width - 10 });
+    doc.font(FONT);
+    for (const line of lines.filter(Boolean)) doc.text(line, x, doc.y, { width: width - 10 });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = PAGE.margin;
+  doc.y = bottom;
+  doc.moveDown();
+}
+
+/**
+ * Draw a table; columns are { label, width, align, value(row) }. Starts a new
+ * page (repeating the header row) when a row would run off the bottom.
+ */
+function table(doc, columns, rows) {
+  const drawRow = (values, font) => {
+    doc.font(font).fontSize(9);
+    const heights = values.map((value, i) => doc.heightOfString(String(value), { width: columns[i].width - 6 }));
+    const height = Math.max(...heights) + 6;
+    if (doc.y + height > doc.page.height - PAGE.margin) {
+      doc.addPage();
+      if (font !== FONT_BOLD) drawRow(columns.map(col => col.label), FONT_BOLD);
+      doc.font(font).fontSize(9);
+    }
+    const top = doc.y;
+    let x = PAGE.margin;
+    values.forEach((value, i) => {
+      doc.text(String(value), x + 3, top + 3, { width: columns[i].width - 6, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.moveTo(PAGE.margin, top + height).lineTo(x, top + height).lineWidth(0.5).strokeColor('#999999').stroke();
+    doc.x = PAGE.margin;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(col => col.label), FONT_BOLD);
+  for (const row of rows) drawRow(columns.map(col => col.value(row) ?? ''), FONT);
+  doc.moveDown();
+}
+
+// Label/value lines aligned to the right edge, e.g. invoice totals
+function summary(doc, rows) {
+  const width = 220;
+  const x = doc.page.width - PAGE.margin - width;
+  for (const [label, value, bold] of rows) {
+    const top = doc.y;
+    doc.font(bold ? FONT_BOLD : FONT).fontSize(10);
+    doc.text(label, x, top, { width: width / 2 });
+    doc.text(value, x + width / 2, top, { width: width / 2, align: 'right' });
+  }
+  doc.x = PAGE.margin;
+  doc.moveDown();
+}
+
+function notes(doc, text) {
+  if (!text) return;
+  doc.font(FONT_BOLD).fontSize(10).text('Notes');
+  doc.font(FONT).text(text);
+}
+
+/**
+ * Invoice PDF. invoice is the Invoice API shape; context carries what the
+ * invoice does not store itself: order_number, customer and supplier
+ * ({ name, email }).
+ */
+function renderInvoicePdf(invoice, context = {}) {
+  const doc = new PDFDocument({ ...PAGE, info: { Title: `Invoice ${invoice.invoice_number}` } });
+  const done = collect(doc);
+  const currency = invoice.currency;
+  const customer = context.customer || {};
+  const supplier = context.supplier || {};
+
+  header(doc, 'INVOICE', [
+    ['Invoice', invoice.invoice_number],
+    ['Order', context.order_number || invoice.order_id],
+    ['Issued', date(invoice.issued_at)],
+    ['Due', date(invoice.due_date)],
+    ['Payment status', invoice.payment_status]
+  ]);
+  parties(doc, [
+    ['From', [supplier.name || invoice.supplier_id, supplier.email]],
+    ['Bill to', [customer.name || invoice.customer_id, customer.email]]
+  ]);
+  table(doc, [
+    { label: 'SKU', width: 90, value: item => item.sku },
+    { label: 'Item', width: 212, value: item => item.name },
+    { label: 'Qty', width: 50, align: 'right', value: item => item.quantity },
+    { label: 'Unit price', width: 80, align: 'right', value: item => money(item.unit_price, currency) },
+    { label: 'Amount', width: 80, align: 'right', value: item => money(item.line_total, currency) }
+  ], invoice.items);
+
+  const taxLabel = invoice.tax.rate != null ? `Tax (${+(invoice.tax.rate * 100).toFixed(3)}%)` : 'Tax';
+  summary(doc, [
+    ['Subtotal', money(invoice.subtotal, currency)],
+    [taxLabel, money(invoice.tax.amount, currency)],
+    ['Total', money(invoice.total, currency), true],
+    ['Amount paid', money(invoice.amount_paid, currency)],
+    ['Amount due', money(invoice.amount_due, currency), true]
+  ]);
+  notes(doc, invoice.notes);
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Packing slip PDF for one supplier order, from formatOrderForSupplier output
+ */
+function renderPackingSlipPdf(order) {
+  const doc = new PDFDocument({ ...PAGE, info: { Title: `Packing slip ${order.order_number}` } });
+  const done = collect(doc);
+  const shipTo = order.shipping?.address;
+
+  header(doc, 'PACKING SLIP', [
+    ['Order', order.order_number],
+    ['Order date', date(order.created_at)],
+    ['Ship method', order.shipping?.method]
+  ]);
+  parties(doc, [
+    ['Ship from', [order.supplier.name || order.supplier.id, order.supplier.email]],
+    ['Ship to', shipTo
+      ? [shipTo.name || order.customer.name || order.customer.id, ...addressLines(shipTo)]
+      : [order.customer.name || order.customer.id, 'No shipping address on file']]
+  ]);
+  table(doc, [
+    { label: 'SKU', width: 90, value: item => item.sku },
+    { label: 'Item', width: 177, value: item => item.name },
+    { label: 'UOM', width: 45, value: item => item.uom },
+    { label: 'Ordered', width: 60, align: 'right', value: item => item.quantity },
+    { label: 'Fulfilled', width: 60, align: 'right', value: item => item.quantity_fulfilled },
+    { label: 'Backordered', width: 80, align: 'right', value: item => item.quantity_backordered }
+  ], order.items.filter(item => item.quantity_cancelled < item.quantity));
+
+  doc.end();
+  return done;
+}
+
+/**
+ * PDF file name for a Content-Disposition header. Numbers embed stored IDs,
+ * so anything but letters, digits, '_', '.' and '-' becomes '_'.
+ */
+function pdfFileName(name) {
+  return `${String(name).replace(/[^\w.-]/g, '_')}.pdf`;
+}
+
+module.exports = {
+  pdfFileName,
+  renderInvoicePdf,
+  renderPackingSlipPdf
+};
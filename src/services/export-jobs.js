@@ -0,0 +1,224 @@
+const { once } = require('events');
+const { initializeFirestore, RealOrdersService } = require('./real-firestore');
+const { ShipmentsService } = require('./firestore');
+const { CONTENT_TYPES, createSerializer, exportFileName, exportRows, walkPages } = require('./exports');
+const { createExportStorage } = require('./export-storage');
+
+const DEFAULTS = {
+  // How long a download link from GET /v1/exports/:id stays valid
+  linkTtlMs: (parseInt(process.env.EXPORT_LINK_TTL_SECONDS, 10) || 900) * 1000,
+  // A queued or running job not updated for this long lost its runner (e.g. to a restart)
+  staleAfterMs: (parseInt(process.env.EXPORT_STALE_SECONDS, 10) || 600) * 1000,
+  pageSize: 200
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Share of a created_at range already written, for listings walked newest
+ * first; null when the range has no lower bound. The upper bound defaults to
+ * when the job was created.
+ */
+function rangeProgress(range = {}, createdAt, lastCreatedAt) {
+  const from = Date.parse(range.gte);
+  const to = range.lte ? Date.parse(range.lte) : createdAt.getTime();
+  const last = Date.parse(lastCreatedAt);
+  if (Number.isNaN(from) || Number.isNaN(to) || Number.isNaN(last) || to <= from) return null;
+  return Math.round(Math.min(1, Math.max(0, (to - last) / (to - from))) * 100) / 100;
+}
+
+/**
+ * Export Jobs - writes a whole listing to a file in the background.
+ *
+ * Jobs are stored in exports/{id}. The runner walks the same service methods
+ * as the list endpoints, page by page through their cursors, streaming rows to
+ * the configured export storage and recording progress after every page.
+ * Completed jobs hand out a signed, expiring download link each time they are
+ * read.
+ *
+ * A job runs in the process that accepted it. Running jobs update the job
+ * after every page; one cut short by a restart stops updating and is marked
+ * failed when read after staleAfterMs, and can be requested again.
+ */
+class ExportJobs {
+  constructor(options = {}) {
+    this.db = options.db || initializeFirestore();
+    this.storage = options.storage || createExportStorage();
+    this.ordersService = options.ordersService || new RealOrdersService({ db: this.db });
+    this.shipmentsService = options.shipmentsService || new ShipmentsService();
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Record a queued export and start it. filters are the API filters
+   * (customer_id, supplier_id, status, created_at: { gte, lte }, ...), already
+   * checked against the caller's bindings; partyIds are the parties whose
+   * keys may read the job, and for shipments the parties the listing is scoped to.
+   * Returns { success, export_id, export }.
+   */
+  async createJob({ resource, format, columns, filters = {}, partyIds = [] }, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+
+    const now = new Date();
+    const jobRef = this.db.collection('exports').doc();
+    await jobRef.set({
+      resource,
+      format,
+      columns,
+      filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+      partyIds,
+      status: 'queued',
+      fileName: exportFileName(resource, format, now),
+      storageKey: `${jobRef.id}.${format}`,
+      recordCount: 0,
+      rowCount: 0,
+      sizeBytes: 0,
+      progress: null,
+      error: null,
+      partnerId: actor.partnerId || null,
+      createdBy: actor.uid || null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    });
+
+    setImmediate(() => {
+      this.run(jobRef).catch(err => {
+        console.error(`Export ${jobRef.id} failed:`, err);
+      });
+    });
+
+    return { success: true, export_id: jobRef.id, export: await this.formatJob(await jobRef.get()) };
+  }
+
+  /**
+   * Walk the listing and write every row to storage, updating the job's
+   * counts after each page
+   */
+  async run(jobRef) {
+    const job = (await jobRef.get()).data();
+    let out = null;
+    try {
+      await jobRef.update({ status: 'running', startedAt: new Date(), updatedAt: new Date() });
+
+      out = this.storage.createWriteStream(job.storageKey, { contentType: CONTENT_TYPES[job.format] });
+      let streamError = null;
+      out.on('error', err => { streamError = err; });
+      const serializer = createSerializer(job.format, job.columns);
+      const counts = { recordCount: 0, rowCount: 0, sizeBytes: 0 };
+
+      const write = async chunk => {
+        if (streamError) throw streamError;
+        counts.sizeBytes += Buffer.byteLength(chunk);
+        if (chunk && !out.write(chunk)) await once(out, 'drain');
+      };
+
+      await write(serializer.header());
+      for await (const records of walkPages(this._pageFetcher(job))) {
+        const rows = records.flatMap(record => exportRows(job.resource, record, job.columns));
+        await write(rows.map(serializer.row).join(''));
+        counts.recordCount += records.length;
+        counts.rowCount += rows.length;
+        const last = records[records.length - 1];
+        await jobRef.update({
+          ...counts,
+          progress: last && job.resource !== 'products' ? rangeProgress(job.filters.created_at, job.createdAt.toDate(), last.created_at) : null,
+          updatedAt: new Date()
+        });
+      }
+
+      out.end();
+      await once(out, 'finish');
+      await jobRef.update({ ...counts, status: 'completed', progress: 1, completedAt: new Date(), updatedAt: new Date() });
+    } catch (err) {
+      out?.destroy();
+      await jobRef.update({ status: 'failed', error: err.message || 'Export failed', completedAt: new Date(), updatedAt: new Date() });
+      throw err;
+    }
+  }
+
+  /**
+   * Get an export the caller may read (same partner, and bound to every party
+   * the export covers), or null
+   */
+  async getJob(exportId, { partnerId, partyIds = [] } = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const doc = await this.db.collection('exports').doc(exportId).get();
+    if (!doc.exists) return null;
+    const data = doc.data();
+    if (data.partnerId !== (partnerId || null) || !(data.partyIds || []).every(id => partyIds.includes(id))) return null;
+    return this.formatJob(this._isStale(data) ? await this._failStale(doc.ref) : doc);
+  }
+
+  async formatJob(doc) {
+    const data = doc.data();
+    let download = null;
+    if (data.status === 'completed') {
+      const expiresAt = new Date(Date.now() + this.options.linkTtlMs);
+      download = {
+        url: await this.storage.getSignedUrl(data.storageKey, { expiresAt, fileName: data.fileName }),
+        expires_at: expiresAt.toISOString()
+      };
+    }
+    return {
+      id: doc.id,
+      resource: data.resource,
+      format: data.format,
+      status: data.status,
+      columns: data.columns || [],
+      filters: data.filters || {},
+      file_name: data.fileName,
+      records_exported: data.recordCount || 0,
+      rows_written: data.rowCount || 0,
+      size_bytes: data.sizeBytes || 0,
+      progress: data.progress ?? null,
+      error: data.error || null,
+      download,
+      created_at: data.createdAt?.toDate()?.toISOString(),
+      started_at: data.startedAt?.toDate()?.toISOString() || null,
+      completed_at: data.completedAt?.toDate()?.toISOString() || null
+    };
+  }
+
+  _isStale(data) {
+    const updatedAt = data.updatedAt?.toDate ? data.updatedAt.toDate() : new Date(data.updatedAt);
+    return ACTIVE_STATUSES.includes(data.status) && Date.now() - updatedAt.getTime() > this.options.staleAfterMs;
+  }
+
+  // Mark a job whose runner has gone quiet as failed, unless it moved on meanwhile
+  async _failStale(jobRef) {
+    await this.db.runTransaction(async tx => {
+      const snap = await tx.get(jobRef);
+      if (!this._isStale(snap.data())) return;
+      const now = new Date();
+      tx.update(jobRef, { status: 'failed', error: 'Export was interrupted; request it again', completedAt: now, updatedAt: now });
+    });
+    return jobRef.get();
+  }
+
+  // fetchPage(cursor) for the job's listing, mirroring the list endpoints
+  _pageFetcher({ resource, filters, partyIds }) {
+    const pagination = cursor => ({ limit: this.options.pageSize, cursor, sort: '-createdAt' });
+    const created = { created_at_gte: filters.created_at?.gte, created_at_lte: filters.created_at?.lte };
+
+    if (resource === 'orders' && filters.supplier_id) {
+      return cursor => this.ordersService.getOrdersBySupplierId(filters.supplier_id,
+        { status: filters.status, ...created }, pagination(cursor));
+    }
+    if (resource === 'orders') {
+      return cursor => this.ordersService.getOrdersByBuyerId(filters.customer_id,
+        { status: filters.status, ...created }, pagination(cursor), { withItems: true });
+    }
+    if (resource === 'products') {
+      return cursor => this.ordersService.getProducts(
+        { category: filters.category, supplier_id: filters.supplier_id, status: 'active' }, { cursor, sort: '-updatedAt' });
+    }
+    return cursor => this.shipmentsService.listShipments(
+      { order_id: filters.order_id, carrier: filters.carrier, status: filters.status, ...created }, pagination(cursor), partyIds);
+  }
+}
+
+module.exports = {
+  ExportJobs
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Export storage
+ *
+ * Where export files are written and how they are handed out. A store provides
+ * createWriteStream(key, { contentType }) for the job writing the file, and
+ * getSignedUrl(key, { expiresAt, fileName }) for a download link that works
+ * without an API key until expiresAt. Keys are flat file names such as
+ * exp_123.csv.
+ */
+
+// Used when EXPORT_SIGNING_SECRET is unset; links then stop working on restart
+const FALLBACK_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Files on the local disk, downloaded through GET /v1/export-files/{key} with
+ * an HMAC-signed expiry. Only suits a single instance (or a shared volume).
+ */
+class LocalExportStorage {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.EXPORT_LOCAL_DIR || path.join(os.tmpdir(), 'kasbah-exports'));
+    this.baseUrl = (options.baseUrl || process.env.EXPORT_DOWNLOAD_BASE_URL || process.env.API_BASE_URL ||
+      `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+    this.secret = options.secret || process.env.EXPORT_SIGNING_SECRET || FALLBACK_SECRET;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  createWriteStream(key) {
+    return fs.createWriteStream(this._path(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this._path(key));
+  }
+
+  async getSignedUrl(key, { expiresAt }) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return `${this.baseUrl}/v1/export-files/${encodeURIComponent(key)}?expires=${expires}&signature=${this._sign(key, expires)}`;
+  }
+
+  /**
+   * Check a download link's expires and signature parameters. Returns null
+   * when the link is good, otherwise why it is not.
+   */
+  verifySignedUrl(key, expires, signature, now = Date.now()) {
+    const expected = Buffer.from(this._sign(key, String(expires)));
+    const given = Buffer.from(String(signature || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'Invalid download link';
+    if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < now) return 'Download link has expired';
+    return null;
+  }
+
+  _sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}\n${expires}`).digest('hex');
+  }
+
+  // Keys never contain path separators, so a key cannot point outside the export directory
+  _path(key) {
+    if (!/^[\w.-]+$/.test(key)) throw new Error(`Invalid export key: ${key}`);
+    return path.join(this.dir, key);
+  }
+}
+
+/**
+ * Files in a Cloud Storage bucket (EXPORT_BUCKET), downloaded through V4
+ * signed URLs. Uses the firebase-admin app, so its credentials need
+ * permission to write objects and sign URLs.
+ */
+class GcsExportStorage {
+  constructor(options = {}) {
+    const admin = require('firebase-admin');
+    const bucketName = options.bucket || process.env.EXPORT_BUCKET;
+    if (!bucketName) throw new Error('EXPORT_BUCKET is required for EXPORT_STORAGE=gcs');
+    this.bucket = admin.storage().bucket(bucketName);
+    this.prefix = options.prefix ?? process.env.EXPORT_BUCKET_PREFIX ?? 'exports/';
+  }
+
+  createWriteStream(key, { contentType } = {}) {
+    return this.bucket.file(this.prefix + key).createWriteStream({ resumable: false, contentType });
+  }
+
+  async getSignedUrl(key, { expiresAt, fileName }) {
+    const [url] = await this.bucket.file(this.prefix + key).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt,
+      responseDisposition: `attachment; filename="${fileName || key}"`
+    });
+    return url;
+  }
+}
+
+/**
+ * Build the store named by EXPORT_STORAGE (local | gcs)
+ */
+function createExportStorage(type = process.env.EXPORT_STORAGE || 'local') {
+  if (type === 'gcs') {
+    return new GcsExportStorage();
+  }
+  if (type !== 'local') {
+    throw new Error(`Unknown EXPORT_STORAGE: ${type}`);
+  }
+  return new LocalExportStorage();
+}
+
+module.exports = {
+  GcsExportStorage,
+  LocalExportStorage,
+  createExportStorage
+};
@@ -0,0 +1,213 @@
+const { formatCsvRow } = require('./csv');
+
+/**
+ * Exports
+ *
+ * Order, product and shipment listings as flat CSV or NDJSON rows. Exports walk
+ * the same service methods (and so the same filters and party scoping) as the
+ * JSON listings, page by page through their cursors. Orders flatten to one row
+ * per supplier order line item.
+ */
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+const ORDER_ITEM_FIELDS = [
+  'item_id', 'product_id', 'sku', 'name', 'category', 'uom', 'quantity', 'unit_price', 'extended_price',
+  'quantity_fulfilled', 'quantity_cancelled', 'quantity_backordered', 'quantity_returned', 'quantity_invoiced'
+];
+
+/**
+ * Columns per resource, in default order. Each maps an API record (plus, for
+ * orders, one supplier order and line item) to a cell value.
+ */
+const COLUMNS = {
+  orders: {
+    order_id: ({ order }) => order.id,
+    order_number: ({ order }) => order.order_number,
+    created_at: ({ order }) => order.created_at,
+    updated_at: ({ order }) => order.updated_at,
+    customer_id: ({ order }) => order.customer?.id,
+    customer_name: ({ order }) => order.customer?.name,
+    supplier_id: ({ supplier }) => supplier.id,
+    supplier_name: ({ supplier }) => supplier.name,
+    status: ({ supplier }) => supplier.status,
+    currency: ({ order }) => order.totals?.currency,
+    ...Object.fromEntries(ORDER_ITEM_FIELDS.map(field => [field, ({ item }) => item?.[field]]))
+  },
+  products: {
+    id: product => product.id,
+    sku: product => product.sku,
+    name: product => product.name,
+    description: product => product.description,
+    category: product => product.category,
+    price: product => product.price,
+    uom: product => product.uom,
+    supplier_id: product => product.supplier?.id,
+    supplier_name: product => product.supplier?.name,
+    available: product => product.inventory?.available,
+    quantity: product => product.inventory?.quantity,
+    status: product => product.inventory?.status,
+    manufacturer: product => product.details?.manufacturer,
+    brand: product => product.details?.brand,
+    model: product => product.details?.model,
+    variants: product => product.details?.variants,
+    created_at: product => product.created_at,
+    updated_at: product => product.updated_at
+  },
+  shipments: {
+    id: shipment => shipment.id,
+    order_id: shipment => shipment.order_id,
+    carrier: shipment => shipment.carrier,
+    tracking_number: shipment => shipment.tracking_number,
+    tracking_url: shipment => shipment.tracking_url,
+    status: shipment => shipment.status,
+    shipped_at: shipment => shipment.shipped_at,
+    estimated_delivery_at: shipment => shipment.estimated_delivery_at,
+    delivered_at: shipment => shipment.delivered_at,
+    created_at: shipment => shipment.created_at,
+    quantity_shipped: shipment => shipment.items.reduce((sum, item) => sum + (item.quantity_shipped || 0), 0),
+    items: shipment => shipment.items
+  }
+};
+
+const EXPORT_RESOURCES = Object.keys(COLUMNS);
+
+function exportColumns(resource) {
+  return Object.keys(COLUMNS[resource]);
+}
+
+/**
+ * Resolve a comma-separated columns parameter (or array) for resource.
+ * Returns { columns } (all columns when none are given) or { error }.
+ */
+function selectColumns(resource, requested) {
+  const available = exportColumns(resource);
+  if (requested === undefined || requested === null || requested === '') return { columns: available };
+  const columns = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(column => String(column).trim())
+    .filter(Boolean);
+  const unknown = columns.filter(column => !available.includes(column));
+  if (unknown.length) {
+    return { error: `Unknown ${resource} columns: ${unknown.join(', ')}. Available: ${available.join(', ')}` };
+  }
+  if (!columns.length) return { error: 'columns must name at least one column' };
+  return { columns: [...new Set(columns)] };
+}
+
+/**
+ * The export rows for one API record. A supplier's view of an order carries its
+ * items directly; the complete view nests them under suppliers. Orders or
+ * supplier orders without items still get one row, with the item columns empty.
+ */
+function exportRows(resource, record, columns) {
+  const pick = source => Object.fromEntries(columns.map(column => [column, COLUMNS[resource][column](source) ?? null]));
+  if (resource !== 'orders') return [pick(record)];
+
+  const supplierOrders = record.suppliers
+    ? record.suppliers.map(s => ({ id: s.supplier_id, name: s.supplier_name, status: s.status, items: s.items }))
+    : [{ id: record.supplier?.id, name: record.supplier?.name, status: record.status, items: record.items }];
+  if (!supplierOrders.length) return [pick({ order: record, supplier: {}, item: null })];
+
+  return supplierOrders.flatMap(supplier => (supplier.items?.length ? supplier.items : [null])
+    .map(item => pick({ order: record, supplier, item })));
+}
+
+/**
+ * Walk a listing page by page. fetchPage(cursor) resolves to { data, pagination }
+ * as the list endpoints return it; yields each page's records.
+ */
+async function* walkPages(fetchPage, firstPage = null) {
+  let page = firstPage || await fetchPage(undefined);
+  while (true) {
+    yield page.data;
+    if (!page.pagination?.has_more || !page.pagination.next_cursor) return;
+    page = await fetchPage(page.pagination.next_cursor);
+  }
+}
+
+/**
+ * Serializes export rows in one format; header() is the text before the
+ * first row (the CSV header line)
+ */
+function createSerializer(format, columns) {
+  if (format === 'csv') {
+    return {
+      header: () => formatCsvRow(columns),
+      row: row => formatCsvRow(columns.map(column => row[column]))
+    };
+  }
+  return {
+    header: () => '',
+    row: row => JSON.stringify(row) + '\n'
+  };
+}
+
+function exportFileName(resource, format, date = new Date()) {
+  return `${resource}-${date.toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * Stream every record of a listing to an Express response as an attachment.
+ * The first page is fetched before any headers are sent, so filter errors can
+ * still be answered as JSON by the caller; a failure after that aborts the
+ * response, leaving the client with a truncated download rather than a
+ * complete-looking file.
+ */
+async function streamExport(res, { resource, format, columns, fetchPage }) {
+  const firstPage = await fetchPage(undefined);
+  const serializer = createSerializer(format, columns);
+
+  res.status(200);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${exportFileName(resource, format)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  // Wait out backpressure; a client that disconnects closes the response instead of draining it
+  const write = async chunk => {
+    if (!chunk || res.write(chunk)) return;
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  try {
+    await write(serializer.header());
+    for await (const records of walkPages(fetchPage, firstPage)) {
+      if (res.destroyed) return;
+      for (const record of records) {
+        if (res.destroyed) return;
+        for (const row of exportRows(resource, record, columns)) await write(serializer.row(row));
+      }
+    }
+    res.end();
+  } catch (err) {
+    console.error(`Error streaming ${resource} export:`, err);
+    res.destroy(err);
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  EXPORT_FORMATS,
+  EXPORT_RESOURCES,
+  createSerializer,
+  exportColumns,
+  exportFileName,
+  exportRows,
+  selectColumns,
+  streamExport,
+  walkPages
+};
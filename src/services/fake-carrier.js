@@ -0,0 +1,35 @@
+const fs = require('fs');
+const { normalizeTrackingNumber } = require('./carriers');
+
+/**
+ * Fake carrier for local runs and tests: tracking histories come from a JSON
+ * file keyed by tracking number, re-read on every lookup so it can be edited
+ * while the server runs.
+ *
+ *   {
+ *     "1Z999AA10123456784": [
+ *       { "status": "IN_TRANSIT", "timestamp": "2024-01-16T08:00:00Z", "location": "Louisville, KY", "message": "Departed facility" }
+ *     ]
+ *   }
+ */
+class FileCarrierAdapter {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.carriers = options.carriers || ['*'];
+  }
+
+  async track({ tracking_number: trackingNumber }) {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const number = normalizeTrackingNumber(trackingNumber);
+    const key = Object.keys(data).find(k => normalizeTrackingNumber(k) === number);
+    return key ? data[key] : [];
+  }
+}
+
+module.exports = { FileCarrierAdapter };
@@ -1,4 +1,8 @@
 const admin = require('firebase-admin');
+const { formatAddress, initializeFirestore: initializeRealFirestore } = require('./real-firestore');
+const { trackingUrl } = require('./carriers');
+const { formatInvoice } = require('./invoicing');
+const { categoryError } = require('./catalog');
 
 // Initialize Firebase Admin SDK
 let db = null;
@@ -510,28 +514,807 @@ class OrdersService {
   }
 }
 
+// Firestore caps array-contains-any at 30 values
+const MAX_ANY_VALUES = 30;
+
+function createdAtMillis(doc, field) {
+  const value = doc.get(field);
+  return (typeof value?.toDate === 'function' ? value.toDate() : new Date(value)).getTime();
+}
+
+/**
+ * Docs of a party-scoped listing, newest first. buildQuery(ids) returns the
+ * listing's query (filters, ordering, cursor and limit applied) for up to 30
+ * party IDs; keys bound to more parties query in chunks of 30, merged in the
+ * listing's createdField desc, __name__ order and cut to limit docs.
+ */
+async function queryByParties(buildQuery, partyIds, limit, createdField = 'created_at') {
+  const chunks = [];
+  for (let i = 0; i < partyIds.length; i += MAX_ANY_VALUES) {
+    chunks.push(partyIds.slice(i, i + MAX_ANY_VALUES));
+  }
+  const snapshots = await Promise.all(chunks.map(ids => buildQuery(ids).get()));
+  if (snapshots.length === 1) return snapshots[0].docs;
+
+  // A doc matching parties in two chunks comes back twice
+  const docs = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => docs.set(doc.ref.path, doc)));
+  return [...docs.values()]
+    .sort((a, b) => createdAtMillis(b, createdField) - createdAtMillis(a, createdField) || (a.ref.path < b.ref.path ? -1 : 1))
+    .slice(0, limit);
+}
+
 /**
- * Shipments Service
+ * Shipments Service - reads the orders/{id}/shipments subcollections written by
+ * RealOrdersService.createShipment, via a collection-group query
  */
 class ShipmentsService {
   constructor() {
-    this.db = initializeFirestore();
+    // Same connection RealOrdersService writes through (supports ADC as well as service-account env)
+    this.db = initializeRealFirestore();
+  }
+  
+  /**
+   * List shipments with filtering and cursor pagination (newest first),
+   * limited to shipments whose party_ids include one of partyIds
+   */
+  async listShipments(filters = {}, pagination = {}, partyIds = []) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+      if (!partyIds.length) {
+        return { data: [], pagination: { limit, has_more: false, next_cursor: null } };
+      }
+      const c = pagination.cursor ? this.decodeCursor(pagination.cursor) : null;
+      
+      const buildQuery = ids => {
+        let query = filters.order_id
+          ? this.db.collection('orders').doc(filters.order_id).collection('shipments')
+          : this.db.collectionGroup('shipments');
+        query = query.where('party_ids', 'array-contains-any', ids);
+        
+        if (filters.carrier) {
+          query = query.where('carrier', '==', filters.carrier);
+        }
+        
+        if (filters.status) {
+          query = query.where('status', '==', filters.status);
+        }
+        
+        if (filters.created_at_gte) {
+          query = query.where('created_at', '>=', new Date(filters.created_at_gte));
+        }
+        
+        if (filters.created_at_lte) {
+          query = query.where('created_at', '<=', new Date(filters.created_at_lte));
+        }
+        
+        query = query.orderBy('created_at', 'desc').orderBy('__name__');
+        
+        if (c?.created_at && c?.id && c?.order_id) {
+          const cursorRef = this.db.collection('orders').doc(c.order_id).collection('shipments').doc(c.id);
+          query = query.startAfter(new Date(c.created_at), cursorRef);
+        }
+        
+        return query.limit(limit + 1);
+      };
+      
+      const found = await queryByParties(buildQuery, partyIds, limit + 1);
+      const docs = found.slice(0, limit);
+      const hasMore = found.length > limit;
+      const shipments = await Promise.all(docs.map(doc => this.formatShipment(doc)));
+      
+      let nextCursor = null;
+      if (hasMore && shipments.length > 0) {
+        nextCursor = this.encodeCursor(shipments[shipments.length - 1]);
+      }
+      
+      return {
+        data: shipments,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: nextCursor
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error listing shipments:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a single shipment by ID (looked up through its denormalized shipment_id field).
+   * Returns null unless one of partyIds is the shipment's customer or supplier.
+   */
+  async getShipment(shipmentId, partyIds = []) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const snapshot = await this.db.collectionGroup('shipments')
+        .where('shipment_id', '==', shipmentId)
+        .limit(1)
+        .get();
+      
+      if (snapshot.empty) {
+        return null;
+      }
+      
+      const doc = snapshot.docs[0];
+      if (!(await this._isShipmentParty(doc, partyIds))) {
+        return null;
+      }
+      
+      return this.formatShipment(doc);
+      
+    } catch (error) {
+      console.error(`Error getting shipment ${shipmentId}:`, error);
+      throw error;
+    }
+  }
+  
+  // Shipments written before party_ids existed fall back to the parent order's parties
+  async _isShipmentParty(doc, partyIds) {
+    const data = doc.data();
+    if (Array.isArray(data.party_ids)) {
+      return data.party_ids.some(id => partyIds.includes(id));
+    }
+    const orderSnap = await doc.ref.parent.parent.get();
+    if (!orderSnap.exists) return false;
+    const order = orderSnap.data();
+    return [order.customerId, ...(order.supplierIds || [])].some(id => partyIds.includes(id));
+  }
+  
+  /**
+   * Format shipment document (plus its events subcollection) for API response
+   */
+  async formatShipment(doc) {
+    const data = doc.data();
+    const eventsSnap = await doc.ref.collection('events').orderBy('timestamp', 'asc').get();
+    const trackingEvents = eventsSnap.docs.map(evtDoc => {
+      const evt = evtDoc.data();
+      return {
+        timestamp: this._iso(evt.timestamp),
+        status: evt.status,
+        location: evt.location || null,
+        description: evt.message || null
+      };
+    });
+    const deliveredEvent = trackingEvents.find(evt => String(evt.status || '').toUpperCase() === 'DELIVERED');
+    
+    return {
+      id: doc.id,
+      order_id: data.order_id || doc.ref.parent.parent.id,
+      carrier: data.carrier,
+      tracking_number: data.tracking_number,
+      tracking_url: trackingUrl(data.carrier, data.tracking_number),
+      status: data.status,
+      shipped_at: this._iso(data.shipped_at),
+      estimated_delivery_at: this._iso(data.estimated_delivery_at),
+      delivered_at: this._iso(data.delivered_at) || deliveredEvent?.timestamp || null,
+      created_at: this._iso(data.created_at),
+      tracking_events: trackingEvents,
+      items: (data.items || []).map(item => ({
+        item_id: item.item_id || item.cartItemId || item.id,
+        sku: item.sku,
+        quantity_shipped: item.quantity_shipped ?? item.quantity
+      }))
+    };
+  }
+  
+  _iso(val) {
+    if (!val) return null;
+    if (typeof val.toDate === 'function') return val.toDate().toISOString();
+    const d = new Date(val);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+  
+  encodeCursor(shipment) {
+    const cursorData = {
+      created_at: shipment.created_at,
+      id: shipment.id,
+      order_id: shipment.order_id
+    };
+    
+    return Buffer.from(JSON.stringify(cursorData)).toString('base64');
+  }
+  
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Returns Service - reads the orders/{id}/returns subcollections written by
+ * RealOrdersService.createReturn, via a collection-group query
+ */
+class ReturnsService {
+  constructor() {
+    this.db = initializeRealFirestore();
   }
   
-  async listShipments(filters = {}, pagination = {}) {
-    // Implementation similar to orders
-    // Will implement in next phase
-    return { data: [], pagination: { has_more: false } };
+  /**
+   * List returns with filtering and cursor pagination (newest first),
+   * limited to returns whose party_ids include one of partyIds
+   */
+  async listReturns(filters = {}, pagination = {}, partyIds = []) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+      if (!partyIds.length) {
+        return { data: [], pagination: { limit, has_more: false, next_cursor: null } };
+      }
+      const c = pagination.cursor ? this.decodeCursor(pagination.cursor) : null;
+      
+      const buildQuery = ids => {
+        let query = filters.order_id
+          ? this.db.collection('orders').doc(filters.order_id).collection('returns')
+          : this.db.collectionGroup('returns');
+        query = query.where('party_ids', 'array-contains-any', ids);
+        
+        if (filters.status) {
+          query = query.where('status', '==', filters.status);
+        }
+        
+        if (filters.supplier_id) {
+          query = query.where('supplier_id', '==', filters.supplier_id);
+        }
+        
+        if (filters.reason_code) {
+          query = query.where('reason_code', '==', filters.reason_code);
+        }
+        
+        if (filters.created_at_gte) {
+          query = query.where('created_at', '>=', new Date(filters.created_at_gte));
+        }
+        
+        if (filters.created_at_lte) {
+          query = query.where('created_at', '<=', new Date(filters.created_at_lte));
+        }
+        
+        query = query.orderBy('created_at', 'desc').orderBy('__name__');
+        
+        if (c?.created_at && c?.id && c?.order_id) {
+          const cursorRef = this.db.collection('orders').doc(c.order_id).collection('returns').doc(c.id);
+          query = query.startAfter(new Date(c.created_at), cursorRef);
+        }
+        
+        return query.limit(limit + 1);
+      };
+      
+      const found = await queryByParties(buildQuery, partyIds, limit + 1);
+      const docs = found.slice(0, limit);
+      const hasMore = found.length > limit;
+      const returns = docs.map(doc => this.formatReturn(doc));
+      
+      let nextCursor = null;
+      if (hasMore && returns.length > 0) {
+        nextCursor = this.encodeCursor(returns[returns.length - 1]);
+      }
+      
+      return {
+        data: returns,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: nextCursor
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error listing returns:', error);
+      throw error;
+    }
   }
   
-  async getShipment(shipmentId) {
-    // Implementation for single shipment
-    return null;
+  /**
+   * Get a single return by ID. Returns null unless one of partyIds is its customer or supplier.
+   */
+  async getReturn(returnId, partyIds = []) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const snapshot = await this.db.collectionGroup('returns')
+        .where('return_id', '==', returnId)
+        .limit(1)
+        .get();
+      
+      if (snapshot.empty) {
+        return null;
+      }
+      
+      const doc = snapshot.docs[0];
+      if (!(doc.data().party_ids || []).some(id => partyIds.includes(id))) {
+        return null;
+      }
+      
+      return this.formatReturn(doc);
+      
+    } catch (error) {
+      console.error(`Error getting return ${returnId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Format return document for API response
+   */
+  formatReturn(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      order_id: data.order_id || doc.ref.parent.parent.id,
+      customer_id: data.customer_id || null,
+      supplier_id: data.supplier_id,
+      status: data.status,
+      reason_code: data.reason_code,
+      reason: data.reason || null,
+      items: (data.items || []).map(item => ({
+        item_id: item.item_id,
+        sku: item.sku || null,
+        name: item.name || null,
+        quantity: item.quantity,
+        unit_price: item.unit_price ?? null
+      })),
+      amount: data.amount ?? 0,
+      refund_amount: data.refund_amount ?? null,
+      currency: 'USD',
+      rejection_reason: data.rejection_reason || null,
+      created_at: this._iso(data.created_at),
+      updated_at: this._iso(data.updated_at),
+      approved_at: this._iso(data.approved_at),
+      received_at: this._iso(data.received_at),
+      refunded_at: this._iso(data.refunded_at),
+      rejected_at: this._iso(data.rejected_at)
+    };
+  }
+  
+  _iso(val) {
+    if (!val) return null;
+    if (typeof val.toDate === 'function') return val.toDate().toISOString();
+    const d = new Date(val);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+  
+  encodeCursor(rma) {
+    const cursorData = {
+      created_at: rma.created_at,
+      id: rma.id,
+      order_id: rma.order_id
+    };
+    
+    return Buffer.from(JSON.stringify(cursorData)).toString('base64');
+  }
+  
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Invoices Service - reads the top-level invoices collection (see ./invoicing)
+ */
+class InvoicesService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.db] Firestore instance (defaults to the shared Admin SDK one)
+   */
+  constructor(options = {}) {
+    this.db = options.db || initializeRealFirestore();
+  }
+  
+  /**
+   * List invoices for a customer, a supplier or an order (newest first) with
+   * cursor pagination. supplier_ids limits the results to those suppliers' invoices.
+   */
+  async listInvoices(filters = {}, pagination = {}) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+      if (filters.supplier_ids && !filters.supplier_ids.length) {
+        return { data: [], pagination: { limit, has_more: false, next_cursor: null } };
+      }
+      const c = pagination.cursor ? this.decodeCursor(pagination.cursor) : null;
+      
+      const buildQuery = supplierIds => {
+        let query = this.db.collection('invoices');
+        
+        if (filters.customer_id) {
+          query = query.where('customerId', '==', filters.customer_id);
+        }
+        
+        if (filters.supplier_id) {
+          query = query.where('supplierId', '==', filters.supplier_id);
+        }
+        
+        if (supplierIds) {
+          query = query.where('supplierId', 'in', supplierIds);
+        }
+        
+        if (filters.order_id) {
+          query = query.where('orderId', '==', filters.order_id);
+        }
+        
+        if (filters.payment_status) {
+          query = query.where('paymentStatus', '==', filters.payment_status);
+        }
+        
+        if (filters.created_at_gte) {
+          query = query.where('createdAt', '>=', new Date(filters.created_at_gte));
+        }
+        
+        if (filters.created_at_lte) {
+          query = query.where('createdAt', '<=', new Date(filters.created_at_lte));
+        }
+        
+        query = query.orderBy('createdAt', 'desc').orderBy('__name__');
+        
+        if (c?.created_at && c?.id) {
+          query = query.startAfter(new Date(c.created_at), this.db.collection('invoices').doc(c.id));
+        }
+        
+        return query.limit(limit + 1);
+      };
+      
+      // Firestore caps "in" at 30 values, so keys bound to more suppliers query in chunks
+      const found = filters.supplier_ids
+        ? await queryByParties(buildQuery, filters.supplier_ids, limit + 1, 'createdAt')
+        : (await buildQuery(null).get()).docs;
+      const invoices = found.slice(0, limit).map(doc => this.formatInvoice(doc));
+      const hasMore = found.length > limit;
+      
+      let nextCursor = null;
+      if (hasMore && invoices.length > 0) {
+        nextCursor = this.encodeCursor(invoices[invoices.length - 1]);
+      }
+      
+      return {
+        data: invoices,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: nextCursor
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error listing invoices:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a single invoice. Returns null unless one of customerIds is its customer
+   * or one of supplierIds its supplier.
+   */
+  async getInvoice(invoiceId, { customerIds = [], supplierIds = [] } = {}) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const doc = await this.db.collection('invoices').doc(invoiceId).get();
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const data = doc.data();
+      if (!customerIds.includes(data.customerId) && !supplierIds.includes(data.supplierId)) {
+        return null;
+      }
+      
+      return this.formatInvoice(doc);
+      
+    } catch (error) {
+      console.error(`Error getting invoice ${invoiceId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Order number and party names for a formatted invoice, read from its order
+   * (invoice documents only store the IDs)
+   */
+  async getInvoiceContext(invoice) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const doc = invoice.order_id ? await this.db.collection('orders').doc(invoice.order_id).get() : null;
+      const data = doc?.exists ? doc.data() : {};
+      const supplierOrder = data.supplierOrders?.[invoice.supplier_id] || {};
+      
+      return {
+        order_number: data.orderNumber || null,
+        customer: {
+          id: invoice.customer_id,
+          name: data.customerName || null,
+          email: data.customerEmail || null
+        },
+        supplier: {
+          id: invoice.supplier_id,
+          name: supplierOrder.supplierName || null,
+          email: supplierOrder.supplierEmail || null
+        }
+      };
+      
+    } catch (error) {
+      console.error(`Error getting context for invoice ${invoice.id}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Format invoice document for API response
+   */
+  formatInvoice(doc) {
+    return formatInvoice(doc.id, doc.data());
+  }
+  
+  encodeCursor(invoice) {
+    const cursorData = {
+      created_at: invoice.created_at,
+      id: invoice.id
+    };
+    
+    return Buffer.from(JSON.stringify(cursorData)).toString('base64');
+  }
+  
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Suppliers Service - the supplier directory. Documents in suppliers are keyed
+ * by supplier ID, the same ID orders, products and API keys use.
+ */
+class SuppliersService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.db] Firestore instance (defaults to the shared Admin SDK one)
+   */
+  constructor(options = {}) {
+    this.db = options.db || initializeRealFirestore();
+  }
+  
+  /**
+   * List suppliers (newest first) with cursor pagination. Firestore allows one
+   * array-contains per query, so category and service_region are exclusive.
+   */
+  async listSuppliers(filters = {}, pagination = {}) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      let query = this.db.collection('suppliers');
+      
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      
+      if (filters.category) {
+        query = query.where('categories', 'array-contains', filters.category);
+      } else if (filters.service_region) {
+        query = query.where('serviceRegions', 'array-contains', filters.service_region);
+      }
+      
+      query = query.orderBy('createdAt', 'desc').orderBy('__name__');
+      
+      if (pagination.cursor) {
+        const c = this.decodeCursor(pagination.cursor);
+        if (c?.created_at && c?.id) {
+          query = query.startAfter(new Date(c.created_at), this.db.collection('suppliers').doc(c.id));
+        }
+      }
+      
+      const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+      query = query.limit(limit + 1);
+      
+      const snapshot = await query.get();
+      const suppliers = snapshot.docs.slice(0, limit).map(doc => this.formatSupplier(doc));
+      const hasMore = snapshot.docs.length > limit;
+      
+      let nextCursor = null;
+      if (hasMore && suppliers.length > 0) {
+        nextCursor = this.encodeCursor(suppliers[suppliers.length - 1]);
+      }
+      
+      return {
+        data: suppliers,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: nextCursor
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error listing suppliers:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a single supplier, or null when there is no such supplier
+   */
+  async getSupplier(supplierId) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const doc = await this.db.collection('suppliers').doc(supplierId).get();
+      if (!doc.exists) {
+        return null;
+      }
+      
+      return this.formatSupplier(doc);
+      
+    } catch (error) {
+      console.error(`Error getting supplier ${supplierId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a supplier's profile from API-shaped fields. Nested objects
+   * (address, lead_time, minimum_order) are merged into what is stored.
+   * Returns null when the supplier does not exist, or { invalid, message }
+   * when the result would have a lead time minimum above its maximum.
+   */
+  async updateSupplier(supplierId, changes = {}, actor = {}) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const ref = this.db.collection('suppliers').doc(supplierId);
+      const result = await this.db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+        const data = snap.data();
+        
+        const update = { updatedAt: new Date(), updatedBy: actor.uid || null };
+        for (const field of ['name', 'description', 'email', 'phone', 'website']) {
+          if (changes[field] !== undefined) update[field] = changes[field] || null;
+        }
+        if (changes.address !== undefined) {
+          const address = changes.address && { ...formatAddress(data.address), ...changes.address };
+          update.address = address && {
+            line1: address.line1 || null,
+            line2: address.line2 || null,
+            city: address.city || null,
+            state: address.state || null,
+            postalCode: address.postal_code || null,
+            country: address.country || null
+          };
+        }
+        if (changes.service_regions !== undefined) {
+          update.serviceRegions = [...new Set(changes.service_regions.map(region => region.toUpperCase()))];
+        }
+        if (changes.categories !== undefined) {
+          update.categories = [...new Set(changes.categories.map(category => category.trim()))];
+          for (const category of update.categories) {
+            const categorySnap = await tx.get(this.db.collection('categories').doc(category));
+            const message = categoryError(category, categorySnap.exists ? categorySnap.data() : null);
+            if (message) return { invalid: true, message };
+          }
+        }
+        if (changes.lead_time) {
+          if (changes.lead_time.min_days !== undefined) update.leadTimeMinDays = changes.lead_time.min_days;
+          if (changes.lead_time.max_days !== undefined) update.leadTimeMaxDays = changes.lead_time.max_days;
+          const min = update.leadTimeMinDays !== undefined ? update.leadTimeMinDays : data.leadTimeMinDays;
+          const max = update.leadTimeMaxDays !== undefined ? update.leadTimeMaxDays : data.leadTimeMaxDays;
+          if (min != null && max != null && min > max) {
+            return { invalid: true, message: 'lead_time.min_days must not exceed lead_time.max_days' };
+          }
+        }
+        if (changes.minimum_order) {
+          if (changes.minimum_order.amount !== undefined) update.minimumOrderAmount = changes.minimum_order.amount;
+          if (changes.minimum_order.currency !== undefined) update.minimumOrderCurrency = changes.minimum_order.currency;
+        }
+        
+        tx.update(ref, update);
+        return { success: true };
+      });
+      
+      if (!result || result.invalid) return result;
+      return { success: true, supplier: this.formatSupplier(await ref.get()) };
+      
+    } catch (error) {
+      console.error(`Error updating supplier ${supplierId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Format supplier document for API response. Older documents may only
+   * carry companyName.
+   */
+  formatSupplier(doc) {
+    const data = doc.data();
+    
+    return {
+      id: doc.id,
+      name: data.name || data.companyName || null,
+      description: data.description || null,
+      status: data.status || 'active',
+      contact: {
+        email: data.email || null,
+        phone: data.phone || null,
+        website: data.website || null
+      },
+      address: formatAddress(data.address),
+      service_regions: data.serviceRegions || [],
+      categories: data.categories || [],
+      lead_time: {
+        min_days: data.leadTimeMinDays ?? null,
+        max_days: data.leadTimeMaxDays ?? null
+      },
+      minimum_order: {
+        amount: data.minimumOrderAmount || 0,
+        currency: data.minimumOrderCurrency || 'USD'
+      },
+      created_at: data.createdAt?.toDate()?.toISOString(),
+      updated_at: data.updatedAt?.toDate()?.toISOString(),
+      metadata: {
+        source: 'kasbah'
+      }
+    };
+  }
+  
+  encodeCursor(supplier) {
+    const cursorData = {
+      created_at: supplier.created_at,
+      id: supplier.id
+    };
+    
+    return Buffer.from(JSON.stringify(cursorData)).toString('base64');
+  }
+  
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
   }
 }
 
 module.exports = {
   initializeFirestore,
+  InvoicesService,
   OrdersService,
-  ShipmentsService
+  ReturnsService,
+  ShipmentsService,
+  SuppliersService
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Invoices
+ *
+ * An invoice bills one supplier order (orderId + supplierId) to the order's
+ * customer. Invoices created through the API are numbered sequentially per
+ * supplier and bill each line's fulfilled or shipped quantity that has not
+ * been invoiced yet.
+ */
+
+const INVOICE_PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'paid', 'refunded', 'void'];
+
+const DEFAULTS = {
+  taxRate: parseFloat(process.env.INVOICE_TAX_RATE) || 0,
+  paymentTermsDays: parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10) || 30
+};
+
+/**
+ * Invoice number for a supplier's nth invoice, e.g. INV-gKjztAPj6vXa-000042.
+ * The whole supplier ID is kept as-is (IDs are case-sensitive), so numbers from
+ * different suppliers' sequences can never coincide.
+ */
+function invoiceNumber(supplierId, sequence) {
+  return `INV-${supplierId}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Tax is charged on the subtotal and rounded to cents
+function taxAmount(subtotal, rate) {
+  return Math.round(subtotal * rate * 100) / 100;
+}
+
+function toIso(val) {
+  if (!val) return null;
+  if (typeof val.toDate === 'function') return val.toDate().toISOString();
+  const d = new Date(val);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Invoice document data in API shape. Older invoices may store lineItems,
+ * price, tax or totalAmount instead of the current field names.
+ */
+function formatInvoice(id, data) {
+  const items = (data.items || data.lineItems || []).map(item => {
+    const quantity = item.quantity || 0;
+    const unitPrice = item.unitPrice ?? item.price ?? 0;
+    return {
+      item_id: item.cartItemId || item.itemId || item.id,
+      product_id: item.productId || item.id || null,
+      sku: item.sku || null,
+      name: item.name || null,
+      quantity,
+      unit_price: unitPrice,
+      line_total: item.lineTotal ?? quantity * unitPrice
+    };
+  });
+  const subtotal = data.subtotal ?? items.reduce((sum, item) => sum + item.line_total, 0);
+  const tax = data.taxAmount ?? data.tax ?? 0;
+  const total = data.total ?? data.totalAmount ?? subtotal + tax;
+  const amountPaid = data.amountPaid || 0;
+  const paymentStatus = data.paymentStatus || 'unpaid';
+  const dueDate = toIso(data.dueDate);
+
+  return {
+    id,
+    invoice_number: data.invoiceNumber || `INV-${id.slice(-6)}`,
+    order_id: data.orderId,
+    supplier_id: data.supplierId,
+    customer_id: data.customerId,
+    status: data.status || 'issued',
+    payment_status: paymentStatus,
+    items,
+    subtotal,
+    tax: {
+      rate: data.taxRate ?? null,
+      amount: tax
+    },
+    total,
+    amount_paid: amountPaid,
+    amount_due: Math.max(0, total - amountPaid),
+    currency: data.currency || 'USD',
+    issued_at: toIso(data.issuedAt) || toIso(data.createdAt),
+    due_date: dueDate,
+    overdue: ['unpaid', 'partially_paid'].includes(paymentStatus) && Boolean(dueDate) && new Date(dueDate) < new Date(),
+    paid_at: toIso(data.paidAt),
+    notes: data.notes || null,
+    created_at: toIso(data.createdAt),
+    updated_at: toIso(data.updatedAt)
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  INVOICE_PAYMENT_STATUSES,
+  formatInvoice,
+  invoiceNumber,
+  taxAmount
+};
@@ -0,0 +1,174 @@
+/**
+ * Supplier order state machine
+ *
+ * Each entry in orders/{id}.supplierOrders moves through
+ *   pending -> acknowledged -> partially_fulfilled -> fulfilled -> shipped
+ * and can be cancelled until it is fulfilled. It moves to shipped as soon as
+ * shipments cover every line, from any state after acknowledged. The order-level
+ * status is derived from its supplier orders.
+ *
+ * Returns (orders/{id}/returns) move requested -> approved -> received -> refunded,
+ * and can be rejected on request or after inspection.
+ */
+
+const SUPPLIER_ORDER_STATUSES = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  PARTIALLY_FULFILLED: 'partially_fulfilled',
+  FULFILLED: 'fulfilled',
+  SHIPPED: 'shipped',
+  CANCELLED: 'cancelled'
+};
+
+const S = SUPPLIER_ORDER_STATUSES;
+
+// Why a supplier cancelled an order or some of its lines
+const CANCEL_REASON_CODES = ['out_of_stock', 'discontinued', 'pricing_error', 'cannot_ship', 'customer_request', 'other'];
+
+// Allowed next states from each state
+const TRANSITIONS = {
+  [S.PENDING]: [S.ACKNOWLEDGED, S.CANCELLED],
+  [S.ACKNOWLEDGED]: [S.PARTIALLY_FULFILLED, S.FULFILLED, S.SHIPPED, S.CANCELLED],
+  [S.PARTIALLY_FULFILLED]: [S.PARTIALLY_FULFILLED, S.FULFILLED, S.SHIPPED, S.CANCELLED],
+  [S.FULFILLED]: [S.SHIPPED],
+  [S.SHIPPED]: [],
+  [S.CANCELLED]: []
+};
+
+const RETURN_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded',
+  REJECTED: 'rejected'
+};
+
+const R = RETURN_STATUSES;
+
+// Why a customer is returning items
+const RETURN_REASON_CODES = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+const RETURN_TRANSITIONS = {
+  [R.REQUESTED]: [R.APPROVED, R.REJECTED],
+  [R.APPROVED]: [R.RECEIVED],
+  [R.RECEIVED]: [R.REFUNDED, R.REJECTED],
+  [R.REFUNDED]: [],
+  [R.REJECTED]: []
+};
+
+// Supplier actions on a return and the state each one moves it to
+const RETURN_ACTIONS = {
+  approve: R.APPROVED,
+  receive: R.RECEIVED,
+  refund: R.REFUNDED,
+  reject: R.REJECTED
+};
+
+// Supplier orders that shipments can be created against
+const SHIPPABLE_STATUSES = [S.ACKNOWLEDGED, S.PARTIALLY_FULFILLED, S.FULFILLED];
+
+/**
+ * Current state of a stored supplier order; missing or legacy values count as pending
+ */
+function supplierOrderStatus(supplierOrder) {
+  const status = String(supplierOrder?.status || '').toLowerCase();
+  return TRANSITIONS[status] ? status : S.PENDING;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Pending, acknowledged and partially fulfilled supplier orders still accept fulfillment and cancellation
+function isOpenStatus(status) {
+  return (TRANSITIONS[status] || []).includes(S.CANCELLED);
+}
+
+function canShip(status) {
+  return SHIPPABLE_STATUSES.includes(status);
+}
+
+function canTransitionReturn(from, to) {
+  return (RETURN_TRANSITIONS[from] || []).includes(to);
+}
+
+// Line items are keyed by their cart item ID
+function lineItemId(item) {
+  return item.cartItemId || item.id;
+}
+
+/**
+ * Where a supplier order line stands. Remaining is what is neither fulfilled nor
+ * cancelled; backordered is the part of it the supplier has flagged as backordered.
+ * Unshipped is what is neither shipped nor cancelled; only quantities that are
+ * neither fulfilled nor shipped can still be cancelled. Shipped quantities can be
+ * returned once; returned counts every return that was not rejected. Whatever has
+ * been fulfilled or shipped can be invoiced, once.
+ */
+function lineItemProgress(item) {
+  const ordered = item.quantity || 0;
+  const fulfilled = item.quantityFulfilled || 0;
+  const cancelled = item.quantityCancelled || 0;
+  const shipped = item.quantityShipped || 0;
+  const remaining = Math.max(0, ordered - fulfilled - cancelled);
+  const unshipped = Math.max(0, ordered - shipped - cancelled);
+  const returned = item.quantityReturned || 0;
+  const invoiced = item.quantityInvoiced || 0;
+  return {
+    ordered,
+    fulfilled,
+    cancelled,
+    shipped,
+    backordered: Math.min(item.quantityBackordered || 0, remaining),
+    remaining,
+    unshipped,
+    cancellable: Math.min(remaining, unshipped),
+    returned,
+    returnable: Math.max(0, shipped - returned),
+    invoiced,
+    invoiceable: Math.max(0, Math.max(fulfilled, shipped) - invoiced)
+  };
+}
+
+/**
+ * Supplier order subtotal, excluding cancelled quantities
+ */
+function supplierOrderSubtotal(items = []) {
+  return items.reduce((sum, item) => {
+    const quantity = Math.max(0, (item.quantity || 0) - (item.quantityCancelled || 0));
+    return sum + quantity * (item.price || 0);
+  }, 0);
+}
+
+/**
+ * Order-level status from its supplier orders' statuses
+ */
+function deriveOrderStatus(statuses) {
+  if (statuses.length === 0) return S.PENDING;
+  const open = statuses.filter(status => status !== S.CANCELLED);
+  if (open.length === 0) return S.CANCELLED;
+  if (open.every(status => status === S.SHIPPED)) return S.SHIPPED;
+  if (open.every(status => status === S.FULFILLED || status === S.SHIPPED)) return S.FULFILLED;
+  if (open.some(status => [S.PARTIALLY_FULFILLED, S.FULFILLED, S.SHIPPED].includes(status))) return S.PARTIALLY_FULFILLED;
+  if (open.every(status => status === S.ACKNOWLEDGED)) return S.ACKNOWLEDGED;
+  return S.PENDING;
+}
+
+module.exports = {
+  CANCEL_REASON_CODES,
+  RETURN_ACTIONS,
+  RETURN_REASON_CODES,
+  RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  SUPPLIER_ORDER_STATUSES,
+  TRANSITIONS,
+  canShip,
+  canTransition,
+  canTransitionReturn,
+  deriveOrderStatus,
+  isOpenStatus,
+  lineItemId,
+  lineItemProgress,
+  supplierOrderStatus,
+  supplierOrderSubtotal
+};
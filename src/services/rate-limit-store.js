@@ -0,0 +1,166 @@
+/**
+ * Rate limit stores
+ *
+ * A store atomically checks and charges sliding-window counters. Each window is
+ * tracked as two fixed buckets (current and previous); the previous bucket is
+ * weighted by how much of it still overlaps the sliding window.
+ *
+ * consume(key, windows, cost, now) charges `cost` against every window when all
+ * of them have room, and nothing otherwise. It resolves to
+ * { allowed, windows: [{ previous, current, elapsedMs }] } with counts as they
+ * stand after the call.
+ */
+
+// Sliding-window usage estimate for one window
+function estimateUsage(windowMs, state) {
+  return state.previous * (1 - state.elapsedMs / windowMs) + state.current;
+}
+
+function bucketFor(windowMs, now) {
+  return {
+    index: Math.floor(now / windowMs),
+    elapsedMs: now % windowMs
+  };
+}
+
+/**
+ * In-process store; limits reset on restart and are not shared across replicas
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map(); // `${key}:${windowMs}:${bucketIndex}` -> count
+    this._lastSweep = 0;
+  }
+
+  async consume(key, windows, cost, now = Date.now()) {
+    this._sweep(windows, now);
+
+    const states = windows.map(w => {
+      const { index, elapsedMs } = bucketFor(w.ms, now);
+      return {
+        currentKey: `${key}:${w.ms}:${index}`,
+        previous: this.buckets.get(`${key}:${w.ms}:${index - 1}`) || 0,
+        current: this.buckets.get(`${key}:${w.ms}:${index}`) || 0,
+        elapsedMs
+      };
+    });
+
+    const allowed = windows.every((w, i) => estimateUsage(w.ms, states[i]) + cost <= w.limit);
+    if (allowed) {
+      states.forEach(state => {
+        state.current += cost;
+        this.buckets.set(state.currentKey, state.current);
+      });
+    }
+
+    return {
+      allowed,
+      windows: states.map(({ previous, current, elapsedMs }) => ({ previous, current, elapsedMs }))
+    };
+  }
+
+  // Drop buckets too old to count toward any window
+  _sweep(windows, now) {
+    const longest = Math.max(...windows.map(w => w.ms));
+    if (now - this._lastSweep < longest) return;
+    this._lastSweep = now;
+    for (const bucketKey of this.buckets.keys()) {
+      const parts = bucketKey.split(':');
+      const ms = Number(parts[parts.length - 2]);
+      const index = Number(parts[parts.length - 1]);
+      if (index < Math.floor(now / ms) - 1) this.buckets.delete(bucketKey);
+    }
+  }
+}
+
+// KEYS: previous and current bucket per window. ARGV: cost, then limit/windowMs/elapsedMs per window.
+const CONSUME_SCRIPT = `
+local cost = tonumber(ARGV[1])
+local n = #KEYS / 2
+local counts = {}
+local allowed = 1
+for i = 1, n do
+  local previous = tonumber(redis.call('GET', KEYS[2 * i - 1]) or '0')
+  local current = tonumber(redis.call('GET', KEYS[2 * i]) or '0')
+  local limit = tonumber(ARGV[3 * i - 1])
+  local windowMs = tonumber(ARGV[3 * i])
+  local elapsedMs = tonumber(ARGV[3 * i + 1])
+  counts[2 * i - 1] = previous
+  counts[2 * i] = current
+  if previous * (1 - elapsedMs / windowMs) + current + cost > limit then
+    allowed = 0
+  end
+end
+if allowed == 1 then
+  for i = 1, n do
+    counts[2 * i] = redis.call('INCRBY', KEYS[2 * i], cost)
+    redis.call('PEXPIRE', KEYS[2 * i], tonumber(ARGV[3 * i]) * 2)
+  end
+end
+table.insert(counts, 1, allowed)
+return counts
+`;
+
+/**
+ * Redis-backed store shared by every replica. Works with any server speaking the
+ * Redis protocol and Lua scripting (Redis, Valkey, KeyDB, Dragonfly).
+ */
+class RedisRateLimitStore {
+  constructor(options = {}) {
+    // Required lazily so deployments on the memory store don't need ioredis
+    const Redis = require('ioredis');
+    this.client = options.client || new Redis(options.url || process.env.REDIS_URL, {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    this.prefix = options.prefix || 'ratelimit:';
+    this.client.on?.('error', err => console.error('Rate limit store error:', err.message));
+  }
+
+  async consume(key, windows, cost, now = Date.now()) {
+    const keys = [];
+    const args = [cost];
+    const elapsed = [];
+    for (const w of windows) {
+      const { index, elapsedMs } = bucketFor(w.ms, now);
+      // Hash tag keeps one key's buckets in the same Redis Cluster slot for the script
+      keys.push(`${this.prefix}{${key}}:${w.ms}:${index - 1}`, `${this.prefix}{${key}}:${w.ms}:${index}`);
+      args.push(w.limit, w.ms, elapsedMs);
+      elapsed.push(elapsedMs);
+    }
+
+    const [allowed, ...counts] = await this.client.eval(CONSUME_SCRIPT, keys.length, ...keys, ...args);
+    return {
+      allowed: Number(allowed) === 1,
+      windows: windows.map((w, i) => ({
+        previous: Number(counts[2 * i]),
+        current: Number(counts[2 * i + 1]),
+        elapsedMs: elapsed[i]
+      }))
+    };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Build the store named by RATE_LIMIT_STORE (memory | redis)
+ */
+function createRateLimitStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  if (type === 'redis') {
+    return new RedisRateLimitStore();
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+  }
+  return new MemoryRateLimitStore();
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore,
+  estimateUsage
+};
@@ -1,4 +1,21 @@
 const admin = require('firebase-admin');
+const { normalizeCarrier, normalizeTrackingNumber, trackingUrl } = require('./carriers');
+const { DEFAULTS: INVOICE_DEFAULTS, formatInvoice, invoiceNumber, taxAmount } = require('./invoicing');
+const { PRODUCT_DEFAULTS, categoryError, productData } = require('./catalog');
+const {
+  RETURN_ACTIONS,
+  RETURN_STATUSES,
+  SUPPLIER_ORDER_STATUSES,
+  canShip,
+  canTransition,
+  canTransitionReturn,
+  deriveOrderStatus,
+  isOpenStatus,
+  lineItemId,
+  lineItemProgress,
+  supplierOrderStatus,
+  supplierOrderSubtotal
+} = require('./order-state');
 
 // Initialize Firebase Admin SDK
 let db = null;
@@ -44,12 +61,45 @@ function initializeFirestore() {
   }
 }
 
+/**
+ * A stored address in the Address schema shape. Older documents use zip,
+ * street or a single-line string.
+ */
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') {
+    return { name: null, line1: address, line2: null, city: null, state: null, postal_code: null, country: null };
+  }
+  return {
+    name: address.name || address.recipient || null,
+    line1: address.line1 || address.street || address.address1 || null,
+    line2: address.line2 || address.address2 || null,
+    city: address.city || null,
+    state: address.state || address.region || null,
+    postal_code: address.postalCode || address.postal_code || address.zip || address.zipCode || null,
+    country: address.country || null
+  };
+}
+
+/**
+ * Order number for the nth order created in a year, e.g. ORD-2025-000042
+ */
+function orderNumber(year, sequence) {
+  return `ORD-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
 /**
  * Real Orders Service - handles Firestore operations with actual data
  */
 class RealOrdersService {
-  constructor() {
-    this.db = initializeFirestore();
+  /**
+   * @param {object} [options]
+   * @param {object} [options.db] Firestore instance (defaults to the shared Admin SDK one)
+   * @param {object} [options.webhooks] WebhookDispatcher notified after order events are written
+   */
+  constructor(options = {}) {
+    this.db = options.db || initializeFirestore();
+    this.webhooks = options.webhooks || null;
   }
 
   // Safe ISO conversion for Firestore Timestamp or date-like values
@@ -89,9 +139,22 @@ class RealOrdersService {
     return dateStr ? new Date(dateStr) : new Date();
   }
 
-  async _ensureOrder(orderId) {
+  // Hand an event to the webhook dispatcher without failing the write that produced it.
+  // Only the order's customer and the event's supplier (or all suppliers) are notified.
+  _publish(type, orderId, orderData, evt, extra = {}) {
+    if (!this.webhooks) return;
+    const { actor, ...event } = evt;
+    const audience = {
+      customerId: orderData.customerId,
+      supplierIds: evt.supplier_id ? [evt.supplier_id] : (orderData.supplierIds || [])
+    };
+    this.webhooks.publish(type, { order_id: orderId, ...extra, event }, audience)
+      .catch(err => console.error(`Webhook publish ${type} for order ${orderId} failed:`, err));
+  }
+
+  async _getOrderData(orderId) {
     const snap = await this.db.collection('orders').doc(orderId).get();
-    return snap.exists;
+    return snap.exists ? snap.data() : null;
   }
   
   /**
@@ -181,9 +244,10 @@ class RealOrdersService {
   }
   
   /**
-   * Get orders by buyer/customer ID
+   * Get orders by buyer/customer ID. With options.withItems each order is in
+   * the complete view (supplier orders with their line items), as exports need.
    */
-  async getOrdersByBuyerId(buyerId, filters = {}, pagination = {}) {
+  async getOrdersByBuyerId(buyerId, filters = {}, pagination = {}, options = {}) {
     try {
       if (!this.db) {
         throw new Error('Firestore is not initialized');
@@ -229,7 +293,7 @@ class RealOrdersService {
       
       snapshot.docs.forEach((doc, index) => {
         if (index < limit) {
-          orders.push(this.formatOrderForBuyer(doc));
+          orders.push(options.withItems ? this.formatOrderComplete(doc) : this.formatOrderForBuyer(doc));
         } else {
           hasMore = true;
         }
@@ -280,6 +344,30 @@ class RealOrdersService {
     }
   }
   
+  /**
+   * Get one supplier's view of an order, or null when the order does not
+   * exist or has no supplier order for supplierId
+   */
+  async getOrderForSupplier(orderId, supplierId) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const doc = await this.db.collection('orders').doc(orderId).get();
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      return this.formatOrderForSupplier(doc, supplierId);
+      
+    } catch (error) {
+      console.error(`Error getting order ${orderId} for supplier ${supplierId}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Get user information by ID
    */
@@ -363,7 +451,11 @@ class RealOrdersService {
       let nextCursor = null;
       if (hasMore && products.length > 0) {
         const lastProduct = products[products.length - 1];
-        nextCursor = this.encodeCursor(lastProduct);
+        // The cursor carries the sort field's value, whichever field that is
+        nextCursor = this.encodeCursor({
+          created_at: orderField === 'updatedAt' ? lastProduct.updated_at : lastProduct.created_at,
+          id: lastProduct.id
+        });
       }
       
       return {
@@ -381,84 +473,888 @@ class RealOrdersService {
     }
   }
 
+  /**
+   * Get the event timeline for an order (oldest first).
+   * When viewerSupplierIds is set, only order-wide events and events for those
+   * suppliers' orders are returned. Returns null when the order does not exist.
+   */
+  async getOrderEvents(orderId, filters = {}, pagination = {}, viewerSupplierIds = null) {
+    try {
+      if (!this.db) {
+        throw new Error('Firestore is not initialized');
+      }
+      
+      const orderRef = this.db.collection('orders').doc(orderId);
+      const orderSnap = await orderRef.get();
+      if (!orderSnap.exists) {
+        return null;
+      }
+      const supplierIds = orderSnap.data().supplierIds || [];
+      const eventsRef = orderRef.collection('events');
+      
+      let query = eventsRef;
+      if (filters.types?.length) {
+        query = query.where('type', 'in', filters.types);
+      }
+      if (filters.since) {
+        query = query.where('timestamp', '>=', new Date(filters.since));
+      }
+      query = query.orderBy('timestamp', 'asc').orderBy('__name__');
+      
+      const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+      let after = null;
+      if (pagination.cursor) {
+        const c = this.decodeCursor(pagination.cursor);
+        if (c?.created_at && c?.id) {
+          after = [new Date(c.created_at), eventsRef.doc(c.id)];
+        }
+      }
+      
+      // Supplier filtering happens in memory, so keep reading until the page is full
+      const events = [];
+      let exhausted = false;
+      while (events.length <= limit && !exhausted) {
+        const batchQuery = (after ? query.startAfter(...after) : query).limit(limit + 1);
+        const snapshot = await batchQuery.get();
+        exhausted = snapshot.docs.length < limit + 1;
+        for (const doc of snapshot.docs) {
+          const data = doc.data();
+          if (this._eventVisibleTo(data, supplierIds, viewerSupplierIds)) {
+            events.push(this.formatOrderEvent(doc));
+          }
+        }
+        const last = snapshot.docs[snapshot.docs.length - 1];
+        if (last) after = [last.data().timestamp, last.ref];
+      }
+      
+      const hasMore = events.length > limit;
+      const data = events.slice(0, limit);
+      
+      return {
+        data,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: hasMore ? this.encodeCursor({ created_at: data[data.length - 1].timestamp, id: data[data.length - 1].id }) : null
+        }
+      };
+      
+    } catch (error) {
+      console.error(`Error getting events for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
+  // Events carry supplier_id; older ones only identify the supplier through the actor
+  _eventVisibleTo(evt, supplierIds, viewerSupplierIds) {
+    if (!viewerSupplierIds) return true;
+    const actorUid = evt.actor?.uid;
+    const eventSupplier = evt.supplier_id || (supplierIds.includes(actorUid) ? actorUid : null);
+    return !eventSupplier || viewerSupplierIds.includes(eventSupplier);
+  }
+
+  /**
+   * Move one supplier order to a new state inside a transaction, recomputing the
+   * order status and writing the event alongside. `plan(supplierOrder, from, sid, orderData)`
+   * returns { to, fields, orderFields, evt }: fields are extra supplier-order fields,
+   * orderFields top-level order fields. It may instead return { invalid: message },
+   * or set inPlace to update an open supplier order without changing its state.
+   * Returns { not_found }, { invalid, message } or { conflict, current_status } when the
+   * change is not allowed.
+   */
+  async _transitionSupplierOrder(orderId, supplierId, action, plan, { webhookEvent = 'order.updated' } = {}) {
+    const orderRef = this.db.collection('orders').doc(orderId);
+    const eventRef = orderRef.collection('events').doc();
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(orderRef);
+      if (!snap.exists) return { not_found: true };
+      const orderData = snap.data();
+      const supplierOrders = orderData.supplierOrders || {};
+      const sid = supplierId || (Object.keys(supplierOrders).length === 1 ? Object.keys(supplierOrders)[0] : null);
+      if (!sid || !supplierOrders[sid]) return { not_found: true };
+
+      const from = supplierOrderStatus(supplierOrders[sid]);
+      const planned = plan(supplierOrders[sid], from, sid, orderData);
+      if (planned.invalid) return { invalid: true, message: planned.invalid };
+      const { to, fields = {}, orderFields = {}, evt, inPlace = false } = planned;
+      const allowed = inPlace && to === from ? isOpenStatus(from) : canTransition(from, to);
+      if (!allowed) {
+        return {
+          conflict: true,
+          current_status: from,
+          message: `Cannot ${action} a supplier order that is ${from}`
+        };
+      }
+
+      const now = new Date();
+      const statuses = Object.entries(supplierOrders).map(([id, so]) => (id === sid ? to : supplierOrderStatus(so)));
+      const update = {
+        [`supplierOrders.${sid}.status`]: to,
+        [`supplierOrders.${sid}.updatedAt`]: now,
+        status: deriveOrderStatus(statuses),
+        updatedAt: now,
+        ...orderFields
+      };
+      for (const [field, value] of Object.entries(fields)) {
+        update[`supplierOrders.${sid}.${field}`] = value;
+      }
+      const event = { ...evt, supplier_id: sid, status: to, previous_status: from };
+      tx.update(orderRef, update);
+      tx.set(eventRef, event);
+      return { orderData, event, supplierId: sid, status: to, orderStatus: update.status };
+    });
+
+    if (result.not_found || result.invalid || result.conflict) return result;
+    this._publish(webhookEvent, orderId, result.orderData, result.event);
+    return {
+      success: true,
+      supplier_id: result.supplierId,
+      status: result.status,
+      order_status: result.orderStatus,
+      event: { id: eventRef.id, ...result.event }
+    };
+  }
+
+  /**
+   * Create an order from a buyer's cart ({ product_id, quantity } lines). Prices and
+   * suppliers come from the products collection, and the cart is split into one
+   * pending supplier order per supplier. With an idempotency key the key is claimed
+   * in the same transaction as the order, so a retried request replays the order it
+   * created instead of writing a second one.
+   * Returns { success, order_id, order }, { replayed, order_id, order }, { invalid, message }
+   * or { conflict, message } for a key reused with a different request.
+   */
+  async createOrder(customerId, payload = {}, actor = {}, idempotency = null) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const orderRef = this.db.collection('orders').doc();
+    const idemRef = idempotency ? this.db.collection('idempotency').doc(String(idempotency.key)) : null;
+
+    // Same product on several lines becomes one line
+    const quantities = new Map();
+    for (const line of payload.items || []) {
+      quantities.set(line.product_id, (quantities.get(line.product_id) || 0) + Number(line.quantity));
+    }
+
+    const result = await this.db.runTransaction(async tx => {
+      if (idemRef) {
+        const idemSnap = await tx.get(idemRef);
+        if (idemSnap.exists) {
+          const data = idemSnap.data();
+          if (data.signature !== idempotency.signature) {
+            return { conflict: true, message: 'Idempotency key already used with different request' };
+          }
+          return { replayed: true, orderId: data.orderId };
+        }
+      }
+
+      const products = [];
+      for (const [productId, quantity] of quantities) {
+        const snap = await tx.get(this.db.collection('products').doc(productId));
+        if (!snap.exists) return { invalid: true, message: `Unknown product_id: ${productId}` };
+        const data = snap.data();
+        const status = data.inventory?.status || data.status || 'active';
+        if (status !== 'active' || data.inventory?.available === false || !data.supplierId) {
+          return { invalid: true, message: `Product ${productId} is not available` };
+        }
+        products.push({ id: productId, data, quantity });
+      }
+
+      const supplierIds = [...new Set(products.map(p => p.data.supplierId))];
+      const userSnaps = new Map();
+      for (const uid of [customerId, ...supplierIds]) {
+        const snap = await tx.get(this.db.collection('users').doc(uid));
+        userSnaps.set(uid, snap.exists ? snap.data() : {});
+      }
+
+      // Numbers come from the year's counter, incremented in this transaction so no two orders share one
+      const now = new Date();
+      const year = now.getUTCFullYear();
+      const counterRef = this.db.collection('orderCounters').doc(String(year));
+      const counterSnap = await tx.get(counterRef);
+      const sequence = (counterSnap.exists ? counterSnap.data().lastSequence || 0 : 0) + 1;
+
+      const cartItems = products.map(({ id, data, quantity }) => ({
+        cartItemId: `${orderRef.id}-${id}`,
+        id,
+        name: data.name || null,
+        sku: data.sku || null,
+        uom: data.uom || 'each',
+        price: data.price || 0,
+        quantity,
+        supplierId: data.supplierId,
+        supplierInfo: { sku: data.sku || null, uom: data.uom || 'each', category: data.category || null }
+      }));
+
+      const supplierOrders = {};
+      for (const sid of supplierIds) {
+        const items = cartItems.filter(item => item.supplierId === sid);
+        const supplier = userSnaps.get(sid);
+        supplierOrders[sid] = {
+          supplierName: products.find(p => p.data.supplierId === sid).data.supplierName || supplier.companyName || supplier.name || null,
+          supplierEmail: supplier.email || null,
+          status: SUPPLIER_ORDER_STATUSES.PENDING,
+          items,
+          subtotal: supplierOrderSubtotal(items),
+          createdAt: now,
+          updatedAt: now
+        };
+      }
+
+      const customer = userSnaps.get(customerId);
+      const orderData = {
+        orderNumber: orderNumber(year, sequence),
+        customerId,
+        customerName: customer.name || customer.displayName || null,
+        customerEmail: customer.email || null,
+        status: SUPPLIER_ORDER_STATUSES.PENDING,
+        supplierIds,
+        supplierOrders,
+        originalCartItems: cartItems.map(({ supplierInfo: _info, ...item }) => item),
+        numberOfSuppliers: supplierIds.length,
+        numberOfItems: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+        totalAmount: Object.values(supplierOrders).reduce((sum, so) => sum + so.subtotal, 0),
+        notes: payload.notes || null,
+        source: 'api',
+        createdAt: now,
+        updatedAt: now
+      };
+      const evt = { type: 'order.created', timestamp: now, status: orderData.status, actor };
+
+      tx.set(orderRef, orderData);
+      tx.set(counterRef, { lastSequence: sequence, updatedAt: now }, { merge: true });
+      tx.set(orderRef.collection('events').doc(), evt);
+      if (idemRef) {
+        tx.set(idemRef, { signature: idempotency.signature, createdAt: now, path: idempotency.path, method: 'POST', orderId: orderRef.id });
+      }
+      return { orderData, evt };
+    });
+
+    if (result.invalid || result.conflict) return result;
+
+    const orderId = result.replayed ? result.orderId : orderRef.id;
+    const order = this.formatOrderComplete(await this.db.collection('orders').doc(orderId).get());
+    if (result.replayed) return { replayed: true, order_id: orderId, order };
+
+    this._publish('order.created', orderId, result.orderData, result.evt, { order });
+    return { success: true, order_id: orderId, order };
+  }
+
   /**
    * Write APIs (acknowledge, fulfill, shipments, inventory)
    */
   async acknowledgeOrder(orderId, payload = {}, actor = {}) {
     if (!this.db) throw new Error('Firestore is not initialized');
-    const exists = await this._ensureOrder(orderId);
-    if (!exists) return { not_found: true };
-    const evt = {
-      type: 'order.acknowledged',
-      timestamp: new Date(),
-      acknowledged_at: this._ts(payload.acknowledged_at),
-      contact: payload.contact || null,
-      actor,
-      notes: payload.notes || null
-    };
-    await this.db.collection('orders').doc(orderId).collection('events').add(evt);
-    return { success: true, event: evt };
+    return this._transitionSupplierOrder(orderId, payload.supplier_id, 'acknowledge', () => {
+      const acknowledgedAt = this._ts(payload.acknowledged_at);
+      return {
+        to: SUPPLIER_ORDER_STATUSES.ACKNOWLEDGED,
+        fields: { acknowledgedAt },
+        evt: {
+          type: 'order.acknowledged',
+          timestamp: new Date(),
+          acknowledged_at: acknowledgedAt,
+          contact: payload.contact || null,
+          actor,
+          notes: payload.notes || null
+        }
+      };
+    });
   }
 
+  /**
+   * Record fulfilled quantities per line (cartItemId). Without items every line is
+   * fulfilled in full; otherwise the supplier order stays partially_fulfilled until no
+   * quantity remains. A line's quantity_backordered replaces its current backorder.
+   * Fulfilling more than a line's remaining quantity is rejected.
+   */
   async fulfillOrder(orderId, payload = {}, actor = {}) {
     if (!this.db) throw new Error('Firestore is not initialized');
-    const exists = await this._ensureOrder(orderId);
-    if (!exists) return { not_found: true };
-    const evt = {
-      type: 'order.fulfilled',
-      timestamp: new Date(),
-      fulfilled_at: this._ts(payload.fulfilled_at),
-      items: Array.isArray(payload.items) ? payload.items : [],
-      notes: payload.notes || null,
-      actor
-    };
-    await this.db.collection('orders').doc(orderId).collection('events').add(evt);
-    return { success: true, event: evt };
+    const requested = Array.isArray(payload.items) ? payload.items : [];
+    return this._transitionSupplierOrder(orderId, payload.supplier_id, 'fulfill', (supplierOrder, from) => {
+      const ordered = supplierOrder.items || [];
+      const changes = new Map();
+      if (requested.length === 0) {
+        ordered
+          .filter(item => lineItemProgress(item).remaining > 0)
+          .forEach(item => changes.set(lineItemId(item), { quantity: lineItemProgress(item).remaining, backordered: 0 }));
+      } else {
+        for (const req of requested) {
+          if (!ordered.some(item => lineItemId(item) === req.item_id)) return { invalid: `Unknown item_id: ${req.item_id}` };
+          const change = changes.get(req.item_id) || { quantity: 0 };
+          change.quantity += Number(req.quantity) || 0;
+          if (req.quantity_backordered !== undefined) change.backordered = Number(req.quantity_backordered);
+          changes.set(req.item_id, change);
+        }
+      }
+
+      const fulfilledItems = [];
+      const items = [];
+      for (const item of ordered) {
+        const change = changes.get(lineItemId(item));
+        if (!change) {
+          items.push(item);
+          continue;
+        }
+        const { remaining } = lineItemProgress(item);
+        if (change.quantity > remaining) {
+          return { invalid: `Cannot fulfill ${change.quantity} of item ${lineItemId(item)}; ${remaining} remaining` };
+        }
+        const left = remaining - change.quantity;
+        const backordered = change.backordered ?? Math.min(item.quantityBackordered || 0, left);
+        if (backordered > left) {
+          return { invalid: `Cannot backorder ${backordered} of item ${lineItemId(item)}; ${left} remaining` };
+        }
+        items.push({ ...item, quantityFulfilled: (item.quantityFulfilled || 0) + change.quantity, quantityBackordered: backordered });
+        fulfilledItems.push({ item_id: lineItemId(item), quantity: change.quantity, quantity_backordered: backordered });
+      }
+
+      const complete = items.every(item => lineItemProgress(item).remaining === 0);
+      const fulfilledAt = this._ts(payload.fulfilled_at);
+      return {
+        to: complete ? SUPPLIER_ORDER_STATUSES.FULFILLED : SUPPLIER_ORDER_STATUSES.PARTIALLY_FULFILLED,
+        fields: complete ? { items, fulfilledAt } : { items },
+        evt: {
+          type: complete ? 'order.fulfilled' : 'order.partially_fulfilled',
+          timestamp: new Date(),
+          fulfilled_at: fulfilledAt,
+          items: fulfilledItems,
+          notes: payload.notes || null,
+          actor
+        }
+      };
+    });
   }
 
+  /**
+   * Cancel a supplier order, or just some quantities of its lines, with a reason code.
+   * Only quantities that are not yet fulfilled, shipped or cancelled can be cancelled.
+   * The supplier subtotal and order total are recalculated. Once everything left has
+   * shipped the supplier order becomes shipped; once nothing remains it becomes
+   * cancelled, or fulfilled if part of it was already fulfilled.
+   */
+  async cancelOrder(orderId, payload = {}, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const requested = Array.isArray(payload.items) ? payload.items : [];
+    return this._transitionSupplierOrder(orderId, payload.supplier_id, 'cancel', (supplierOrder, from, sid, orderData) => {
+      // Closed supplier orders are rejected as a conflict before looking at quantities
+      if (!isOpenStatus(from)) return { to: SUPPLIER_ORDER_STATUSES.CANCELLED };
+      const ordered = supplierOrder.items || [];
+
+      const toCancel = new Map();
+      if (requested.length === 0) {
+        ordered.forEach(item => toCancel.set(lineItemId(item), lineItemProgress(item).cancellable));
+      } else {
+        for (const req of requested) {
+          const item = ordered.find(it => lineItemId(it) === req.item_id);
+          if (!item) return { invalid: `Unknown item_id: ${req.item_id}` };
+          const quantity = req.quantity === undefined ? lineItemProgress(item).cancellable : Number(req.quantity);
+          toCancel.set(req.item_id, (toCancel.get(req.item_id) || 0) + quantity);
+        }
+      }
+
+      const cancelledItems = [];
+      const items = [];
+      for (const item of ordered) {
+        const quantity = toCancel.get(lineItemId(item)) || 0;
+        const { remaining, cancellable } = lineItemProgress(item);
+        if (quantity > cancellable) {
+          return { invalid: `Cannot cancel ${quantity} of item ${lineItemId(item)}; ${cancellable} cancellable` };
+        }
+        if (quantity === 0) {
+          items.push(item);
+          continue;
+        }
+        items.push({
+          ...item,
+          quantityCancelled: (item.quantityCancelled || 0) + quantity,
+          quantityBackordered: Math.min(item.quantityBackordered || 0, remaining - quantity)
+        });
+        cancelledItems.push({ item_id: lineItemId(item), quantity });
+      }
+      if (cancelledItems.length === 0) return { invalid: 'Nothing left to cancel' };
+
+      const previousSubtotal = supplierOrder.subtotal ?? supplierOrderSubtotal(ordered);
+      const subtotal = supplierOrderSubtotal(items);
+      const progress = items.map(item => lineItemProgress(item));
+      const nothingRemaining = progress.every(p => p.remaining === 0);
+      let to = from;
+      if (progress.every(p => p.unshipped === 0) && progress.some(p => p.shipped > 0)) {
+        to = SUPPLIER_ORDER_STATUSES.SHIPPED;
+      } else if (nothingRemaining) {
+        to = progress.some(p => p.fulfilled > 0) ? SUPPLIER_ORDER_STATUSES.FULFILLED : SUPPLIER_ORDER_STATUSES.CANCELLED;
+      }
+
+      return {
+        to,
+        inPlace: to === from,
+        fields: {
+          items,
+          subtotal,
+          ...(supplierOrder.originalSubtotal === undefined ? { originalSubtotal: previousSubtotal } : {}),
+          ...(nothingRemaining ? { cancelledAt: new Date(), cancelReasonCode: payload.reason_code } : {})
+        },
+        orderFields: {
+          totalAmount: (orderData.totalAmount || 0) - (previousSubtotal - subtotal)
+        },
+        evt: {
+          type: 'order.cancelled',
+          timestamp: new Date(),
+          scope: requested.length === 0 ? 'supplier_order' : 'items',
+          reason_code: payload.reason_code,
+          items: cancelledItems,
+          subtotal,
+          notes: payload.notes || null,
+          actor
+        }
+      };
+    }, { webhookEvent: 'order.cancelled' });
+  }
+
+  /**
+   * Create a shipment for one supplier order, allocating quantities to its lines.
+   * Without items every unshipped quantity is included. A line can never ship more
+   * than was ordered (less cancellations); when nothing is left unshipped the
+   * supplier order moves to shipped.
+   */
   async createShipment(orderId, payload = {}, actor = {}) {
     if (!this.db) throw new Error('Firestore is not initialized');
     const orderRef = this.db.collection('orders').doc(orderId);
-    const exists = (await orderRef.get()).exists;
-    if (!exists) return { not_found: true };
-
-    const ship = {
-      carrier: payload.carrier,
-      tracking_number: payload.tracking_number,
-      status: payload.status || 'shipped',
-      items: Array.isArray(payload.items) ? payload.items : [],
-      shipped_at: this._ts(payload.shipped_at),
-      estimated_delivery_at: payload.estimated_delivery_at ? new Date(payload.estimated_delivery_at) : null,
-      created_at: new Date(),
-      actor
-    };
-    const ref = await orderRef.collection('shipments').add(ship);
+    const ref = orderRef.collection('shipments').doc();
+    const requested = Array.isArray(payload.items) ? payload.items : [];
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(orderRef);
+      if (!snap.exists) return { not_found: true };
+      const orderData = snap.data();
+      const supplierOrders = orderData.supplierOrders || {};
+      const sid = payload.supplier_id || (Object.keys(supplierOrders).length === 1 ? Object.keys(supplierOrders)[0] : null);
+      const supplierOrder = sid && supplierOrders[sid];
+      if (!supplierOrder) return { not_found: true };
+
+      const from = supplierOrderStatus(supplierOrder);
+      if (!canShip(from)) {
+        return { conflict: true, current_status: from, message: `Cannot ship a supplier order that is ${from}` };
+      }
+
+      const ordered = supplierOrder.items || [];
+      const allocation = new Map();
+      if (requested.length === 0) {
+        ordered.forEach(item => allocation.set(lineItemId(item), lineItemProgress(item).unshipped));
+      } else {
+        for (const req of requested) {
+          if (!ordered.some(item => lineItemId(item) === req.item_id)) return { invalid: true, message: `Unknown item_id: ${req.item_id}` };
+          allocation.set(req.item_id, (allocation.get(req.item_id) || 0) + Number(req.quantity));
+        }
+      }
+
+      const shipmentItems = [];
+      const items = [];
+      for (const item of ordered) {
+        const quantity = allocation.get(lineItemId(item)) || 0;
+        const { unshipped } = lineItemProgress(item);
+        if (quantity > unshipped) {
+          return { invalid: true, message: `Cannot ship ${quantity} of item ${lineItemId(item)}; ${unshipped} unshipped` };
+        }
+        if (quantity === 0) {
+          items.push(item);
+          continue;
+        }
+        items.push({ ...item, quantityShipped: (item.quantityShipped || 0) + quantity });
+        shipmentItems.push({ item_id: lineItemId(item), sku: item.supplierInfo?.sku || item.sku || null, name: item.name || null, quantity });
+      }
+      if (shipmentItems.length === 0) return { invalid: true, message: 'Nothing left to ship' };
+
+      const now = new Date();
+      const ship = {
+        // Denormalized so GET /v1/shipments/:id can find the doc with a collection-group query
+        shipment_id: ref.id,
+        order_id: orderId,
+        supplier_id: sid,
+        // Customer and supplier allowed to read this shipment (GET /v1/shipments)
+        party_ids: [orderData.customerId, sid].filter(Boolean),
+        carrier: normalizeCarrier(payload.carrier),
+        tracking_number: payload.tracking_number ? normalizeTrackingNumber(payload.tracking_number) : null,
+        // Handed to a carrier once it has a tracking number; the tracking poller moves it on from there
+        status: payload.status ? String(payload.status).toUpperCase() : (payload.tracking_number ? 'IN_TRANSIT' : 'CREATED'),
+        items: shipmentItems,
+        shipped_at: this._ts(payload.shipped_at),
+        estimated_delivery_at: payload.estimated_delivery_at ? new Date(payload.estimated_delivery_at) : null,
+        delivered_at: null,
+        // Tracking poller bookkeeping; shipments without a tracking number are never polled
+        last_tracking_event_at: null,
+        next_tracking_poll_at: payload.tracking_number ? now : null,
+        created_at: now,
+        actor
+      };
+
+      const allShipped = items.every(item => lineItemProgress(item).unshipped === 0);
+      const to = allShipped ? SUPPLIER_ORDER_STATUSES.SHIPPED : from;
+      const update = {
+        [`supplierOrders.${sid}.items`]: items,
+        [`supplierOrders.${sid}.updatedAt`]: now,
+        updatedAt: now
+      };
+      const events = [{ type: 'shipment.created', timestamp: now, supplier_id: sid, shipment_id: ref.id, tracking_number: ship.tracking_number, items: shipmentItems, actor }];
+      if (to !== from) {
+        const statuses = Object.entries(supplierOrders).map(([id, so]) => (id === sid ? to : supplierOrderStatus(so)));
+        update[`supplierOrders.${sid}.status`] = to;
+        update[`supplierOrders.${sid}.shippedAt`] = now;
+        update.status = deriveOrderStatus(statuses);
+        events.push({ type: 'order.shipped', timestamp: now, supplier_id: sid, status: to, previous_status: from, shipment_id: ref.id, actor });
+      }
+
+      tx.set(ref, ship);
+      tx.update(orderRef, update);
+      events.forEach(evt => tx.set(orderRef.collection('events').doc(), evt));
+      return { orderData, ship, events, status: to };
+    });
 
-    const evt = { type: 'shipment.created', timestamp: new Date(), shipment_id: ref.id, tracking_number: ship.tracking_number, actor };
-    await orderRef.collection('events').add(evt);
+    if (result.not_found || result.invalid || result.conflict) return result;
 
-    return { success: true, shipment_id: ref.id, shipment: ship };
+    const [shipmentEvent, statusEvent] = result.events;
+    const { actor: _actor, last_tracking_event_at: _lastEvent, next_tracking_poll_at: _nextPoll, ...stored } = result.ship;
+    const shipment = { ...stored, tracking_url: trackingUrl(stored.carrier, stored.tracking_number) };
+    this._publish('shipment.created', orderId, result.orderData, shipmentEvent, { shipment_id: ref.id, shipment });
+    if (statusEvent) this._publish('order.updated', orderId, result.orderData, statusEvent);
+
+    return { success: true, shipment_id: ref.id, supplier_status: result.status, shipment: { ...result.ship, tracking_url: shipment.tracking_url } };
   }
 
+  /**
+   * Record a tracking event on a shipment and move its status along. The
+   * update runs in a transaction, so shipment.delivered goes out once, for the
+   * event that first marks the shipment delivered.
+   */
   async addShipmentEvent(orderId, shipmentId, payload = {}, actor = {}) {
     if (!this.db) throw new Error('Firestore is not initialized');
     const orderRef = this.db.collection('orders').doc(orderId);
     const shipRef = orderRef.collection('shipments').doc(shipmentId);
-    const exists = (await shipRef.get()).exists;
-    if (!exists) return { not_found: true };
-
     const evt = {
       type: payload.type || 'shipment.updated',
       status: payload.status,
       message: payload.message || null,
+      location: payload.location || null,
       timestamp: this._ts(payload.timestamp),
       actor
     };
-    await shipRef.collection('events').add(evt);
-    await orderRef.collection('events').add({ ...evt, shipment_id: shipmentId });
+
+    const result = await this.db.runTransaction(async tx => {
+      const shipSnap = await tx.get(shipRef);
+      if (!shipSnap.exists) return { not_found: true };
+      const shipData = shipSnap.data();
+      if (shipData.supplier_id && payload.supplier_id && shipData.supplier_id !== payload.supplier_id) {
+        return { not_found: true };
+      }
+
+      // Keep the shipment's current status and the tracking poller's schedule in step with its events
+      const delivered = evt.type === 'shipment.delivered' || String(evt.status || '').toUpperCase() === 'DELIVERED';
+      const lastEventAt = shipData.last_tracking_event_at?.toDate?.() || null;
+      const shipUpdate = { updated_at: new Date() };
+      if (!lastEventAt || evt.timestamp > lastEventAt) {
+        shipUpdate.last_tracking_event_at = evt.timestamp;
+        if (evt.status) shipUpdate.status = String(evt.status).toUpperCase();
+      }
+      if (delivered) {
+        shipUpdate.status = 'DELIVERED';
+        shipUpdate.delivered_at = shipData.delivered_at || evt.timestamp;
+        shipUpdate.next_tracking_poll_at = null;
+      }
+
+      const orderEvt = { ...evt, shipment_id: shipmentId, supplier_id: shipData.supplier_id || null };
+      tx.set(shipRef.collection('events').doc(), evt);
+      tx.set(orderRef.collection('events').doc(), orderEvt);
+      tx.update(shipRef, shipUpdate);
+      return { orderEvt, firstDelivery: delivered && !shipData.delivered_at };
+    });
+
+    if (result.not_found) return result;
+
+    if (result.firstDelivery) {
+      const orderData = (await orderRef.get()).data();
+      this._publish('shipment.delivered', orderId, orderData, result.orderEvt, { shipment_id: shipmentId });
+    }
     return { success: true, event: evt };
   }
 
+  /**
+   * Open a return (RMA) for shipped quantities of one supplier order's lines.
+   * The items decide the supplier order; returned quantities stay reserved on
+   * their lines unless the return is rejected.
+   */
+  async createReturn(orderId, payload = {}, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const orderRef = this.db.collection('orders').doc(orderId);
+    const ref = orderRef.collection('returns').doc();
+    const requested = Array.isArray(payload.items) ? payload.items : [];
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(orderRef);
+      if (!snap.exists) return { not_found: true };
+      const orderData = snap.data();
+      const supplierOrders = orderData.supplierOrders || {};
+
+      const supplierIds = new Set();
+      const quantities = new Map();
+      for (const req of requested) {
+        const sid = Object.keys(supplierOrders).find(id => (!payload.supplier_id || id === payload.supplier_id) &&
+          (supplierOrders[id].items || []).some(item => lineItemId(item) === req.item_id));
+        if (!sid) return { invalid: true, message: `Unknown item_id: ${req.item_id}` };
+        supplierIds.add(sid);
+        quantities.set(req.item_id, (quantities.get(req.item_id) || 0) + Number(req.quantity));
+      }
+      if (supplierIds.size !== 1) return { invalid: true, message: 'A return must cover items from exactly one supplier' };
+      const [sid] = supplierIds;
+
+      const returnItems = [];
+      const items = [];
+      for (const item of supplierOrders[sid].items || []) {
+        const quantity = quantities.get(lineItemId(item)) || 0;
+        const { returnable } = lineItemProgress(item);
+        if (quantity > returnable) {
+          return { invalid: true, message: `Cannot return ${quantity} of item ${lineItemId(item)}; ${returnable} returnable` };
+        }
+        if (quantity === 0) {
+          items.push(item);
+          continue;
+        }
+        items.push({ ...item, quantityReturned: (item.quantityReturned || 0) + quantity });
+        returnItems.push({
+          item_id: lineItemId(item),
+          sku: item.supplierInfo?.sku || item.sku || null,
+          name: item.name || null,
+          quantity,
+          unit_price: item.price || 0
+        });
+      }
+
+      const now = new Date();
+      const rma = {
+        // Denormalized so GET /v1/returns/:id can find the doc with a collection-group query
+        return_id: ref.id,
+        order_id: orderId,
+        customer_id: orderData.customerId || null,
+        supplier_id: sid,
+        // Customer and supplier allowed to read this return (GET /v1/returns)
+        party_ids: [orderData.customerId, sid].filter(Boolean),
+        status: RETURN_STATUSES.REQUESTED,
+        reason_code: payload.reason_code,
+        reason: payload.reason || null,
+        items: returnItems,
+        amount: returnItems.reduce((sum, item) => sum + item.quantity * item.unit_price, 0),
+        refund_amount: null,
+        rejection_reason: null,
+        created_at: now,
+        updated_at: now,
+        actor
+      };
+      const evt = {
+        type: 'return.created',
+        timestamp: now,
+        supplier_id: sid,
+        return_id: ref.id,
+        status: rma.status,
+        reason_code: rma.reason_code,
+        items: returnItems.map(({ item_id, quantity }) => ({ item_id, quantity })),
+        actor
+      };
+
+      tx.set(ref, rma);
+      tx.update(orderRef, {
+        [`supplierOrders.${sid}.items`]: items,
+        [`supplierOrders.${sid}.updatedAt`]: now,
+        updatedAt: now
+      });
+      tx.set(orderRef.collection('events').doc(), evt);
+      return { orderData, rma, evt };
+    });
+
+    if (result.not_found || result.invalid) return result;
+
+    const { actor: _actor, party_ids: _partyIds, ...stored } = result.rma;
+    this._publish('return.created', orderId, result.orderData, result.evt, { return_id: ref.id, return: stored });
+    return { success: true, return_id: ref.id, return: stored };
+  }
+
+  /**
+   * Move a return along requested -> approved -> received -> refunded (or rejected)
+   * on behalf of its supplier. Rejecting releases the reserved quantities.
+   * Returns outside supplierIds are reported as not found.
+   */
+  async transitionReturn(returnId, action, payload = {}, actor = {}, supplierIds = []) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const to = RETURN_ACTIONS[action];
+    const found = await this.db.collectionGroup('returns').where('return_id', '==', returnId).limit(1).get();
+    if (found.empty) return { not_found: true };
+    const ref = found.docs[0].ref;
+    const orderRef = ref.parent.parent;
+    const orderId = orderRef.id;
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(ref);
+      const orderSnap = await tx.get(orderRef);
+      if (!snap.exists || !orderSnap.exists) return { not_found: true };
+      const rma = snap.data();
+      const orderData = orderSnap.data();
+      if (!supplierIds.includes(rma.supplier_id)) return { not_found: true };
+
+      const from = rma.status;
+      if (!canTransitionReturn(from, to)) {
+        return { conflict: true, current_status: from, message: `Cannot ${action} a return that is ${from}` };
+      }
+
+      const now = new Date();
+      const update = { status: to, [`${to}_at`]: now, updated_at: now };
+      const evt = {
+        type: `return.${to}`,
+        timestamp: now,
+        supplier_id: rma.supplier_id,
+        return_id: returnId,
+        status: to,
+        previous_status: from,
+        notes: payload.notes || null,
+        actor
+      };
+
+      if (to === RETURN_STATUSES.REFUNDED) {
+        const refundAmount = payload.refund_amount ?? rma.amount;
+        if (refundAmount > rma.amount) {
+          return { invalid: true, message: `refund_amount cannot exceed the returned amount (${rma.amount})` };
+        }
+        update.refund_amount = refundAmount;
+        evt.refund_amount = refundAmount;
+      }
+
+      if (to === RETURN_STATUSES.REJECTED) {
+        update.rejection_reason = payload.reason || null;
+        evt.reason = update.rejection_reason;
+        const released = new Map((rma.items || []).map(item => [item.item_id, item.quantity]));
+        const items = (orderData.supplierOrders?.[rma.supplier_id]?.items || []).map(item => (
+          released.has(lineItemId(item))
+            ? { ...item, quantityReturned: Math.max(0, (item.quantityReturned || 0) - released.get(lineItemId(item))) }
+            : item
+        ));
+        tx.update(orderRef, {
+          [`supplierOrders.${rma.supplier_id}.items`]: items,
+          [`supplierOrders.${rma.supplier_id}.updatedAt`]: now,
+          updatedAt: now
+        });
+      }
+
+      tx.update(ref, update);
+      tx.set(orderRef.collection('events').doc(), evt);
+      return { orderData, rma: { ...rma, ...update }, evt };
+    });
+
+    if (result.not_found || result.invalid || result.conflict) return result;
+
+    const { actor: _actor, party_ids: _partyIds, ...stored } = result.rma;
+    this._publish(result.evt.type, orderId, result.orderData, result.evt, { return_id: returnId, return: stored });
+    return { success: true, return_id: returnId, status: to, return: stored, event: result.evt };
+  }
+
+  /**
+   * Invoice a supplier order for every fulfilled or shipped quantity not yet invoiced.
+   * The number comes from the supplier's counter (invoiceCounters/{supplierId}),
+   * incremented in the same transaction, so numbers are sequential without gaps.
+   */
+  async createInvoice(orderId, payload = {}, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const orderRef = this.db.collection('orders').doc(orderId);
+    const ref = this.db.collection('invoices').doc();
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(orderRef);
+      if (!snap.exists) return { not_found: true };
+      const orderData = snap.data();
+      const supplierOrders = orderData.supplierOrders || {};
+      const sid = payload.supplier_id || (Object.keys(supplierOrders).length === 1 ? Object.keys(supplierOrders)[0] : null);
+      const supplierOrder = sid && supplierOrders[sid];
+      if (!supplierOrder) return { not_found: true };
+
+      const invoiceItems = [];
+      const items = (supplierOrder.items || []).map(item => {
+        const { invoiceable } = lineItemProgress(item);
+        if (invoiceable === 0) return item;
+        invoiceItems.push({
+          cartItemId: lineItemId(item),
+          productId: item.id || null,
+          sku: item.supplierInfo?.sku || item.sku || null,
+          name: item.name || null,
+          quantity: invoiceable,
+          unitPrice: item.price || 0,
+          lineTotal: invoiceable * (item.price || 0)
+        });
+        return { ...item, quantityInvoiced: (item.quantityInvoiced || 0) + invoiceable };
+      });
+      if (invoiceItems.length === 0) {
+        return {
+          conflict: true,
+          current_status: supplierOrderStatus(supplierOrder),
+          message: 'Nothing to invoice: no fulfilled or shipped quantities left uninvoiced'
+        };
+      }
+
+      const counterRef = this.db.collection('invoiceCounters').doc(sid);
+      const counterSnap = await tx.get(counterRef);
+      const sequence = (counterSnap.exists ? counterSnap.data().lastSequence || 0 : 0) + 1;
+
+      const now = new Date();
+      const taxRate = payload.tax_rate ?? INVOICE_DEFAULTS.taxRate;
+      const subtotal = invoiceItems.reduce((sum, item) => sum + item.lineTotal, 0);
+      const tax = taxAmount(subtotal, taxRate);
+      const termsDays = payload.payment_terms_days ?? INVOICE_DEFAULTS.paymentTermsDays;
+      const invoice = {
+        invoiceNumber: invoiceNumber(sid, sequence),
+        sequence,
+        orderId,
+        supplierId: sid,
+        customerId: orderData.customerId || null,
+        status: 'issued',
+        paymentStatus: 'unpaid',
+        items: invoiceItems,
+        subtotal,
+        taxRate,
+        taxAmount: tax,
+        total: Math.round((subtotal + tax) * 100) / 100,
+        amountPaid: 0,
+        currency: 'USD',
+        issuedAt: now,
+        dueDate: payload.due_date ? new Date(payload.due_date) : new Date(now.getTime() + termsDays * 24 * 60 * 60 * 1000),
+        paidAt: null,
+        notes: payload.notes || null,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: actor
+      };
+      const evt = {
+        type: 'invoice.created',
+        timestamp: now,
+        supplier_id: sid,
+        invoice_id: ref.id,
+        invoice_number: invoice.invoiceNumber,
+        total: invoice.total,
+        actor
+      };
+
+      tx.set(counterRef, { lastSequence: sequence, updatedAt: now }, { merge: true });
+      tx.set(ref, invoice);
+      tx.update(orderRef, {
+        [`supplierOrders.${sid}.items`]: items,
+        [`supplierOrders.${sid}.updatedAt`]: now,
+        updatedAt: now
+      });
+      tx.set(orderRef.collection('events').doc(), evt);
+      return { orderData, invoice, evt };
+    });
+
+    if (result.not_found || result.conflict) return result;
+
+    const invoice = formatInvoice(ref.id, result.invoice);
+    this._publish('invoice.created', orderId, result.orderData, result.evt, { invoice_id: ref.id, invoice });
+    return { success: true, invoice_id: ref.id, invoice };
+  }
+
   async upsertInventory(supplierId, items = [], actor = {}) {
     if (!this.db) throw new Error('Firestore is not initialized');
     const results = [];
@@ -485,6 +1381,135 @@ class RealOrdersService {
     return { success: true, results };
   }
   
+  /**
+   * Get a single product, or null when it does not exist
+   */
+  async getProduct(productId) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const doc = await this.db.collection('products').doc(productId).get();
+    return doc.exists ? this.formatProduct(doc) : null;
+  }
+
+  /**
+   * Add a product to a supplier's catalog from validated API fields (see
+   * ./catalog). The category must exist in the categories collection and the
+   * SKU must be new for the supplier.
+   * Returns { success, product_id, product }, { invalid, message } or { conflict, message }.
+   */
+  async createProduct(supplierId, payload = {}, actor = {}) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const productRef = this.db.collection('products').doc();
+
+    const result = await this.db.runTransaction(async tx => {
+      const categoryError = await this._checkCategory(tx, payload.category);
+      if (categoryError) return { invalid: true, message: categoryError };
+      if (await this._skuTaken(tx, supplierId, payload.sku.trim())) {
+        return { conflict: true, message: `SKU ${payload.sku.trim()} already exists in this catalog` };
+      }
+
+      const supplierSnap = await tx.get(this.db.collection('suppliers').doc(supplierId));
+      const userSnap = await tx.get(this.db.collection('users').doc(supplierId));
+      const supplier = supplierSnap.exists ? supplierSnap.data() : {};
+      const user = userSnap.exists ? userSnap.data() : {};
+
+      const now = new Date();
+      tx.set(productRef, {
+        ...PRODUCT_DEFAULTS,
+        ...productData(payload),
+        supplierId,
+        supplierName: supplier.name || supplier.companyName || user.companyName || user.name || null,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: actor.uid || null
+      });
+      return { success: true };
+    });
+
+    if (!result.success) return result;
+    return { success: true, product_id: productRef.id, product: this.formatProduct(await productRef.get()) };
+  }
+
+  /**
+   * Update a product owned by one of supplierIds with validated API fields.
+   * Returns { success, product }, { not_found }, { invalid, message } or { conflict, message }.
+   */
+  async updateProduct(productId, changes = {}, actor = {}, supplierIds = []) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const productRef = this.db.collection('products').doc(productId);
+
+    const result = await this.db.runTransaction(async tx => {
+      const snap = await tx.get(productRef);
+      if (!snap.exists || !supplierIds.includes(snap.data().supplierId)) return { not_found: true };
+      const current = snap.data();
+
+      if (changes.category !== undefined && changes.category !== current.category) {
+        const categoryError = await this._checkCategory(tx, changes.category);
+        if (categoryError) return { invalid: true, message: categoryError };
+      }
+      const sku = changes.sku?.trim();
+      if (sku && sku !== current.sku && await this._skuTaken(tx, current.supplierId, sku)) {
+        return { conflict: true, message: `SKU ${sku} already exists in this catalog` };
+      }
+
+      tx.update(productRef, {
+        ...productData(changes),
+        updatedAt: new Date(),
+        updatedBy: actor.uid || null
+      });
+      return { success: true };
+    });
+
+    if (!result.success) return result;
+    return { success: true, product: this.formatProduct(await productRef.get()) };
+  }
+
+  /**
+   * Remove a product owned by one of supplierIds. Orders keep their own copy
+   * of the product's name, SKU and price, so they are unaffected.
+   * Returns { success } or { not_found }.
+   */
+  async deleteProduct(productId, supplierIds = []) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    const productRef = this.db.collection('products').doc(productId);
+    return this.db.runTransaction(async tx => {
+      const snap = await tx.get(productRef);
+      if (!snap.exists || !supplierIds.includes(snap.data().supplierId)) return { not_found: true };
+      tx.delete(productRef);
+      return { success: true };
+    });
+  }
+
+  // Error message when category is not an active document in categories, else null
+  // category has passed validateProduct, so it is a usable document ID once trimmed
+  async _checkCategory(tx, category) {
+    const id = category.trim();
+    const snap = await tx.get(this.db.collection('categories').doc(id));
+    return categoryError(id, snap.exists ? snap.data() : null);
+  }
+
+  async _skuTaken(tx, supplierId, sku) {
+    const existing = await tx.get(this.db.collection('products')
+      .where('supplierId', '==', supplierId)
+      .where('sku', '==', sku)
+      .limit(1));
+    return !existing.empty;
+  }
+
+  /**
+   * Fulfillment progress fields for a supplier order line
+   */
+  formatLineItemProgress(item) {
+    const progress = lineItemProgress(item);
+    return {
+      quantity_fulfilled: progress.fulfilled,
+      quantity_cancelled: progress.cancelled,
+      quantity_backordered: progress.backordered,
+      quantity_remaining: progress.remaining,
+      quantity_returned: progress.returned,
+      quantity_invoiced: progress.invoiced
+    };
+  }
+
   /**
    * Format order for supplier view (showing their specific supplier order)
    */
@@ -525,8 +1550,13 @@ class RealOrdersService {
         uom: item.supplierInfo?.uom || item.uom,
         unit_price: item.price,
         extended_price: item.quantity * item.price,
-        category: item.supplierInfo?.category
+        category: item.supplierInfo?.category,
+        ...this.formatLineItemProgress(item)
       })) || [],
+      shipping: {
+        method: data.shippingMethod || null,
+        address: formatAddress(data.shippingAddress)
+      },
       metadata: {
         source: 'kasbah',
         supplier_id: supplierId,
@@ -613,7 +1643,8 @@ class RealOrdersService {
           uom: item.supplierInfo?.uom || item.uom,
           unit_price: item.price,
           extended_price: item.quantity * item.price,
-          category: item.supplierInfo?.category
+          category: item.supplierInfo?.category,
+          ...this.formatLineItemProgress(item)
         })) || []
       })),
       original_cart: data.originalCartItems?.map(item => ({
@@ -634,6 +1665,27 @@ class RealOrdersService {
     };
   }
   
+  /**
+   * Format order event (OrderEvent schema)
+   */
+  formatOrderEvent(doc) {
+    const { type, status, timestamp, message, notes, actor, ...rest } = doc.data();
+    const metadata = {};
+    for (const [key, val] of Object.entries(rest)) {
+      if (val == null) continue;
+      metadata[key] = (val instanceof Date || typeof val?.toDate === 'function') ? this._toIsoMaybe(val) : val;
+    }
+    
+    return {
+      id: doc.id,
+      type,
+      status: status || null,
+      timestamp: this._toIsoMaybe(timestamp),
+      message: message || notes || null,
+      metadata
+    };
+  }
+  
   /**
    * Format user data
    */
@@ -739,6 +1791,7 @@ class RealOrdersService {
 }
 
 module.exports = {
+  formatAddress,
   initializeFirestore,
   RealOrdersService
 };
@@ -0,0 +1,172 @@
+const { initializeFirestore } = require('./real-firestore');
+const { normalizeCarrier } = require('./carriers');
+const { FileCarrierAdapter } = require('./fake-carrier');
+
+// Statuses carriers report, matching TrackingEvent.status
+const TRACKING_STATUSES = ['CREATED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'EXCEPTION'];
+
+const DEFAULTS = {
+  pollIntervalMs: parseInt(process.env.TRACKING_POLL_INTERVAL_MS, 10) || 5 * 60 * 1000,
+  // How long a shipment waits between carrier lookups
+  refreshMs: parseInt(process.env.TRACKING_REFRESH_MS, 10) || 30 * 60 * 1000,
+  // Shipments older than this stop being polled, delivered or not (e.g. stuck in EXCEPTION)
+  maxAgeMs: (parseInt(process.env.TRACKING_MAX_AGE_DAYS, 10) || 60) * 24 * 60 * 60 * 1000,
+  batchSize: 50
+};
+
+const ACTOR = { uid: 'tracking-poller', system: true };
+
+/**
+ * Carrier adapters configured for this deployment. An adapter looks up a
+ * shipment's tracking history:
+ *
+ *   {
+ *     carriers: ['UPS', ...],              // carrier codes it handles; '*' for any
+ *     async track({ carrier, tracking_number }) =>
+ *       [{ status, timestamp, location, message }]
+ *   }
+ *
+ * TRACKING_FAKE_CARRIER_FILE enables the file-based fake carrier for local runs.
+ */
+function createTrackingAdapters() {
+  const adapters = [];
+  if (process.env.TRACKING_FAKE_CARRIER_FILE) {
+    adapters.push(new FileCarrierAdapter({ path: process.env.TRACKING_FAKE_CARRIER_FILE }));
+  }
+  return adapters;
+}
+
+function toDate(value) {
+  if (value == null) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Tracking Poller - pulls carrier tracking updates for open shipments.
+ *
+ * Shipments with a tracking number are due for a lookup at next_tracking_poll_at.
+ * New carrier events are recorded through addShipmentEvent, which publishes
+ * shipment.delivered and stops polling once a shipment is delivered. An
+ * EXCEPTION can still be followed by delivery, so those shipments keep being
+ * polled until they reach maxAgeMs.
+ */
+class TrackingPoller {
+  constructor(options = {}) {
+    this.db = options.db || initializeFirestore();
+    this.ordersService = options.ordersService;
+    this.adapters = options.adapters || createTrackingAdapters();
+    this.options = { ...DEFAULTS, ...options };
+    this._timer = null;
+  }
+
+  adapterFor(carrier) {
+    const code = normalizeCarrier(carrier);
+    return this.adapters.find(adapter => adapter.carriers.includes('*') || adapter.carriers.includes(code)) || null;
+  }
+
+  /**
+   * Poll shipments that are due. Returns the number of shipments looked at.
+   */
+  async pollOnce() {
+    if (!this.db || this.adapters.length === 0) return 0;
+    const snapshot = await this.db.collectionGroup('shipments')
+      .where('next_tracking_poll_at', '<=', new Date())
+      .orderBy('next_tracking_poll_at')
+      .limit(this.options.batchSize)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      try {
+        await this.pollShipment(doc.ref);
+      } catch (err) {
+        console.error(`Tracking poll for shipment ${doc.id} failed:`, err);
+      }
+    }
+    return snapshot.size;
+  }
+
+  /**
+   * Look up one shipment and record carrier events newer than the last one seen.
+   * Returns the number of events recorded, or null when it is not due (another
+   * worker holds it, or it has just been taken off the schedule).
+   */
+  async pollShipment(shipRef) {
+    const shipment = await this._claim(shipRef);
+    if (!shipment) return null;
+
+    const adapter = this.adapterFor(shipment.carrier);
+    if (!adapter) return 0;
+
+    const lastEventAt = toDate(shipment.last_tracking_event_at);
+    const events = (await adapter.track({ carrier: normalizeCarrier(shipment.carrier), tracking_number: shipment.tracking_number }) || [])
+      .map(evt => ({ ...evt, status: String(evt.status || '').toUpperCase(), timestamp: toDate(evt.timestamp) }))
+      .filter(evt => TRACKING_STATUSES.includes(evt.status) && evt.timestamp)
+      .filter(evt => !lastEventAt || evt.timestamp > lastEventAt)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const orderId = shipRef.parent.parent.id;
+    for (const evt of events) {
+      const result = await this.ordersService.addShipmentEvent(orderId, shipRef.id, {
+        type: evt.status === 'DELIVERED' ? 'shipment.delivered' : 'shipment.updated',
+        status: evt.status,
+        message: evt.message || null,
+        location: evt.location || null,
+        timestamp: evt.timestamp.toISOString()
+      }, ACTOR);
+      if (result.not_found) break;
+    }
+    return events.length;
+  }
+
+  /**
+   * Start the background polling loop
+   */
+  start() {
+    if (this._timer || !this.db || this.adapters.length === 0) return;
+    let running = false;
+    this._timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await this.pollOnce();
+      } catch (err) {
+        console.error('Tracking poll loop error:', err);
+      } finally {
+        running = false;
+      }
+    }, this.options.pollIntervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Push next_tracking_poll_at out by the refresh interval so concurrent workers skip this shipment;
+  // delivered shipments and ones past maxAgeMs are taken off the schedule instead
+  async _claim(shipRef) {
+    return this.db.runTransaction(async tx => {
+      const snap = await tx.get(shipRef);
+      if (!snap.exists) return null;
+      const data = snap.data();
+      const due = toDate(data.next_tracking_poll_at);
+      if (!due || due.getTime() > Date.now() || !data.tracking_number) return null;
+      const createdAt = toDate(data.created_at);
+      if (String(data.status || '').toUpperCase() === 'DELIVERED' || (createdAt && Date.now() - createdAt.getTime() > this.options.maxAgeMs)) {
+        tx.update(shipRef, { next_tracking_poll_at: null });
+        return null;
+      }
+      tx.update(shipRef, { next_tracking_poll_at: new Date(Date.now() + this.options.refreshMs) });
+      return data;
+    });
+  }
+}
+
+module.exports = {
+  TRACKING_STATUSES,
+  TrackingPoller,
+  createTrackingAdapters
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const admin = require('firebase-admin');
+const { initializeFirestore } = require('./real-firestore');
+
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD_LETTER: 'dead_letter'
+};
+
+const DEFAULTS = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000,
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 6 * 60 * 60 * 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15 * 1000,
+  // How long an attempt holds its delivery; a claimed delivery becomes due again
+  // after this long if the worker dies mid-attempt
+  leaseMs: 2 * 60 * 1000,
+  batchSize: 50
+};
+
+const RESPONSE_EXCERPT_LENGTH = 500;
+// Attempts kept on a delivery; manual redeliveries are not capped by maxAttempts
+const ATTEMPT_LOG_LENGTH = 20;
+
+/**
+ * Sign an outbound webhook body with the subscription secret.
+ * Same scheme as inbound Kasbah-Signature: HMAC_SHA256(secret, t + "\n" + method + "\n" + path + "\n" + body)
+ */
+function signWebhookPayload(secret, url, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const path = new URL(url).pathname;
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}\nPOST\n${path}\n${body}`, 'utf8')
+    .digest('hex');
+  return `t=${timestamp},s=${signature}`;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures (exponential, capped)
+ */
+function retryDelayMs(attempts, options = DEFAULTS) {
+  return Math.min(options.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1)), options.retryMaxMs);
+}
+
+// Convert Dates/Timestamps to ISO strings so event payloads serialize predictably
+function serialize(value) {
+  if (value == null) return value;
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serialize(v)]));
+  }
+  return value;
+}
+
+/**
+ * Whether a subscription may receive an event for the given parties.
+ * Events without an audience go to no one, and subscriptions without bindings
+ * predate per-party scoping and receive nothing.
+ */
+function subscriptionMatches(sub, audience) {
+  if (!audience) return false;
+  if ((sub.customerIds || []).includes(audience.customerId)) return true;
+  return (audience.supplierIds || []).some(id => (sub.supplierIds || []).includes(id));
+}
+
+/**
+ * Webhook Dispatcher - fans events out to subscribed webhooks and retries failures.
+ *
+ * Each (event, subscription) pair becomes a document in webhooks/{id}/deliveries.
+ * Failed attempts are rescheduled with exponential backoff and moved to
+ * dead_letter after maxAttempts.
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.db = options.db || initializeFirestore();
+    this.options = { ...DEFAULTS, ...options };
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this._timer = null;
+  }
+
+  /**
+   * Publish an event to every active subscription for its type whose bindings
+   * cover the audience ({ customerId, supplierIds }); without one it reaches no one.
+   * Returns the created delivery IDs; the first attempt runs in the background.
+   */
+  async publish(type, data = {}, audience = null) {
+    if (!this.db) throw new Error('Firestore is not initialized');
+
+    const event = {
+      id: 'evt_' + uuidv4().replace(/-/g, '').slice(0, 16),
+      type,
+      created_at: new Date().toISOString(),
+      data: serialize(data)
+    };
+
+    const subs = await this.db.collection('webhooks')
+      .where('events', 'array-contains', type)
+      .where('status', '==', 'active')
+      .get();
+
+    const deliveries = [];
+    for (const sub of subs.docs.filter(doc => subscriptionMatches(doc.data(), audience))) {
+      const ref = sub.ref.collection('deliveries').doc('dlv_' + uuidv4().replace(/-/g, '').slice(0, 16));
+      const now = new Date();
+      await ref.set({
+        webhookId: sub.id,
+        partnerId: sub.data().partnerId,
+        eventId: event.id,
+        eventType: type,
+        payload: JSON.stringify(event),
+        status: DELIVERY_STATUSES.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now
+      });
+      deliveries.push(ref);
+    }
+
+    // Fire first attempts without holding up the caller
+    deliveries.forEach(ref => {
+      this.attemptDelivery(ref).catch(err => console.error(`Webhook delivery ${ref.id} failed:`, err));
+    });
+
+    return { event, delivery_ids: deliveries.map(ref => ref.id) };
+  }
+
+  /**
+   * Claim a due delivery and POST it. Returns the updated delivery data, or null
+   * when another worker holds it or it is no longer pending.
+   */
+  async attemptDelivery(deliveryRef) {
+    const claimed = await this._claim(deliveryRef);
+    if (!claimed) return null;
+
+    const webhookDoc = await deliveryRef.parent.parent.get();
+    const webhook = webhookDoc.exists ? webhookDoc.data() : null;
+    if (!webhook || webhook.status !== 'active') {
+      return this._finish(deliveryRef, claimed, { error: 'webhook_inactive' }, { giveUp: true });
+    }
+
+    const result = await this._send(webhook, deliveryRef.id, claimed);
+    return this._finish(deliveryRef, claimed, result);
+  }
+
+  /**
+   * Manually resend a delivery once, whatever its status. A failure does not
+   * change the retry schedule or count toward maxAttempts; a success marks the
+   * delivery delivered. Returns { conflict: true } while another attempt holds
+   * the delivery, and null when it or its webhook is gone.
+   */
+  async redeliver(deliveryRef) {
+    const webhookDoc = await deliveryRef.parent.parent.get();
+    if (!webhookDoc.exists) return null;
+    const claimed = await this._claim(deliveryRef, { manual: true });
+    if (!claimed) return null;
+    if (claimed.conflict) return claimed;
+
+    const result = await this._send(webhookDoc.data(), deliveryRef.id, claimed);
+    return this._finish(deliveryRef, claimed, result, { manual: true });
+  }
+
+  async _send(webhook, deliveryId, delivery) {
+    const body = delivery.payload;
+    const startedAt = Date.now();
+    let result;
+    try {
+      const response = await this.fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Kasbah-Webhooks/1.0',
+          'Kasbah-Event': delivery.eventType,
+          'Kasbah-Delivery': deliveryId,
+          'Kasbah-Signature': signWebhookPayload(webhook.secret, webhook.url, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+      const text = await response.text().catch(() => '');
+      result = {
+        httpStatus: response.status,
+        ok: response.ok,
+        responseExcerpt: text.slice(0, RESPONSE_EXCERPT_LENGTH)
+      };
+    } catch (err) {
+      result = { httpStatus: null, ok: false, error: err?.name === 'TimeoutError' ? 'timeout' : (err?.message || 'request_failed') };
+    }
+    result.latencyMs = Date.now() - startedAt;
+    return result;
+  }
+
+  /**
+   * Process deliveries whose retry time has passed
+   */
+  async processDueDeliveries() {
+    if (!this.db) return 0;
+    const snapshot = await this.db.collectionGroup('deliveries')
+      .where('status', '==', DELIVERY_STATUSES.PENDING)
+      .where('nextAttemptAt', '<=', new Date())
+      .orderBy('nextAttemptAt')
+      .limit(this.options.batchSize)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      try {
+        await this.attemptDelivery(doc.ref);
+      } catch (err) {
+        console.error(`Webhook retry ${doc.id} failed:`, err);
+      }
+    }
+    return snapshot.size;
+  }
+
+  /**
+   * Start the background retry loop
+   */
+  start() {
+    if (this._timer || !this.db) return;
+    let running = false;
+    this._timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await this.processDueDeliveries();
+      } catch (err) {
+        console.error('Webhook retry loop error:', err);
+      } finally {
+        running = false;
+      }
+    }, this.options.pollIntervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Lease the delivery for one attempt so no other worker or redelivery sends it meanwhile.
+  // Scheduled attempts also push nextAttemptAt out by the lease, so it comes due again if this one dies.
+  async _claim(deliveryRef, { manual = false } = {}) {
+    return this.db.runTransaction(async tx => {
+      const snap = await tx.get(deliveryRef);
+      if (!snap.exists) return null;
+      const data = snap.data();
+      const now = Date.now();
+      const leasedUntil = data.leasedUntil?.toDate ? data.leasedUntil.toDate() : data.leasedUntil && new Date(data.leasedUntil);
+      if (leasedUntil && leasedUntil.getTime() > now) return manual ? { conflict: true } : null;
+
+      const lease = new Date(now + this.options.leaseMs);
+      if (manual) {
+        tx.update(deliveryRef, { leasedUntil: lease });
+        return data;
+      }
+      const due = data.nextAttemptAt?.toDate ? data.nextAttemptAt.toDate() : new Date(data.nextAttemptAt);
+      if (data.status !== DELIVERY_STATUSES.PENDING || due.getTime() > now) return null;
+      tx.update(deliveryRef, { leasedUntil: lease, nextAttemptAt: lease });
+      return data;
+    });
+  }
+
+  // Record an attempt and release the lease. Only scheduled attempts count toward maxAttempts.
+  async _finish(deliveryRef, delivery, result, { giveUp = false, manual = false } = {}) {
+    const attempts = (delivery.attempts || 0) + (manual ? 0 : 1);
+    const now = new Date();
+    const { FieldValue } = admin.firestore;
+    const attempt = {
+      attemptedAt: now,
+      httpStatus: result.httpStatus ?? null,
+      latencyMs: result.latencyMs ?? null,
+      responseExcerpt: result.responseExcerpt ?? null,
+      error: result.error ?? null,
+      manual
+    };
+    const update = {
+      attempts,
+      leasedUntil: null,
+      updatedAt: now,
+      lastAttemptAt: now,
+      lastHttpStatus: attempt.httpStatus,
+      lastLatencyMs: attempt.latencyMs,
+      lastResponseExcerpt: attempt.responseExcerpt,
+      lastError: attempt.error,
+      // The lease keeps other attempts off this delivery, so the log read at claim time is current
+      attemptLog: [...(delivery.attemptLog || []), attempt].slice(-ATTEMPT_LOG_LENGTH)
+    };
+
+    if (result.ok) {
+      update.status = DELIVERY_STATUSES.DELIVERED;
+      update.deliveredAt = now;
+      update.nextAttemptAt = null;
+    } else if (manual) {
+      // Leave status and schedule as they were
+    } else if (giveUp || attempts >= this.options.maxAttempts) {
+      update.status = DELIVERY_STATUSES.DEAD_LETTER;
+      update.nextAttemptAt = null;
+    } else {
+      update.status = DELIVERY_STATUSES.PENDING;
+      update.nextAttemptAt = new Date(now.getTime() + retryDelayMs(attempts, this.options));
+    }
+
+    await deliveryRef.update(update);
+
+    if (!giveUp) {
+      await deliveryRef.parent.parent.update({
+        lastDeliveryAt: now,
+        'deliveryStats.total': FieldValue.increment(1),
+        [result.ok ? 'deliveryStats.successful' : 'deliveryStats.failed']: FieldValue.increment(1)
+      });
+    }
+
+    const { leasedUntil, ...rest } = update;
+    return { ...delivery, ...rest };
+  }
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  WebhookDispatcher,
+  retryDelayMs,
+  signWebhookPayload,
+  subscriptionMatches
+};
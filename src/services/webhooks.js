@@ -0,0 +1,231 @@
+const { v4: uuidv4 } = require('uuid');
+const { initializeFirestore } = require('./real-firestore');
+
+// Events partners can subscribe to
+const WEBHOOK_EVENTS = ['order.created', 'order.updated', 'order.cancelled', 'shipment.created', 'shipment.delivered',
+  'return.created', 'return.approved', 'return.received', 'return.refunded', 'return.rejected', 'invoice.created'];
+
+const WEBHOOK_STATUSES = ['active', 'inactive'];
+
+/**
+ * Webhooks Service - persists partner webhook subscriptions in the webhooks collection
+ */
+class WebhooksService {
+  constructor() {
+    this.db = initializeFirestore();
+  }
+
+  _collection() {
+    if (!this.db) throw new Error('Firestore is not initialized');
+    return this.db.collection('webhooks');
+  }
+
+  /**
+   * Load a subscription, returning null when it is missing or owned by another partner
+   */
+  async _getOwnedDoc(partnerId, webhookId) {
+    const doc = await this._collection().doc(webhookId).get();
+    if (!doc.exists || doc.data().partnerId !== partnerId) {
+      return null;
+    }
+    return doc;
+  }
+
+  /**
+   * List all subscriptions for a partner, newest first
+   */
+  async listWebhooks(partnerId) {
+    const snapshot = await this._collection()
+      .where('partnerId', '==', partnerId)
+      .orderBy('createdAt', 'desc')
+      .get();
+    return snapshot.docs.map(doc => this.formatWebhook(doc));
+  }
+
+  async getWebhook(partnerId, webhookId) {
+    const doc = await this._getOwnedDoc(partnerId, webhookId);
+    return doc ? this.formatWebhook(doc) : null;
+  }
+
+  /**
+   * Create a subscription; the signing secret is only returned from this call.
+   * The subscription inherits the creating key's customer/supplier bindings and
+   * only receives events for those parties.
+   */
+  async createWebhook(partnerId, input = {}, bindings = {}) {
+    const webhookId = 'wh_' + uuidv4().replace(/-/g, '').slice(0, 16);
+    const now = new Date();
+    const data = {
+      partnerId,
+      url: input.url,
+      events: input.events,
+      secret: input.secret || 'whsec_' + uuidv4().replace(/-/g, ''),
+      description: input.description || null,
+      customerIds: bindings.customerIds || [],
+      supplierIds: bindings.supplierIds || [],
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      lastDeliveryAt: null,
+      deliveryStats: {
+        total: 0,
+        successful: 0,
+        failed: 0
+      }
+    };
+    const ref = this._collection().doc(webhookId);
+    await ref.set(data);
+    const doc = await ref.get();
+    return { ...this.formatWebhook(doc), secret: data.secret };
+  }
+
+  /**
+   * Apply a partial update (url, events, status, description)
+   */
+  async updateWebhook(partnerId, webhookId, changes = {}) {
+    const doc = await this._getOwnedDoc(partnerId, webhookId);
+    if (!doc) return null;
+
+    const update = { updatedAt: new Date() };
+    if (changes.url !== undefined) update.url = changes.url;
+    if (changes.events !== undefined) update.events = changes.events;
+    if (changes.status !== undefined) update.status = changes.status;
+    if (changes.description !== undefined) update.description = changes.description || null;
+
+    await doc.ref.update(update);
+    return this.formatWebhook(await doc.ref.get());
+  }
+
+  async deleteWebhook(partnerId, webhookId) {
+    const doc = await this._getOwnedDoc(partnerId, webhookId);
+    if (!doc) return false;
+    await doc.ref.delete();
+    return true;
+  }
+
+  /**
+   * List delivery attempts for a partner's webhook, newest first.
+   * Returns null when the webhook does not belong to the partner.
+   */
+  async listDeliveries(partnerId, webhookId, filters = {}, pagination = {}) {
+    const webhookDoc = await this._getOwnedDoc(partnerId, webhookId);
+    if (!webhookDoc) return null;
+
+    const deliveries = webhookDoc.ref.collection('deliveries');
+    let query = deliveries;
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+    if (filters.event_type) {
+      query = query.where('eventType', '==', filters.event_type);
+    }
+    query = query.orderBy('createdAt', 'desc').orderBy('__name__');
+
+    if (pagination.cursor) {
+      const c = this.decodeCursor(pagination.cursor);
+      if (c?.created_at && c?.id) {
+        query = query.startAfter(new Date(c.created_at), deliveries.doc(c.id));
+      }
+    }
+
+    const limit = Math.min(parseInt(pagination.limit) || 50, 200);
+    const snapshot = await query.limit(limit + 1).get();
+    const data = snapshot.docs.slice(0, limit).map(doc => this.formatDelivery(doc));
+    const hasMore = snapshot.docs.length > limit;
+
+    return {
+      data,
+      pagination: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore && data.length > 0 ? this.encodeCursor(data[data.length - 1]) : null
+      }
+    };
+  }
+
+  /**
+   * Reference to a delivery on a partner's webhook, or null if either is missing
+   */
+  async getDeliveryRef(partnerId, webhookId, deliveryId) {
+    const webhookDoc = await this._getOwnedDoc(partnerId, webhookId);
+    if (!webhookDoc) return null;
+    const ref = webhookDoc.ref.collection('deliveries').doc(deliveryId);
+    const snap = await ref.get();
+    return snap.exists ? ref : null;
+  }
+
+  /**
+   * Format webhook document for API response (never includes the secret)
+   */
+  formatWebhook(doc) {
+    const data = doc.data();
+    const stats = data.deliveryStats || {};
+
+    return {
+      id: doc.id,
+      partner_id: data.partnerId,
+      url: data.url,
+      events: data.events || [],
+      status: data.status || 'active',
+      description: data.description || null,
+      created_at: data.createdAt?.toDate()?.toISOString(),
+      updated_at: data.updatedAt?.toDate()?.toISOString(),
+      last_delivery: data.lastDeliveryAt?.toDate()?.toISOString() || null,
+      delivery_stats: {
+        total_deliveries: stats.total || 0,
+        successful_deliveries: stats.successful || 0,
+        failed_deliveries: stats.failed || 0
+      }
+    };
+  }
+
+  /**
+   * Format a delivery document (or plain delivery data plus id) for API response
+   */
+  formatDelivery(doc, data = doc.data()) {
+    const iso = val => val?.toDate?.()?.toISOString() || (val instanceof Date ? val.toISOString() : null);
+
+    return {
+      id: doc.id,
+      webhook_id: data.webhookId,
+      event_id: data.eventId,
+      event_type: data.eventType,
+      status: data.status,
+      attempt_count: data.attempts || 0,
+      http_status: data.lastHttpStatus ?? null,
+      latency_ms: data.lastLatencyMs ?? null,
+      response_excerpt: data.lastResponseExcerpt ?? null,
+      error: data.lastError ?? null,
+      next_retry_at: iso(data.nextAttemptAt),
+      delivered_at: iso(data.deliveredAt),
+      created_at: iso(data.createdAt),
+      updated_at: iso(data.updatedAt),
+      attempts: (data.attemptLog || []).map(attempt => ({
+        attempted_at: iso(attempt.attemptedAt),
+        http_status: attempt.httpStatus ?? null,
+        latency_ms: attempt.latencyMs ?? null,
+        response_excerpt: attempt.responseExcerpt ?? null,
+        error: attempt.error ?? null,
+        manual: Boolean(attempt.manual)
+      }))
+    };
+  }
+
+  encodeCursor(item) {
+    return Buffer.from(JSON.stringify({ created_at: item.created_at, id: item.id })).toString('base64');
+  }
+
+  decodeCursor(token) {
+    try {
+      return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_STATUSES,
+  WebhooksService
+};
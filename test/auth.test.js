@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const realFirestore = require('../src/services/real-firestore');
+
+// The app and its middleware pick up Firestore when they are loaded, so swap it first
+const db = new FakeFirestore();
+test.mock.method(realFirestore, 'initializeFirestore', () => db);
+const app = require('../src/index');
+const { clearApiKeyCache } = require('../src/middleware/auth');
+
+const SECRET = 'sk_test_secret';
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const key = { secret: SECRET, partnerId: 'partner_1', rateLimitHourly: 100000 };
+  await db.doc('api_keys/pk_customer').set({ ...key, scopes: ['orders:read'], customerIds: ['cust_1'] });
+  await db.doc('api_keys/pk_key_only').set({ ...key, scopes: ['orders:read'], customerIds: ['cust_1'], signatureMode: 'key_only' });
+  await db.doc('api_keys/pk_supplier').set({ ...key, scopes: ['orders:read'], supplierIds: ['sup_1'] });
+  await db.doc('api_keys/pk_no_partner').set({ ...key, partnerId: null, scopes: ['orders:read'], customerIds: ['cust_1'] });
+  await db.doc('orders/ord_1').set({ customerId: 'cust_1', supplierIds: ['sup_1'], supplierOrders: { sup_1: { status: 'pending', items: [] } } });
+  await db.doc('orders/ord_2').set({ customerId: 'cust_2', supplierIds: ['sup_2'], supplierOrders: { sup_2: { status: 'pending', items: [] } } });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => clearApiKeyCache());
+
+function sign(method, path, body = '', { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}\n${method}\n${path}\n${body}`, 'utf8').digest('hex');
+  return `t=${timestamp},s=${signature}`;
+}
+
+function get(path, key = 'pk_customer') {
+  return call('GET', path, { key, signature: sign('GET', path) });
+}
+
+async function call(method, path, { key = 'pk_customer', signature, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers['Kasbah-Key'] = key;
+  if (signature) headers['Kasbah-Signature'] = signature;
+  const response = await fetch(baseUrl + path, { method, headers, body });
+  return { status: response.status, body: await response.json() };
+}
+
+test('signed requests are let through', async () => {
+  const response = await call('GET', '/v1/orders/ord_1', { signature: sign('GET', '/v1/orders/ord_1') });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.id, 'ord_1');
+});
+
+test('requests without a key, with an unknown key or without a signature are refused', async () => {
+  const missingKey = await call('GET', '/v1/orders/ord_1', { key: null });
+  assert.equal(missingKey.status, 401);
+  assert.equal(missingKey.body.error.message, 'Missing Kasbah-Key header');
+
+  const unknown = await call('GET', '/v1/orders/ord_1', { key: 'pk_unknown', signature: sign('GET', '/v1/orders/ord_1') });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error.message, 'Invalid API key');
+
+  const unsigned = await call('GET', '/v1/orders/ord_1');
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.body.error.message, 'Missing Kasbah-Signature header');
+});
+
+test('signatures must cover this method, path and body with the key secret', async () => {
+  const body = JSON.stringify({ customer_id: 'cust_1' });
+  const cases = [
+    sign('GET', '/v1/orders/ord_2'),
+    sign('POST', '/v1/orders/ord_1'),
+    sign('GET', '/orders/ord_1'),
+    sign('GET', '/v1/orders/ord_1', '', { secret: 'sk_other' }),
+    sign('GET', '/v1/orders/ord_1').replace(/s=[0-9a-f]{4}/, 's=0000')
+  ];
+  for (const signature of cases) {
+    const response = await call('GET', '/v1/orders/ord_1', { signature });
+    assert.equal(response.status, 401, signature);
+    assert.equal(response.body.error.message, 'Invalid signature');
+  }
+
+  const tampered = await call('POST', '/v1/orders', { signature: sign('POST', '/v1/orders', '{}'), body });
+  assert.equal(tampered.status, 401);
+});
+
+test('signatures outside the five-minute window or in another format are refused', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const timestamp of [now - 301, now + 301]) {
+    const response = await call('GET', '/v1/orders/ord_1', { signature: sign('GET', '/v1/orders/ord_1', '', { timestamp }) });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.message, 'Request timestamp is too old or too far in the future');
+  }
+  assert.equal((await call('GET', '/v1/orders/ord_1', { signature: sign('GET', '/v1/orders/ord_1', '', { timestamp: now - 290 }) })).status, 200);
+
+  const malformed = await call('GET', '/v1/orders/ord_1', { signature: 'deadbeef' });
+  assert.equal(malformed.status, 401);
+  assert.match(malformed.body.error.message, /Expected: t=<timestamp>,s=<signature>/);
+});
+
+test('key_only keys may leave out the signature, but one that is sent is checked', async () => {
+  assert.equal((await call('GET', '/v1/orders/ord_1', { key: 'pk_key_only' })).status, 200);
+  const bad = await call('GET', '/v1/orders/ord_1', { key: 'pk_key_only', signature: sign('GET', '/v1/orders/ord_2') });
+  assert.equal(bad.status, 401);
+  assert.equal(bad.body.error.message, 'Invalid signature');
+});
+
+test('keys without a partner are refused', async () => {
+  const response = await get('/v1/orders/ord_1', 'pk_no_partner');
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error.message, 'API key is not assigned to a partner');
+});
+
+test('routes need every scope in their rule and routes without a rule are closed', async () => {
+  const missing = await get('/v1/shipments');
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.error.type, 'forbidden');
+  assert.deepEqual(missing.body.error.missing_scopes, ['shipments:read']);
+
+  const body = JSON.stringify({ resource: 'orders', format: 'csv' });
+  const exporting = await call('POST', '/v1/exports', { signature: sign('POST', '/v1/exports', body), body });
+  assert.deepEqual(exporting.body.error.missing_scopes, ['exports:write']);
+
+  for (const path of ['/v1/customers/cust_1', '/v1/orders/ord_1/unknown']) {
+    const closed = await get(path);
+    assert.equal(closed.status, 403, path);
+    assert.equal(closed.body.error.message, 'This route is not available to API keys');
+  }
+});
+
+test('resources outside the key bindings are not found', async () => {
+  assert.equal((await get('/v1/customers/cust_1/orders')).status, 200);
+  assert.equal((await get('/v1/orders/ord_1', 'pk_supplier')).status, 200);
+  const cases = [
+    ['/v1/orders/ord_2', 'pk_customer', 'Order not found'],
+    ['/v1/orders/ord_2', 'pk_supplier', 'Order not found'],
+    ['/v1/orders/ord_missing', 'pk_customer', 'Order not found'],
+    ['/v1/customers/cust_2/orders', 'pk_customer', 'Customer not found'],
+    ['/v1/suppliers/sup_1/orders', 'pk_customer', 'Supplier not found'],
+    ['/v1/suppliers/sup_2/orders', 'pk_supplier', 'Supplier not found']
+  ];
+  for (const [path, key, message] of cases) {
+    const response = await get(path, key);
+    assert.equal(response.status, 404, `${key} ${path}`);
+    assert.deepEqual(response.body.error, { type: 'not_found', message });
+  }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inferCarrier, isValidTrackingNumber, trackingUrl } = require('../src/services/carriers');
+
+// A valid number per carrier format, and the same number with its check digit changed
+const NUMBERS = [
+  ['UPS', '1Z999AA10123456784', '1Z999AA10123456785'],
+  ['FEDEX', '123456789012', '123456789013'],
+  ['FEDEX', '012345678901231', '012345678901232'],
+  ['FEDEX', '9612345678901234567893', '9612345678901234567894'],
+  ['USPS', '9400111899223851234563', '9400111899223851234564'],
+  ['USPS', '92055901649173127513', '92055901649173127514'],
+  ['USPS', '42010001' + '9400111899223851234563', '42010001' + '9400111899223851234564'],
+  ['USPS', 'RR123456785US', 'RR123456786US'],
+  ['DHL', '1234567891', '1234567892']
+];
+
+test('isValidTrackingNumber accepts check digits that match', () => {
+  for (const [carrier, valid] of NUMBERS) assert.equal(isValidTrackingNumber(carrier, valid), true, `${carrier} ${valid}`);
+});
+
+test('isValidTrackingNumber rejects corrupted check digits', () => {
+  for (const [carrier, , corrupted] of NUMBERS) assert.equal(isValidTrackingNumber(carrier, corrupted), false, `${carrier} ${corrupted}`);
+});
+
+test('isValidTrackingNumber ignores spacing and case, and leaves custom carriers unchecked', () => {
+  assert.equal(isValidTrackingNumber('ups', '1z 999 aa1 01234 5678 4'), true);
+  assert.equal(isValidTrackingNumber('DHL', '12345-67891'), true);
+  assert.equal(isValidTrackingNumber('UPS', '1234567891'), false);
+  assert.equal(isValidTrackingNumber('ONTRAC', 'anything'), true);
+});
+
+test('inferCarrier picks the one carrier whose format and check digit match', () => {
+  for (const [carrier, valid] of NUMBERS) assert.equal(inferCarrier(valid), carrier, valid);
+});
+
+test('inferCarrier does not guess between formats of the same shape', () => {
+  // 22 digits: FedEx 96 barcodes and USPS IMpb only differ in prefix and check digit
+  assert.equal(inferCarrier('9612345678901234567894'), null);
+  assert.equal(inferCarrier('9400111899223851234564'), null);
+  // 10 and 12 digits without a matching check digit belong to neither DHL nor FedEx
+  assert.equal(inferCarrier('1234567892'), null);
+  assert.equal(inferCarrier('123456789013'), null);
+  assert.equal(inferCarrier('not a number'), null);
+  assert.equal(inferCarrier(''), null);
+});
+
+test('trackingUrl links to the carrier\'s tracking page', () => {
+  assert.equal(trackingUrl('ups', '1z999aa1 0123456784'), 'https://www.ups.com/track?tracknum=1Z999AA10123456784');
+  assert.equal(trackingUrl('DHL', '1234567891'),
+    'https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id=1234567891');
+  assert.equal(trackingUrl('UPS', ''), null);
+});
+
+test('trackingUrl uses CUSTOM_CARRIERS templates', t => {
+  const previous = process.env.CUSTOM_CARRIERS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.CUSTOM_CARRIERS;
+    else process.env.CUSTOM_CARRIERS = previous;
+  });
+  process.env.CUSTOM_CARRIERS = 'ONTRAC=https://www.ontrac.com/tracking?number={tracking_number},LASERSHIP';
+  assert.equal(trackingUrl('ontrac', 'c1234/5'), 'https://www.ontrac.com/tracking?number=C1234%2F5');
+  assert.equal(trackingUrl('LASERSHIP', 'LX123'), null);
+  assert.equal(trackingUrl('UNKNOWN', 'LX123'), null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { CatalogImporter } = require('../src/services/catalog-import');
+
+const CSV = [
+  'SKU,Product Name,Category,Unit Price,Notes',
+  'G-1,Nitrile gloves,gloves,12.50,repriced',
+  'G-2,Latex gloves,gloves,"1,200.00",new',
+  'G-3,Vinyl gloves,ppe/gloves,4,bad category',
+  'G-4,Face masks,masks,3,unknown category',
+  'G-5,Gowns,gloves,8,unchanged'
+].join('\r\n');
+
+async function waitForJob(importer, jobId) {
+  for (let i = 0; i < 200; i++) {
+    const job = await importer.getJob('sup_1', jobId);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error('Import did not finish');
+}
+
+test('a dry run reports the diff without writing products', async () => {
+  const db = new FakeFirestore();
+  await db.doc('categories/gloves').set({ name: 'Gloves' });
+  await db.doc('products/p_1').set({ supplierId: 'sup_1', sku: 'G-1', name: 'Nitrile gloves', category: 'gloves', price: 10 });
+  await db.doc('products/p_5').set({ supplierId: 'sup_1', sku: 'G-5', name: 'Gowns', category: 'gloves', price: 8 });
+  const products = () => [...db.docs].filter(([path]) => path.startsWith('products/')).map(([path, data]) => [path, JSON.stringify(data)]);
+  const before = products();
+
+  const importer = new CatalogImporter({ db });
+  const created = await importer.createJob('sup_1', CSV, { dryRun: true, fileName: 'catalog.csv' });
+  assert.equal(created.success, true);
+  assert.deepEqual(created.job.ignored_columns, ['Notes']);
+
+  const job = await waitForJob(importer, created.job_id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.dry_run, true);
+  assert.deepEqual(job.summary, { create: 1, update: 1, unchanged: 1, error: 2 });
+  assert.deepEqual(products(), before);
+
+  const rows = (await importer.listRows('sup_1', created.job_id)).data;
+  assert.deepEqual(rows.map(row => [row.row, row.sku, row.action]), [
+    [2, 'G-1', 'update'],
+    [3, 'G-2', 'create'],
+    [4, 'G-3', 'error'],
+    [5, 'G-4', 'error'],
+    [6, 'G-5', 'unchanged']
+  ]);
+  assert.deepEqual(rows[0].changes, [{ field: 'price', from: 10, to: 12.5 }]);
+  assert.equal(rows[1].product_id, null);
+  assert.deepEqual(rows[3].errors, [{ field: 'category', message: 'Unknown category: masks' }]);
+});
+
+test('jobs without a sku column or with an unterminated quote are refused', async () => {
+  const importer = new CatalogImporter({ db: new FakeFirestore() });
+  assert.deepEqual(await importer.createJob('sup_1', 'name,price\nGloves,1'), { invalid: true, message: 'CSV header must include a sku column' });
+  assert.equal((await importer.createJob('sup_1', 'sku,name\nG-1,"Gloves')).invalid, true);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCategoryId, validateProduct } = require('../src/services/catalog');
+
+const product = { sku: 'G-1', name: 'Nitrile gloves', category: 'gloves', price: 12.5 };
+
+test('validateProduct accepts a complete product', () => {
+  assert.deepEqual(validateProduct(product), []);
+});
+
+test('validateProduct rejects categories that cannot be category IDs', () => {
+  for (const category of ['ppe/gloves', '.', '..', '__gloves__', ' / ']) {
+    assert.deepEqual(validateProduct({ ...product, category }).map(error => error.field), ['category'], category);
+  }
+  assert.deepEqual(validateProduct({ category: 'a/b' }, { partial: true }).map(error => error.field), ['category']);
+});
+
+test('isCategoryId allows ordinary names', () => {
+  ['gloves', 'PPE - Gloves', '_gloves', 'a.b', ' gloves '].forEach(category => assert.ok(isCategoryId(category), category));
+});
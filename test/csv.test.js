@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsvRow, parseCsv } = require('../src/services/csv');
+const { createSerializer } = require('../src/services/exports');
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('sku,name\nG-1,Gloves\nG-2,\n'), [['sku', 'name'], ['G-1', 'Gloves'], ['G-2', '']]);
+});
+
+test('parseCsv keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+  assert.deepEqual(parseCsv('"a,b","say ""hi""","two\r\nlines","",x\r\n'), [['a,b', 'say "hi"', 'two\r\nlines', '', 'x']]);
+  assert.deepEqual(parseCsv('"line\none",2'), [['line\none', '2']]);
+});
+
+test('parseCsv accepts CRLF and LF endings, a trailing newline, blank lines and a BOM', () => {
+  const expected = [['sku', 'price'], ['G-1', '1.50']];
+  assert.deepEqual(parseCsv('sku,price\r\nG-1,1.50\r\n'), expected);
+  assert.deepEqual(parseCsv('sku,price\nG-1,1.50'), expected);
+  assert.deepEqual(parseCsv('\ufeffsku,price\n\n\r\nG-1,1.50\n\n'), expected);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('parseCsv reads a quote inside an unquoted field literally', () => {
+  assert.deepEqual(parseCsv('12" ruler,x'), [['12" ruler', 'x']]);
+});
+
+test('parseCsv throws on an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('sku,name\nG-1,"Gloves\n'), /Unterminated quoted field on row 2/);
+});
+
+test('formatCsvRow quotes commas, quotes and line breaks', () => {
+  assert.equal(formatCsvRow(['a,b', 'say "hi"', 'two\nlines', null, 3]), '"a,b","say ""hi""","two\nlines",,3\r\n');
+});
+
+test('formatCsvRow makes formula-like text inert', () => {
+  const line = formatCsvRow(['=HYPERLINK("http://evil.example","click")', '+1', '-2+3', '@SUM(A1)', '\tx', '\rx']);
+  const [cells] = parseCsv(line);
+  assert.deepEqual(cells, ['\'=HYPERLINK("http://evil.example","click")', '\'+1', '\'-2+3', '\'@SUM(A1)', '\'\tx', '\'\rx']);
+  cells.forEach(cell => assert.ok(!/^[=+\-@\t\r]/.test(cell), `${JSON.stringify(cell)} still starts a formula`));
+});
+
+test('formatCsvRow leaves numbers and ordinary text alone', () => {
+  assert.equal(formatCsvRow([-5, 1.5, 'Gloves - nitrile', '2025-01-01T00:00:00.000Z']), '-5,1.5,Gloves - nitrile,2025-01-01T00:00:00.000Z\r\n');
+});
+
+test('CSV exports escape formula-like values in rows', () => {
+  const serializer = createSerializer('csv', ['name', 'price']);
+  assert.equal(serializer.row({ name: '=HYPERLINK("http://evil.example")', price: 12 }), '"\'=HYPERLINK(""http://evil.example"")",12\r\n');
+});
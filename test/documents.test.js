@@ -0,0 +1,9 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pdfFileName } = require('../src/services/documents');
+
+test('pdfFileName keeps document numbers and replaces anything that could break the header', () => {
+  assert.equal(pdfFileName('INV-sup_1-000001'), 'INV-sup_1-000001.pdf');
+  assert.equal(pdfFileName('packing-slip-ORD-2025-000042'), 'packing-slip-ORD-2025-000042.pdf');
+  assert.equal(pdfFileName('INV-a"b;\r\nX-Evil: 1/ü'), 'INV-a_b___X-Evil__1__.pdf');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { ExportJobs } = require('../src/services/export-jobs');
+
+async function seedJob(db, id, status, minutesAgo) {
+  const updatedAt = new Date(Date.now() - minutesAgo * 60 * 1000);
+  await db.doc(`exports/${id}`).set({
+    resource: 'orders',
+    format: 'csv',
+    status,
+    partnerId: 'partner_1',
+    partyIds: ['cust_1'],
+    createdAt: updatedAt,
+    updatedAt,
+    startedAt: status === 'running' ? updatedAt : null,
+    completedAt: null
+  });
+}
+
+test('queued or running jobs that stopped updating are reported failed', async () => {
+  const db = new FakeFirestore();
+  const jobs = new ExportJobs({ db, storage: {}, shipmentsService: {}, staleAfterMs: 10 * 60 * 1000 });
+  await seedJob(db, 'exp_running', 'running', 11);
+  await seedJob(db, 'exp_queued', 'queued', 11);
+  await seedJob(db, 'exp_live', 'running', 1);
+  const caller = { partnerId: 'partner_1', partyIds: ['cust_1'] };
+
+  for (const id of ['exp_running', 'exp_queued']) {
+    const job = await jobs.getJob(id, caller);
+    assert.equal(job.status, 'failed', id);
+    assert.equal(job.error, 'Export was interrupted; request it again');
+    assert.ok(job.completed_at);
+    assert.equal((await db.doc(`exports/${id}`).get()).data().status, 'failed');
+  }
+
+  assert.equal((await jobs.getJob('exp_live', caller)).status, 'running');
+  assert.equal((await db.doc('exports/exp_live').get()).data().status, 'running');
+  assert.equal(await jobs.getJob('exp_running', { partnerId: 'partner_2', partyIds: ['cust_1'] }), null);
+});
@@ -0,0 +1,294 @@
+const { Timestamp } = require('firebase-admin').firestore;
+
+/**
+ * In-memory stand-in for the parts of the Firestore Admin API the services
+ * use: documents and subcollections, where/orderBy/limit/startAfter queries,
+ * collection-group queries, transactions, batches and the increment and
+ * arrayUnion field transforms. Dates are stored as Timestamps, as Firestore
+ * returns them. Transactions run one at a time and apply their writes when
+ * the callback resolves.
+ */
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function toStored(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(toStored);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toStored(v)]));
+  }
+  return value;
+}
+
+function clone(value) {
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Write one field, applying FieldValue transforms
+function applyValue(target, key, value) {
+  switch (value?.methodName) {
+    case 'FieldValue.increment':
+      target[key] = (target[key] || 0) + value.operand;
+      break;
+    case 'FieldValue.arrayUnion':
+      target[key] = [...(target[key] || []), ...toStored(value.elements)];
+      break;
+    case 'FieldValue.serverTimestamp':
+      target[key] = Timestamp.now();
+      break;
+    case 'FieldValue.delete':
+      delete target[key];
+      break;
+    default:
+      target[key] = toStored(value);
+  }
+}
+
+// update() takes dotted field paths
+function setField(data, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  applyValue(target, last, value);
+}
+
+// set() takes field names as they are; with merge, nested maps merge field by field
+function mergeInto(target, data, merge) {
+  for (const [key, value] of Object.entries(data)) {
+    const isMap = value?.constructor === Object;
+    if (merge && isMap && target[key]?.constructor === Object) {
+      mergeInto(target[key], value, merge);
+    } else {
+      applyValue(target, key, value);
+    }
+  }
+}
+
+class FakeDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return clone(getField(this._data, field));
+  }
+}
+
+class FakeDocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new FakeQuery(this.db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new FakeQuery(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new FakeDocumentSnapshot(this, this.db.docs.get(this.path));
+  }
+
+  async set(data, { merge = false } = {}) {
+    const target = merge && this.db.docs.has(this.path) ? this.db.docs.get(this.path) : {};
+    mergeInto(target, data, merge);
+    this.db.docs.set(this.path, target);
+  }
+
+  async update(data) {
+    const target = this.db.docs.get(this.path);
+    if (!target) throw new Error(`No document to update: ${this.path}`);
+    Object.entries(data).forEach(([key, value]) => setField(target, key, value));
+  }
+
+  async create(data) {
+    if (this.db.docs.has(this.path)) throw Object.assign(new Error(`Document already exists: ${this.path}`), { code: 6 });
+    return this.set(data);
+  }
+
+  async delete() {
+    this.db.docs.delete(this.path);
+  }
+}
+
+class FakeQuery {
+  constructor(db, path, options = {}) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+    this.options = { group: false, wheres: [], orders: [], limit: null, after: null, ...options };
+  }
+
+  get parent() {
+    const parts = this.path.split('/');
+    return parts.length > 1 ? new FakeDocumentReference(this.db, parts.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id = `auto${String(++this.db.autoId).padStart(6, '0')}`) {
+    return new FakeDocumentReference(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(field, op, value) {
+    return this._with({ wheres: [...this.options.wheres, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this.options.orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...values) {
+    return this._with({ after: values });
+  }
+
+  async get() {
+    let docs = [];
+    for (const [path, data] of this.db.docs) {
+      const parts = path.split('/');
+      const inScope = this.options.group
+        ? parts[parts.length - 2] === this.path
+        : parts.slice(0, -1).join('/') === this.path;
+      if (inScope) docs.push(new FakeDocumentSnapshot(new FakeDocumentReference(this.db, path), data));
+    }
+
+    const value = (snap, field) => (field === '__name__' ? snap.ref.path : comparable(getField(snap._data, field)));
+    docs = docs.filter(snap => this.options.wheres.every(({ field, op, value: expected }) => {
+      const actual = value(snap, field);
+      const wanted = comparable(expected);
+      switch (op) {
+        case '==': return actual === wanted;
+        case '!=': return actual !== undefined && actual !== wanted;
+        case '<': return actual != null && actual < wanted;
+        case '<=': return actual != null && actual <= wanted;
+        case '>': return actual != null && actual > wanted;
+        case '>=': return actual != null && actual >= wanted;
+        case 'in': return expected.map(comparable).includes(actual);
+        case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(wanted);
+        case 'array-contains-any': return Array.isArray(actual) && actual.some(item => expected.includes(item));
+        default: throw new Error(`Unsupported operator: ${op}`);
+      }
+    }));
+
+    const orders = this.options.orders;
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const x = value(a, field);
+        const y = value(b, field);
+        if (x === y) continue;
+        const sign = direction === 'desc' ? -1 : 1;
+        return (x < y ? -1 : 1) * sign;
+      }
+      return 0;
+    });
+
+    if (this.options.after) {
+      const cursor = this.options.after.map(v => (v instanceof FakeDocumentReference ? v.path : comparable(v)));
+      docs = docs.filter(snap => {
+        for (let i = 0; i < cursor.length; i++) {
+          const { field, direction } = orders[i];
+          const x = value(snap, field);
+          if (x === cursor[i]) continue;
+          return direction === 'desc' ? x < cursor[i] : x > cursor[i];
+        }
+        return false;
+      });
+    }
+    if (this.options.limit !== null) docs = docs.slice(0, this.options.limit);
+    return { docs, size: docs.length, empty: docs.length === 0 };
+  }
+
+  _with(options) {
+    return new FakeQuery(this.db, this.path, { ...this.options, ...options });
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map(); // path -> data
+    this.autoId = 0;
+    this._transactions = Promise.resolve();
+  }
+
+  collection(path) {
+    return new FakeQuery(this, path);
+  }
+
+  collectionGroup(name) {
+    return new FakeQuery(this, name, { group: true });
+  }
+
+  doc(path) {
+    return new FakeDocumentReference(this, path);
+  }
+
+  batch() {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return batch; },
+      update: (ref, data) => { writes.push(() => ref.update(data)); return batch; },
+      delete: ref => { writes.push(() => ref.delete()); return batch; },
+      commit: async () => { for (const write of writes) await write(); }
+    };
+    return batch;
+  }
+
+  runTransaction(fn) {
+    const run = this._transactions.then(async () => {
+      const writes = [];
+      const tx = {
+        get: ref => ref.get(),
+        set: (ref, data, options) => { writes.push(() => ref.set(data, options)); return tx; },
+        update: (ref, data) => { writes.push(() => ref.update(data)); return tx; },
+        create: (ref, data) => { writes.push(() => ref.create(data)); return tx; },
+        delete: ref => { writes.push(() => ref.delete()); return tx; }
+      };
+      const result = await fn(tx);
+      for (const write of writes) await write();
+      return result;
+    });
+    this._transactions = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  FakeFirestore
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { InvoicesService } = require('../src/services/firestore');
+
+async function seedInvoices(db, count) {
+  const base = Date.parse('2025-01-01T00:00:00Z');
+  for (let i = 0; i < count; i++) {
+    await db.doc(`invoices/inv_${String(i).padStart(3, '0')}`).set({
+      orderId: 'ord_1',
+      supplierId: `sup_${i}`,
+      customerId: 'cust_1',
+      total: 10,
+      createdAt: new Date(base + i * 60 * 1000)
+    });
+  }
+}
+
+test('listInvoices covers keys bound to more than 30 suppliers', async () => {
+  const db = new FakeFirestore();
+  await seedInvoices(db, 45);
+  const service = new InvoicesService({ db });
+  const supplierIds = Array.from({ length: 45 }, (_, i) => `sup_${i}`);
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await service.listInvoices({ order_id: 'ord_1', supplier_ids: supplierIds }, { limit: 20, cursor });
+    seen.push(...page.data.map(invoice => invoice.supplier_id));
+    cursor = page.pagination.next_cursor;
+  } while (cursor);
+
+  // Newest first across every chunk, each invoice once
+  assert.deepEqual(seen, supplierIds.slice().reverse());
+});
+
+test('listInvoices only returns the given suppliers\' invoices', async () => {
+  const db = new FakeFirestore();
+  await seedInvoices(db, 3);
+  const service = new InvoicesService({ db });
+
+  const page = await service.listInvoices({ supplier_ids: ['sup_0', 'sup_2'] });
+  assert.deepEqual(page.data.map(invoice => invoice.supplier_id), ['sup_2', 'sup_0']);
+  assert.deepEqual((await service.listInvoices({ supplier_ids: [] })).data, []);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SUPPLIER_ORDER_STATUSES: S,
+  canShip,
+  canTransition,
+  deriveOrderStatus,
+  isOpenStatus,
+  lineItemProgress,
+  supplierOrderStatus
+} = require('../src/services/order-state');
+
+test('canTransition follows pending -> acknowledged -> fulfilled', () => {
+  assert.ok(canTransition(S.PENDING, S.ACKNOWLEDGED));
+  assert.ok(canTransition(S.ACKNOWLEDGED, S.PARTIALLY_FULFILLED));
+  assert.ok(canTransition(S.PARTIALLY_FULFILLED, S.PARTIALLY_FULFILLED));
+  assert.ok(canTransition(S.PARTIALLY_FULFILLED, S.FULFILLED));
+  assert.ok(canTransition(S.ACKNOWLEDGED, S.FULFILLED));
+});
+
+test('canTransition rejects skipped, backward and terminal moves', () => {
+  assert.ok(!canTransition(S.PENDING, S.FULFILLED));
+  assert.ok(!canTransition(S.PENDING, S.PARTIALLY_FULFILLED));
+  assert.ok(!canTransition(S.ACKNOWLEDGED, S.ACKNOWLEDGED));
+  assert.ok(!canTransition(S.FULFILLED, S.ACKNOWLEDGED));
+  assert.ok(!canTransition(S.FULFILLED, S.PARTIALLY_FULFILLED));
+  assert.ok(!canTransition(S.CANCELLED, S.ACKNOWLEDGED));
+  assert.ok(!canTransition('unknown', S.ACKNOWLEDGED));
+});
+
+test('supplierOrderStatus treats missing and legacy values as pending', () => {
+  assert.equal(supplierOrderStatus({}), S.PENDING);
+  assert.equal(supplierOrderStatus({ status: 'Acknowledged' }), S.ACKNOWLEDGED);
+  assert.equal(supplierOrderStatus({ status: 'processing' }), S.PENDING);
+});
+
+test('deriveOrderStatus rolls supplier orders up to the order', () => {
+  assert.equal(deriveOrderStatus([]), S.PENDING);
+  assert.equal(deriveOrderStatus([S.PENDING, S.ACKNOWLEDGED]), S.PENDING);
+  assert.equal(deriveOrderStatus([S.ACKNOWLEDGED, S.ACKNOWLEDGED]), S.ACKNOWLEDGED);
+  assert.equal(deriveOrderStatus([S.ACKNOWLEDGED, S.PARTIALLY_FULFILLED]), S.PARTIALLY_FULFILLED);
+  assert.equal(deriveOrderStatus([S.FULFILLED, S.ACKNOWLEDGED]), S.PARTIALLY_FULFILLED);
+  assert.equal(deriveOrderStatus([S.FULFILLED, S.FULFILLED]), S.FULFILLED);
+});
+
+test('cancelled supplier orders drop out of the rollup', () => {
+  assert.equal(deriveOrderStatus([S.CANCELLED, S.FULFILLED]), S.FULFILLED);
+  assert.equal(deriveOrderStatus([S.CANCELLED, S.ACKNOWLEDGED]), S.ACKNOWLEDGED);
+  assert.equal(deriveOrderStatus([S.CANCELLED, S.CANCELLED]), S.CANCELLED);
+});
+
+test('only unfulfilled supplier orders can be cancelled', () => {
+  [S.PENDING, S.ACKNOWLEDGED, S.PARTIALLY_FULFILLED].forEach(status => assert.ok(isOpenStatus(status), status));
+  [S.FULFILLED, S.CANCELLED].forEach(status => assert.ok(!isOpenStatus(status), status));
+  assert.ok(canTransition(S.PENDING, S.CANCELLED));
+  assert.ok(!canTransition(S.FULFILLED, S.CANCELLED));
+});
+
+test('lineItemProgress counts fulfilled, cancelled and backordered quantities', () => {
+  const progress = lineItemProgress({ quantity: 10, quantityFulfilled: 4, quantityCancelled: 1, quantityBackordered: 3 });
+  assert.equal(progress.ordered, 10);
+  assert.equal(progress.fulfilled, 4);
+  assert.equal(progress.cancelled, 1);
+  assert.equal(progress.backordered, 3);
+  assert.equal(progress.remaining, 5);
+  assert.equal(lineItemProgress({}).remaining, 0);
+});
+
+test('lineItemProgress never reports more backordered than remains', () => {
+  const progress = lineItemProgress({ quantity: 5, quantityFulfilled: 4, quantityBackordered: 3 });
+  assert.equal(progress.remaining, 1);
+  assert.equal(progress.backordered, 1);
+  // An over-fulfilled legacy line has nothing left rather than a negative remainder
+  assert.equal(lineItemProgress({ quantity: 5, quantityFulfilled: 7 }).remaining, 0);
+});
+
+test('shipments can be created from acknowledged until shipped', () => {
+  [S.ACKNOWLEDGED, S.PARTIALLY_FULFILLED, S.FULFILLED].forEach(status => assert.ok(canShip(status), status));
+  [S.PENDING, S.SHIPPED, S.CANCELLED].forEach(status => assert.ok(!canShip(status), status));
+  assert.ok(canTransition(S.FULFILLED, S.SHIPPED));
+  assert.ok(canTransition(S.ACKNOWLEDGED, S.SHIPPED));
+  assert.ok(!canTransition(S.SHIPPED, S.FULFILLED));
+  assert.ok(!canTransition(S.FULFILLED, S.CANCELLED));
+});
+
+test('lineItemProgress keeps shipped quantities apart from fulfillment', () => {
+  const progress = lineItemProgress({ quantity: 10, quantityFulfilled: 6, quantityShipped: 8, quantityCancelled: 1 });
+  assert.equal(progress.unshipped, 1);
+  assert.equal(progress.remaining, 3);
+  // Neither fulfilled nor shipped, and not already cancelled
+  assert.equal(progress.cancellable, 1);
+  assert.equal(lineItemProgress({ quantity: 3, quantityShipped: 5 }).unshipped, 0);
+});
+
+test('deriveOrderStatus rolls partially fulfilled, fulfilled and shipped up to shipped', () => {
+  assert.equal(deriveOrderStatus([S.SHIPPED, S.ACKNOWLEDGED]), S.PARTIALLY_FULFILLED);
+  assert.equal(deriveOrderStatus([S.SHIPPED, S.PARTIALLY_FULFILLED]), S.PARTIALLY_FULFILLED);
+  assert.equal(deriveOrderStatus([S.SHIPPED, S.FULFILLED]), S.FULFILLED);
+  assert.equal(deriveOrderStatus([S.SHIPPED, S.SHIPPED, S.CANCELLED]), S.SHIPPED);
+});
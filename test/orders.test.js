@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { RealOrdersService } = require('../src/services/real-firestore');
+
+const ACTOR = { uid: 'sup_1' };
+
+async function setup(items = [{ cartItemId: 'line_a', quantity: 5, price: 2 }, { cartItemId: 'line_b', quantity: 3, price: 4 }]) {
+  const db = new FakeFirestore();
+  await db.doc('orders/ord_1').set({
+    customerId: 'cust_1',
+    supplierIds: ['sup_1'],
+    status: 'pending',
+    supplierOrders: { sup_1: { status: 'pending', items } }
+  });
+  return { db, service: new RealOrdersService({ db }) };
+}
+
+async function supplierOrder(db) {
+  return (await db.doc('orders/ord_1').get()).data().supplierOrders.sup_1;
+}
+
+test('supplier orders are acknowledged before they are fulfilled', async () => {
+  const { db, service } = await setup();
+  const early = await service.fulfillOrder('ord_1', {}, ACTOR);
+  assert.equal(early.conflict, true);
+  assert.equal(early.current_status, 'pending');
+
+  assert.equal((await service.acknowledgeOrder('ord_1', {}, ACTOR)).status, 'acknowledged');
+  assert.equal((await service.acknowledgeOrder('ord_1', {}, ACTOR)).conflict, true);
+  assert.equal((await supplierOrder(db)).status, 'acknowledged');
+});
+
+test('cancelling lines recalculates the subtotal and a fulfilled order cannot be cancelled', async () => {
+  const { db, service } = await setup();
+  await service.acknowledgeOrder('ord_1', {}, ACTOR);
+
+  const lines = await service.cancelOrder('ord_1', { reason_code: 'out_of_stock', items: [{ item_id: 'line_b', quantity: 1 }] }, ACTOR);
+  assert.equal(lines.status, 'acknowledged');
+  assert.equal((await supplierOrder(db)).subtotal, 5 * 2 + 2 * 4);
+
+  await service.fulfillOrder('ord_1', {}, ACTOR);
+  const late = await service.cancelOrder('ord_1', { reason_code: 'out_of_stock' }, ACTOR);
+  assert.equal(late.conflict, true);
+  assert.equal(late.current_status, 'fulfilled');
+});
+
+test('cancelling everything cancels the supplier order and the order', async () => {
+  const { db, service } = await setup();
+  const result = await service.cancelOrder('ord_1', { reason_code: 'customer_request' }, ACTOR);
+  assert.equal(result.status, 'cancelled');
+  assert.equal(result.order_status, 'cancelled');
+  assert.equal((await supplierOrder(db)).cancelReasonCode, 'customer_request');
+});
+
+test('fulfillment moves partially_fulfilled to fulfilled and refuses more than remains', async () => {
+  const { db, service } = await setup();
+  await service.acknowledgeOrder('ord_1', {}, ACTOR);
+
+  const partial = await service.fulfillOrder('ord_1', { items: [{ item_id: 'line_a', quantity: 2, quantity_backordered: 3 }] }, ACTOR);
+  assert.equal(partial.status, 'partially_fulfilled');
+  assert.equal(partial.order_status, 'partially_fulfilled');
+
+  const over = await service.fulfillOrder('ord_1', { items: [{ item_id: 'line_a', quantity: 4 }] }, ACTOR);
+  assert.equal(over.invalid, true);
+  assert.match(over.message, /Cannot fulfill 4 of item line_a; 3 remaining/);
+  assert.equal((await supplierOrder(db)).items[0].quantityFulfilled, 2);
+
+  const rest = await service.fulfillOrder('ord_1', {}, ACTOR);
+  assert.equal(rest.status, 'fulfilled');
+  assert.equal(rest.order_status, 'fulfilled');
+  const items = (await supplierOrder(db)).items;
+  assert.deepEqual(items.map(item => [item.quantityFulfilled, item.quantityBackordered]), [[5, 0], [3, 0]]);
+  assert.equal((await service.fulfillOrder('ord_1', {}, ACTOR)).conflict, true);
+});
+
+test('shipments cannot ship more than a line has unshipped', async () => {
+  const { db, service } = await setup();
+  await service.acknowledgeOrder('ord_1', {}, ACTOR);
+
+  const over = await service.createShipment('ord_1', { carrier: 'UPS', items: [{ item_id: 'line_a', quantity: 6 }] }, ACTOR);
+  assert.equal(over.invalid, true);
+  assert.match(over.message, /Cannot ship 6 of item line_a; 5 unshipped/);
+
+  assert.equal((await service.createShipment('ord_1', { carrier: 'UPS', items: [{ item_id: 'line_a', quantity: 5 }] }, ACTOR)).success, true);
+  const again = await service.createShipment('ord_1', { carrier: 'UPS', items: [{ item_id: 'line_a', quantity: 1 }] }, ACTOR);
+  assert.match(again.message, /Cannot ship 1 of item line_a; 0 unshipped/);
+  assert.equal((await supplierOrder(db)).items[0].quantityShipped, 5);
+});
+
+test('supplier orders go partially fulfilled, fulfilled, then shipped once every line has shipped', async () => {
+  const { db, service } = await setup();
+  await service.acknowledgeOrder('ord_1', {}, ACTOR);
+  await service.fulfillOrder('ord_1', { items: [{ item_id: 'line_a', quantity: 5 }] }, ACTOR);
+  assert.equal((await supplierOrder(db)).status, 'partially_fulfilled');
+  await service.fulfillOrder('ord_1', {}, ACTOR);
+  assert.equal((await supplierOrder(db)).status, 'fulfilled');
+
+  await service.createShipment('ord_1', { carrier: 'UPS', items: [{ item_id: 'line_a', quantity: 5 }] }, ACTOR);
+  assert.equal((await supplierOrder(db)).status, 'fulfilled');
+  await service.createShipment('ord_1', { carrier: 'UPS' }, ACTOR);
+  assert.equal((await supplierOrder(db)).status, 'shipped');
+  assert.equal((await db.doc('orders/ord_1').get()).data().status, 'shipped');
+
+  const late = await service.createShipment('ord_1', { carrier: 'UPS' }, ACTOR);
+  assert.equal(late.conflict, true);
+  assert.equal(late.current_status, 'shipped');
+});
+
+async function catalog() {
+  const db = new FakeFirestore();
+  await db.doc('products/prod_1').set({ supplierId: 'sup_1', name: 'Gloves', sku: 'G-1', price: 2 });
+  await db.doc('products/prod_2').set({ supplierId: 'sup_2', name: 'Masks', sku: 'M-1', price: 3 });
+  return { db, service: new RealOrdersService({ db }) };
+}
+
+test('orders take the next number from the year counter', async () => {
+  const { db, service } = await catalog();
+  const year = new Date().getUTCFullYear();
+  const created = [];
+  for (let i = 0; i < 3; i++) {
+    created.push(await service.createOrder('cust_1', { items: [{ product_id: 'prod_1', quantity: 1 }] }, ACTOR));
+  }
+  assert.deepEqual(created.map(result => result.order.order_number), [1, 2, 3].map(n => `ORD-${year}-00000${n}`));
+  assert.equal((await db.doc(`orderCounters/${year}`).get()).data().lastSequence, 3);
+});
+
+test('orders are split by supplier and merge repeated products', async () => {
+  const { db, service } = await catalog();
+  const items = [{ product_id: 'prod_1', quantity: 2 }, { product_id: 'prod_2', quantity: 1 }, { product_id: 'prod_1', quantity: 3 }];
+  const result = await service.createOrder('cust_1', { items }, ACTOR);
+  const stored = (await db.doc(`orders/${result.order_id}`).get()).data();
+  assert.deepEqual(stored.supplierIds, ['sup_1', 'sup_2']);
+  assert.deepEqual(stored.supplierOrders.sup_1.items.map(item => [item.id, item.quantity]), [['prod_1', 5]]);
+  assert.equal(stored.totalAmount, 5 * 2 + 3);
+
+  assert.deepEqual(await service.createOrder('cust_1', { items: [{ product_id: 'prod_9', quantity: 1 }] }, ACTOR), { invalid: true, message: 'Unknown product_id: prod_9' });
+});
+
+test('a replayed idempotency key returns the order it created', async () => {
+  const { db, service } = await catalog();
+  const payload = { items: [{ product_id: 'prod_1', quantity: 1 }] };
+  const idempotency = { key: 'idem_1', signature: 'sig_1', path: '/v1/orders' };
+
+  const first = await service.createOrder('cust_1', payload, ACTOR, idempotency);
+  assert.equal(first.success, true);
+  const replay = await service.createOrder('cust_1', payload, ACTOR, idempotency);
+  assert.equal(replay.replayed, true);
+  assert.equal(replay.order_id, first.order_id);
+  assert.deepEqual(replay.order, first.order);
+  assert.equal([...db.docs.keys()].filter(path => /^orders\/[^/]+$/.test(path)).length, 1);
+
+  const reused = await service.createOrder('cust_1', payload, ACTOR, { ...idempotency, signature: 'sig_2' });
+  assert.equal(reused.conflict, true);
+});
+
+test('invoices bill only what was fulfilled and not yet invoiced', async () => {
+  const { db, service } = await setup();
+  await service.acknowledgeOrder('ord_1', {}, ACTOR);
+  await service.fulfillOrder('ord_1', { items: [{ item_id: 'line_a', quantity: 2 }] }, ACTOR);
+
+  const first = await service.createInvoice('ord_1', { tax_rate: 0 }, ACTOR);
+  assert.equal(first.invoice.invoice_number, 'INV-sup_1-000001');
+  assert.deepEqual(first.invoice.items.map(item => [item.quantity, item.line_total]), [[2, 4]]);
+
+  const nothing = await service.createInvoice('ord_1', {}, ACTOR);
+  assert.equal(nothing.conflict, true);
+  assert.equal(nothing.current_status, 'partially_fulfilled');
+
+  await service.fulfillOrder('ord_1', {}, ACTOR);
+  const second = await service.createInvoice('ord_1', { tax_rate: 0 }, ACTOR);
+  assert.equal(second.invoice.invoice_number, 'INV-sup_1-000002');
+  assert.deepEqual(second.invoice.items.map(item => [item.quantity, item.line_total]), [[3, 6], [3, 12]]);
+  assert.equal(second.invoice.total, 18);
+
+  assert.deepEqual((await supplierOrder(db)).items.map(item => item.quantityInvoiced), [5, 3]);
+  assert.equal((await db.doc('invoiceCounters/sup_1').get()).data().lastSequence, 2);
+  assert.equal((await service.createInvoice('ord_1', {}, ACTOR)).conflict, true);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimitStore } = require('../src/services/rate-limit-store');
+const { createRateLimiter, msUntilAvailable } = require('../src/middleware/rate-limit');
+
+const WINDOW = { ms: 1000, limit: 10 };
+
+async function consumeUntilDenied(store, now) {
+  let allowed = 0;
+  while ((await store.consume('pk_test', [WINDOW], 1, now)).allowed) allowed += 1;
+  return allowed;
+}
+
+test('MemoryRateLimitStore allows up to the limit within a window', async () => {
+  const store = new MemoryRateLimitStore();
+  assert.equal(await consumeUntilDenied(store, 10000), 10);
+  const denied = await store.consume('pk_test', [WINDOW], 1, 10999);
+  assert.equal(denied.allowed, false);
+  assert.deepEqual(denied.windows, [{ previous: 0, current: 10, elapsedMs: 999 }]);
+});
+
+test('MemoryRateLimitStore slides the previous bucket out of the window', async () => {
+  const store = new MemoryRateLimitStore();
+  await consumeUntilDenied(store, 10000);
+  // Start of the next bucket: the whole previous bucket still counts
+  assert.equal((await store.consume('pk_test', [WINDOW], 1, 11000)).allowed, false);
+  // Halfway through, half of it does
+  assert.equal(await consumeUntilDenied(store, 11500), 5);
+  // Two buckets on, nothing from 10000 is left
+  assert.equal(await consumeUntilDenied(store, 13000), 10);
+});
+
+test('MemoryRateLimitStore charges every window or none', async () => {
+  const store = new MemoryRateLimitStore();
+  const windows = [WINDOW, { ms: 100, limit: 3 }];
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push((await store.consume('pk_test', windows, 1, 10000)).allowed);
+  assert.deepEqual(results, [true, true, true, false]);
+  const after = await store.consume('pk_test', [WINDOW], 0, 10000);
+  assert.equal(after.windows[0].current, 3);
+});
+
+test('msUntilAvailable waits for the previous bucket to slide out', () => {
+  assert.equal(msUntilAvailable(WINDOW, { previous: 0, current: 5, elapsedMs: 0 }, 1), 0);
+  assert.equal(Math.round(msUntilAvailable(WINDOW, { previous: 10, current: 0, elapsedMs: 0 }, 1)), 100);
+  assert.equal(msUntilAvailable(WINDOW, { previous: 0, current: 10, elapsedMs: 400 }, 1), 600 + 100);
+});
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(headers, value) {
+      if (typeof headers === 'string') this.headers[headers] = value;
+      else Object.assign(this.headers, headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function run(limiter, req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  await limiter(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('rate limiter answers 429 with Retry-After once the quota is spent', async () => {
+  const limiter = createRateLimiter({ store: new MemoryRateLimitStore(), burstWindowMs: 60 * 60 * 1000 });
+  const req = { method: 'GET', baseUrl: '/v1', path: '/orders', auth: { apiKey: 'pk_a', rateLimitHourly: 2 } };
+  assert.equal((await run(limiter, req)).nextCalled, true);
+  assert.equal((await run(limiter, req)).nextCalled, true);
+  const { res, nextCalled } = await run(limiter, req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers['Retry-After']) >= 1);
+});
+
+test('rate limiter refuses a route that costs more than the whole limit', async () => {
+  const limiter = createRateLimiter({ store: new MemoryRateLimitStore() });
+  const req = { method: 'POST', baseUrl: '/v1', path: '/suppliers/sup_1/inventory', auth: { apiKey: 'pk_b', rateLimitHourly: 5 } };
+  const { res, nextCalled } = await run(limiter, req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error.type, 'forbidden');
+  assert.match(res.body.error.message, /costs 10 rate limit units/);
+  assert.equal(res.headers['Retry-After'], undefined);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { SuppliersService } = require('../src/services/firestore');
+
+async function setup() {
+  const db = new FakeFirestore();
+  await db.doc('categories/gloves').set({ name: 'Gloves' });
+  await db.doc('categories/masks').set({ name: 'Masks' });
+  await db.doc('categories/gowns').set({ name: 'Gowns', active: false });
+  await db.doc('suppliers/sup_1').set({ name: 'Acme Medical', categories: ['gloves'] });
+  return { db, service: new SuppliersService({ db }) };
+}
+
+test('supplier categories are replaced with known category ids', async () => {
+  const { db, service } = await setup();
+  const result = await service.updateSupplier('sup_1', { categories: ['masks', ' gloves', 'masks'] }, { uid: 'sup_1' });
+  assert.equal(result.success, true);
+  assert.deepEqual((await db.doc('suppliers/sup_1').get()).data().categories, ['masks', 'gloves']);
+});
+
+test('unknown or inactive categories are refused and nothing is written', async () => {
+  const { db, service } = await setup();
+  assert.deepEqual(await service.updateSupplier('sup_1', { name: 'Renamed', categories: ['gloves', 'scalpels'] }), { invalid: true, message: 'Unknown category: scalpels' });
+  assert.deepEqual(await service.updateSupplier('sup_1', { categories: ['gowns'] }), { invalid: true, message: 'Category gowns is not accepting products' });
+  assert.deepEqual((await db.doc('suppliers/sup_1').get()).data(), { name: 'Acme Medical', categories: ['gloves'] });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { FileCarrierAdapter } = require('../src/services/fake-carrier');
+const { RealOrdersService } = require('../src/services/real-firestore');
+const { TrackingPoller } = require('../src/services/tracking-poller');
+
+const TRACKING_NUMBER = '1Z999AA10123456784';
+const SHIPMENT = 'orders/ord_1/shipments/shp_1';
+
+function setup(t, history, shipment = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kasbah-carrier-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const carrierFile = path.join(dir, 'carrier.json');
+  fs.writeFileSync(carrierFile, JSON.stringify({ [TRACKING_NUMBER]: history }));
+
+  const db = new FakeFirestore();
+  const published = [];
+  const webhooks = { publish: async (type, data, audience) => published.push({ type, data, audience }) };
+  const ordersService = new RealOrdersService({ db, webhooks });
+  const poller = new TrackingPoller({
+    db,
+    ordersService,
+    adapters: [new FileCarrierAdapter({ path: carrierFile })],
+    refreshMs: 60 * 1000
+  });
+
+  const seeded = Promise.all([
+    db.doc('orders/ord_1').set({ customerId: 'cust_1', supplierIds: ['sup_1'] }),
+    db.doc(SHIPMENT).set({
+      shipment_id: 'shp_1',
+      order_id: 'ord_1',
+      supplier_id: 'sup_1',
+      carrier: 'UPS',
+      tracking_number: TRACKING_NUMBER,
+      status: 'IN_TRANSIT',
+      created_at: new Date(),
+      next_tracking_poll_at: new Date(Date.now() - 1000),
+      ...shipment
+    })
+  ]);
+  return { db, poller, published, carrierFile, seeded };
+}
+
+async function events(db) {
+  const snapshot = await db.collection(`${SHIPMENT}/events`).orderBy('timestamp').get();
+  return snapshot.docs.map(doc => doc.data().status);
+}
+
+test('tracking poller records new carrier events and reschedules the shipment', async t => {
+  const { db, poller, published, carrierFile, seeded } = setup(t, [
+    { status: 'in_transit', timestamp: '2024-01-16T08:00:00Z', location: 'Louisville, KY' },
+    { status: 'OUT_FOR_DELIVERY', timestamp: '2024-01-17T07:00:00Z' },
+    { status: 'LOST_IN_SPACE', timestamp: '2024-01-17T08:00:00Z' }
+  ]);
+  await seeded;
+
+  const before = Date.now();
+  assert.equal(await poller.pollOnce(), 1);
+  assert.deepEqual(await events(db), ['IN_TRANSIT', 'OUT_FOR_DELIVERY']);
+  const shipment = (await db.doc(SHIPMENT).get()).data();
+  assert.equal(shipment.status, 'OUT_FOR_DELIVERY');
+  assert.equal(shipment.last_tracking_event_at.toDate().toISOString(), '2024-01-17T07:00:00.000Z');
+  assert.ok(shipment.next_tracking_poll_at.toMillis() >= before + 60 * 1000);
+  assert.deepEqual(published, []);
+
+  // Not due again until the refresh interval has passed
+  assert.equal(await poller.pollOnce(), 0);
+
+  // Once due, only events newer than the last one seen are recorded
+  fs.writeFileSync(carrierFile, JSON.stringify({ [TRACKING_NUMBER]: [
+    { status: 'IN_TRANSIT', timestamp: '2024-01-16T08:00:00Z' },
+    { status: 'OUT_FOR_DELIVERY', timestamp: '2024-01-17T07:00:00Z' },
+    { status: 'DELIVERED', timestamp: '2024-01-17T15:00:00Z', message: 'Left at front door' }
+  ] }));
+  await db.doc(SHIPMENT).update({ next_tracking_poll_at: new Date(Date.now() - 1000) });
+  assert.equal(await poller.pollShipment(db.doc(SHIPMENT)), 1);
+  assert.deepEqual(await events(db), ['IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED']);
+});
+
+test('delivery is published once and ends polling', async t => {
+  const { db, poller, published, seeded } = setup(t, [
+    { status: 'DELIVERED', timestamp: '2024-01-17T15:00:00Z' }
+  ]);
+  await seeded;
+
+  assert.equal(await poller.pollOnce(), 1);
+  const shipment = (await db.doc(SHIPMENT).get()).data();
+  assert.equal(shipment.status, 'DELIVERED');
+  assert.equal(shipment.next_tracking_poll_at, null);
+  assert.equal(shipment.delivered_at.toDate().toISOString(), '2024-01-17T15:00:00.000Z');
+  assert.deepEqual(published.map(({ type, audience }) => [type, audience]), [
+    ['shipment.delivered', { customerId: 'cust_1', supplierIds: ['sup_1'] }]
+  ]);
+
+  // A repeated delivery scan is recorded but not published again
+  await poller.ordersService.addShipmentEvent('ord_1', 'shp_1', { type: 'shipment.delivered', status: 'DELIVERED' });
+  assert.equal(published.length, 1);
+  assert.equal(await poller.pollOnce(), 0);
+});
+
+test('shipments past the maximum age are taken off the schedule', async t => {
+  const { db, poller, seeded } = setup(t, [
+    { status: 'IN_TRANSIT', timestamp: '2024-01-16T08:00:00Z' }
+  ], { status: 'EXCEPTION', created_at: new Date(Date.now() - 61 * 24 * 60 * 60 * 1000) });
+  await seeded;
+
+  assert.equal(await poller.pollShipment(db.doc(SHIPMENT)), null);
+  assert.equal((await db.doc(SHIPMENT).get()).data().next_tracking_poll_at, null);
+  assert.deepEqual(await events(db), []);
+});
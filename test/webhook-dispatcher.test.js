@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { FakeFirestore } = require('./helpers/fake-firestore');
+const { DELIVERY_STATUSES, WebhookDispatcher, subscriptionMatches } = require('../src/services/webhook-dispatcher');
+
+const SECRET = 'whsec_test';
+
+// Local receiver that answers with the next queued status (200 once the queue is empty)
+async function startReceiver(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hooks/kasbah` };
+}
+
+async function seedWebhook(db, url) {
+  await db.doc('webhooks/wh_1').set({
+    partnerId: 'partner_1',
+    url,
+    secret: SECRET,
+    events: ['order.created'],
+    status: 'active',
+    customerIds: ['cust_1'],
+    supplierIds: []
+  });
+}
+
+async function seedDelivery(db, overrides = {}) {
+  const ref = db.doc('webhooks/wh_1/deliveries/dlv_1');
+  const now = new Date();
+  await ref.set({
+    webhookId: 'wh_1',
+    eventId: 'evt_1',
+    eventType: 'order.created',
+    payload: JSON.stringify({ id: 'evt_1', type: 'order.created', data: {} }),
+    status: DELIVERY_STATUSES.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    ...overrides
+  });
+  return ref;
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the delivery');
+}
+
+test('published events are signed and delivered to bound subscriptions', async t => {
+  const receiver = await startReceiver(t);
+  const db = new FakeFirestore();
+  await seedWebhook(db, receiver.url);
+  const dispatcher = new WebhookDispatcher({ db });
+
+  const { event, delivery_ids: ids } = await dispatcher.publish('order.created', { id: 'ord_1' }, { customerId: 'cust_1', supplierIds: [] });
+  assert.equal(ids.length, 1);
+  const ref = db.doc(`webhooks/wh_1/deliveries/${ids[0]}`);
+  const delivery = await waitFor(async () => {
+    const data = (await ref.get()).data();
+    return data.status === DELIVERY_STATUSES.DELIVERED && data;
+  });
+
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastHttpStatus, 200);
+  const [request] = receiver.requests;
+  assert.equal(request.headers['kasbah-delivery'], ids[0]);
+  assert.equal(JSON.parse(request.body).id, event.id);
+  const [, timestamp, signature] = request.headers['kasbah-signature'].match(/^t=(\d+),s=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}\nPOST\n/hooks/kasbah\n${request.body}`).digest('hex');
+  assert.equal(signature, expected);
+});
+
+test('events outside a subscription\'s bindings, or without an audience, are not delivered', async t => {
+  const receiver = await startReceiver(t);
+  const db = new FakeFirestore();
+  await seedWebhook(db, receiver.url);
+  const dispatcher = new WebhookDispatcher({ db });
+
+  assert.deepEqual((await dispatcher.publish('order.created', {}, { customerId: 'cust_2', supplierIds: [] })).delivery_ids, []);
+  assert.deepEqual((await dispatcher.publish('order.created', {})).delivery_ids, []);
+  assert.equal(subscriptionMatches({ customerIds: ['cust_1'] }, null), false);
+  assert.equal(receiver.requests.length, 0);
+});
+
+test('failed attempts are rescheduled with backoff', async t => {
+  const receiver = await startReceiver(t, [500]);
+  const db = new FakeFirestore();
+  await seedWebhook(db, receiver.url);
+  const ref = await seedDelivery(db);
+  const dispatcher = new WebhookDispatcher({ db, retryBaseMs: 60 * 1000 });
+
+  const before = Date.now();
+  const result = await dispatcher.attemptDelivery(ref);
+  assert.equal(result.status, DELIVERY_STATUSES.PENDING);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.lastHttpStatus, 500);
+  assert.ok(result.nextAttemptAt.getTime() >= before + 60 * 1000);
+
+  // Not due yet, so the retry loop leaves it alone
+  assert.equal(await dispatcher.processDueDeliveries(), 0);
+  const stored = (await ref.get()).data();
+  assert.equal(stored.leasedUntil, null);
+  assert.equal(stored.attemptLog.length, 1);
+  assert.equal((await db.doc('webhooks/wh_1').get()).data().deliveryStats.failed, 1);
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('deliveries move to dead_letter after maxAttempts', async t => {
+  const receiver = await startReceiver(t, [503, 503]);
+  const db = new FakeFirestore();
+  await seedWebhook(db, receiver.url);
+  const ref = await seedDelivery(db);
+  const dispatcher = new WebhookDispatcher({ db, maxAttempts: 2, retryBaseMs: 1 });
+
+  assert.equal((await dispatcher.attemptDelivery(ref)).status, DELIVERY_STATUSES.PENDING);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await dispatcher.processDueDeliveries(), 1);
+
+  const stored = (await ref.get()).data();
+  assert.equal(stored.status, DELIVERY_STATUSES.DEAD_LETTER);
+  assert.equal(stored.attempts, 2);
+  assert.equal(stored.nextAttemptAt, null);
+  assert.equal(receiver.requests.length, 2);
+  // Dead letters are never picked up again
+  assert.equal(await dispatcher.attemptDelivery(ref), null);
+});
+
+test('manual redeliveries keep only the latest attempts in the log', async t => {
+  const receiver = await startReceiver(t, [500]);
+  const db = new FakeFirestore();
+  await seedWebhook(db, receiver.url);
+  const attemptLog = Array.from({ length: 20 }, (_, i) => ({ attemptedAt: new Date(), httpStatus: 500, error: `old ${i}`, manual: true }));
+  const ref = await seedDelivery(db, { status: DELIVERY_STATUSES.DEAD_LETTER, attempts: 8, nextAttemptAt: null, attemptLog });
+  const dispatcher = new WebhookDispatcher({ db });
+
+  const result = await dispatcher.redeliver(ref);
+  assert.equal(result.status, DELIVERY_STATUSES.DEAD_LETTER);
+  assert.equal(result.attempts, 8);
+  const stored = (await ref.get()).data();
+  assert.equal(stored.attemptLog.length, 20);
+  assert.equal(stored.attemptLog[0].error, 'old 1');
+  assert.deepEqual([stored.attemptLog[19].httpStatus, stored.attemptLog[19].manual], [500, true]);
+  assert.deepEqual(result.attemptLog.map(attempt => attempt.error), stored.attemptLog.map(attempt => attempt.error));
+});